@@ -59,20 +59,24 @@ const authorize = (...roles) => {
   };
 };
 
-// Check if user owns the resource or is admin
-const checkOwnership = (Model, ownerField = 'user') => {
+// Check if user owns the resource or is admin.
+// options.allow(resource, user) can grant access to other users, e.g. co-authors.
+const checkOwnership = (Model, ownerField = 'user', options = {}) => {
   return async (req, res, next) => {
     try {
       const resourceId = req.params.id;
       const resource = await Model.findById(resourceId);
 
       if (!resource) {
-        return next(new AppError('Resource not found', 404));
+        return next(new AppError(options.notFoundMessage || 'Resource not found', 404));
       }
 
-      // Check if user owns the resource or is admin
-      if (resource[ownerField].toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-        return next(new AppError('Not authorized to access this resource', 403));
+      const isOwner = resource[ownerField].toString() === req.user._id.toString();
+      const isAllowed = options.allow ? options.allow(resource, req.user) : false;
+
+      // Check if user owns the resource, is allowed by the caller, or is admin
+      if (!isOwner && !isAllowed && req.user.role !== 'admin') {
+        return next(new AppError(options.forbiddenMessage || 'Not authorized to access this resource', 403));
       }
 
       req.resource = resource;
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { HOLD_REASONS } = require('../utils/moderation');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -114,13 +115,47 @@ const validateUpdateProfile = [
 ];
 
 // Post validation rules
+// Checked whenever publishAt is sent, and required for scheduled posts;
+// null clears it
+const publishAtRule = body('publishAt')
+  .if((value, { req }) => req.body.status === 'scheduled' || (value !== undefined && value !== null))
+  .isISO8601()
+  .withMessage('Scheduled posts require a valid publishAt date')
+  .custom(value => {
+    if (new Date(value) <= new Date()) {
+      throw new Error('publishAt must be in the future');
+    }
+    return true;
+  });
+
+// Per-post pre-moderation overrides; null restores the site default
+const commentModerationRules = ['holdAll', 'holdNewAccounts', 'holdUnverified', 'holdLinks'].map(rule =>
+  body(`commentModeration.${rule}`)
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage(`commentModeration.${rule} must be true, false or null`)
+    .toBoolean()
+);
+
 const validateCreatePost = [
   body('title')
     .trim()
     .isLength({ min: 5, max: 200 })
     .withMessage('Title must be between 5 and 200 characters'),
   
+  body('contentFormat')
+    .optional()
+    .isIn(['html', 'markdown'])
+    .withMessage('Content format must be html or markdown'),
+  
   body('content')
+    .if(body('contentFormat').not().equals('markdown'))
+    .trim()
+    .isLength({ min: 50 })
+    .withMessage('Content must be at least 50 characters long'),
+  
+  body('contentSource')
+    .if(body('contentFormat').equals('markdown'))
     .trim()
     .isLength({ min: 50 })
     .withMessage('Content must be at least 50 characters long'),
@@ -154,8 +189,12 @@ const validateCreatePost = [
   
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived'),
+  
+  publishAtRule,
+  
+  ...commentModerationRules,
   
   handleValidationErrors
 ];
@@ -167,12 +206,23 @@ const validateUpdatePost = [
     .isLength({ min: 5, max: 200 })
     .withMessage('Title must be between 5 and 200 characters'),
   
+  body('contentFormat')
+    .optional()
+    .isIn(['html', 'markdown'])
+    .withMessage('Content format must be html or markdown'),
+  
   body('content')
     .optional()
     .trim()
     .isLength({ min: 50 })
     .withMessage('Content must be at least 50 characters long'),
   
+  body('contentSource')
+    .optional()
+    .trim()
+    .isLength({ min: 50 })
+    .withMessage('Content must be at least 50 characters long'),
+  
   body('excerpt')
     .optional()
     .trim()
@@ -202,8 +252,80 @@ const validateUpdatePost = [
   
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived'),
+  
+  publishAtRule,
+  
+  ...commentModerationRules,
+  
+  handleValidationErrors
+];
+
+const validatePreviewPost = [
+  body('contentFormat')
+    .isIn(['html', 'markdown'])
+    .withMessage('Content format must be html or markdown'),
+  
+  body('content')
+    .isString()
+    .isLength({ max: 50000 })
+    .withMessage('Content cannot be more than 50,000 characters'),
+  
+  handleValidationErrors
+];
+
+const validateInviteCollaborator = [
+  body('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid user ID'),
+  
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  body('role')
+    .optional()
+    .isIn(['editor', 'reviewer'])
+    .withMessage('Role must be editor or reviewer'),
+  
+  body()
+    .custom(value => {
+      if (!value.user && !value.email) {
+        throw new Error('Please provide a user ID or email to invite');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+const validateCollaboratorRole = [
+  body('role')
+    .isIn(['editor', 'reviewer'])
+    .withMessage('Role must be editor or reviewer'),
+  
+  handleValidationErrors
+];
+
+const validateReviewNote = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review note must not exceed 2000 characters'),
+  
+  handleValidationErrors
+];
+
+const validateRequestChanges = [
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Please describe the changes you are requesting (up to 2000 characters)'),
   
   handleValidationErrors
 ];
@@ -227,6 +349,107 @@ const validateCreateComment = [
   handleValidationErrors
 ];
 
+const validateUpdateComment = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters'),
+  
+  handleValidationErrors
+];
+
+const validateCommentThread = [
+  query('parent')
+    .optional()
+    .isMongoId()
+    .withMessage('Parent must be a valid comment ID'),
+  
+  query('depth')
+    .optional()
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Depth must be between 0 and 5'),
+  
+  handleValidationErrors
+];
+
+const validateReportComment = [
+  body('reason')
+    .isIn(['spam', 'harassment', 'inappropriate', 'off-topic', 'other'])
+    .withMessage('Reason must be spam, harassment, inappropriate, off-topic or other'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Comment moderation validation rules
+const validateModerationQueue = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved or rejected'),
+  
+  query('reason')
+    .optional()
+    .isIn(HOLD_REASONS)
+    .withMessage(`Reason must be one of: ${HOLD_REASONS.join(', ')}`),
+  
+  query('post')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid post ID'),
+  
+  query('minScore')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('minScore must be between 0 and 100'),
+  
+  query('order')
+    .optional()
+    .isIn(['newest', 'score'])
+    .withMessage('Order must be newest or score'),
+  
+  handleValidationErrors
+];
+
+const validateReportQueue = [
+  query('state')
+    .optional()
+    .isIn(['open', 'handled'])
+    .withMessage('State must be open or handled'),
+  
+  handleValidationErrors
+];
+
+const validateResolveReports = [
+  body('action')
+    .optional()
+    .isIn(['reject', 'delete'])
+    .withMessage('Action must be reject or delete'),
+  
+  handleValidationErrors
+];
+
+const validateBulkModeration = [
+  body('action')
+    .isIn(['approve', 'reject', 'delete'])
+    .withMessage('Action must be approve, reject or delete'),
+  
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Provide between 1 and 100 comment IDs'),
+  
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each comment ID must be valid'),
+  
+  handleValidationErrors
+];
+
 // Category validation rules
 const validateCreateCategory = [
   body('name')
@@ -269,6 +492,207 @@ const validateUpdateCategory = [
   handleValidationErrors
 ];
 
+const validateMoveCategory = [
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID or null'),
+  
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sort order must be a non-negative integer'),
+  
+  handleValidationErrors
+];
+
+const validateReorderCategories = [
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID or null'),
+  
+  body('order')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Order must be an array of 1 to 500 category IDs'),
+  
+  body('order.*')
+    .isMongoId()
+    .withMessage('Each category must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+// Series validation rules
+const validateCreateSeries = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+  
+  body('coverImage')
+    .optional({ checkFalsy: true })
+    .isURL()
+    .withMessage('Cover image must be a valid URL'),
+  
+  body('posts')
+    .optional()
+    .isArray()
+    .withMessage('Posts must be an array'),
+  
+  body('posts.*')
+    .isMongoId()
+    .withMessage('Each post must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+const validateUpdateSeries = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+  
+  body('coverImage')
+    .optional({ checkFalsy: true })
+    .isURL()
+    .withMessage('Cover image must be a valid URL'),
+  
+  body('posts')
+    .optional()
+    .isArray()
+    .withMessage('Posts must be an array'),
+  
+  body('posts.*')
+    .isMongoId()
+    .withMessage('Each post must be a valid ID'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  
+  handleValidationErrors
+];
+
+const validateAddSeriesPost = [
+  body('postId')
+    .isMongoId()
+    .withMessage('Please provide a valid post ID'),
+  
+  body('position')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Position must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+const validateSeriesQuery = [
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Author must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+// Reading list validation rules
+const validateCreateReadingList = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('List name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+  
+  handleValidationErrors
+];
+
+const validateUpdateReadingList = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('List name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+  
+  body('posts')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Posts must be an array'),
+  
+  body('posts.*')
+    .isMongoId()
+    .withMessage('Each post must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+// Reading progress validation rules
+const validateReadingProgress = [
+  body('percent')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Percent must be a number between 0 and 100')
+    .toFloat(),
+  
+  body('anchor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Anchor cannot be more than 200 characters'),
+  
+  body('readAt')
+    .optional()
+    .isISO8601()
+    .withMessage('readAt must be an ISO 8601 date')
+    .toDate(),
+  
+  handleValidationErrors
+];
+
+const validateReadingHistory = [
+  query('status')
+    .optional()
+    .isIn(['all', 'in-progress', 'finished'])
+    .withMessage('Status must be all, in-progress or finished'),
+  
+  handleValidationErrors
+];
+
 // Common parameter validations
 const validateMongoId = [
   param('id')
@@ -278,6 +702,17 @@ const validateMongoId = [
   handleValidationErrors
 ];
 
+// Validate several ID route parameters at once (e.g. 'id', 'revId')
+const validateMongoIds = (...names) => [
+  ...names.map(name =>
+    param(name)
+      .isMongoId()
+      .withMessage(`Please provide a valid ${name}`)
+  ),
+  
+  handleValidationErrors
+];
+
 // Query parameter validations
 const validatePagination = [
   query('page')
@@ -292,9 +727,140 @@ const validatePagination = [
   
   query('sort')
     .optional()
-    .isIn(['createdAt', '-createdAt', 'updatedAt', '-updatedAt', 'title', '-title', 'likes', '-likes', 'views', '-views'])
+    .isIn(['createdAt', '-createdAt', 'updatedAt', '-updatedAt', 'publishedAt', '-publishedAt', 'title', '-title', 'likes', '-likes', 'views', '-views'])
     .withMessage('Invalid sort parameter'),
   
+  query(['after', 'before'])
+    .optional()
+    .isBase64({ urlSafe: true })
+    .isLength({ max: 200 })
+    .withMessage('Invalid pagination cursor'),
+  
+  handleValidationErrors
+];
+
+// Search validation
+const validateSearch = [
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search query cannot be more than 200 characters'),
+  
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Author must be a valid ID'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format'),
+  
+  query('year')
+    .optional()
+    .isInt({ min: 1970, max: 9999 })
+    .withMessage('Year must be a valid year'),
+  
+  query('sort')
+    .optional()
+    .isIn(['relevance', 'newest', 'oldest', 'popular'])
+    .withMessage('Sort must be one of: relevance, newest, oldest, popular'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  query(['after', 'before'])
+    .optional()
+    .isBase64({ urlSafe: true })
+    .isLength({ max: 200 })
+    .withMessage('Invalid pagination cursor'),
+  
+  handleValidationErrors
+];
+
+// Search suggestion validation
+const validateSuggest = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Please provide a query of at most 100 characters'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Limit must be between 1 and 10'),
+  
+  handleValidationErrors
+];
+
+// Tag validations
+const tagName = (field) => body(field)
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 30 })
+  .withMessage('Each tag must be between 1 and 30 characters');
+
+const validateMergeTags = [
+  body('sources')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Sources must be an array of 1 to 20 tags'),
+  
+  tagName('sources.*'),
+  
+  tagName('target'),
+  
+  handleValidationErrors
+];
+
+const validateUpdateTag = [
+  tagName('name').optional(),
+  
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Description cannot be more than 300 characters'),
+  
+  body('aliases')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Aliases must be an array of at most 20 tags'),
+  
+  tagName('aliases.*'),
+  
+  body('seo.metaTitle')
+    .optional()
+    .isLength({ max: 60 })
+    .withMessage('Meta title cannot be more than 60 characters'),
+  
+  body('seo.metaDescription')
+    .optional()
+    .isLength({ max: 160 })
+    .withMessage('Meta description cannot be more than 160 characters'),
+  
+  handleValidationErrors
+];
+
+const validateListTags = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  
   handleValidationErrors
 ];
 
@@ -309,17 +875,51 @@ module.exports = {
   // Post validations
   validateCreatePost,
   validateUpdatePost,
+  validatePreviewPost,
+  validateInviteCollaborator,
+  validateCollaboratorRole,
+  validateReviewNote,
+  validateRequestChanges,
   
   // Comment validations
   validateCreateComment,
+  validateUpdateComment,
+  validateCommentThread,
+  validateReportComment,
+  validateModerationQueue,
+  validateReportQueue,
+  validateResolveReports,
+  validateBulkModeration,
   
   // Category validations
   validateCreateCategory,
   validateUpdateCategory,
+  validateMoveCategory,
+  validateReorderCategories,
+  
+  // Series validations
+  validateCreateSeries,
+  validateUpdateSeries,
+  validateAddSeriesPost,
+  validateSeriesQuery,
+  
+  // Reading list validations
+  validateCreateReadingList,
+  validateUpdateReadingList,
+  
+  // Reading progress validations
+  validateReadingProgress,
+  validateReadingHistory,
   
   // Common validations
   validateMongoId,
+  validateMongoIds,
   validatePagination,
+  validateSearch,
+  validateSuggest,
+  validateMergeTags,
+  validateUpdateTag,
+  validateListTags,
   
   // Error handler
   handleValidationErrors
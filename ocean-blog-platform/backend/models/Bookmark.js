@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A post a reader saved for later. Reading lists group bookmarked posts.
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ post: 1 });
+
+// Static method to get the subset of postIds the user has bookmarked, as id strings
+bookmarkSchema.statics.bookmarkedPostIds = async function(userId, postIds) {
+  if (!userId || postIds.length === 0) {
+    return new Set();
+  }
+  
+  const ids = await this.find({ user: userId, post: { $in: postIds } }).distinct('post');
+  return new Set(ids.map(id => id.toString()));
+};
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+module.exports = Bookmark;
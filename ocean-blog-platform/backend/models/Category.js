@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const events = require('../utils/events');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -135,15 +136,21 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Remember the parent the document was loaded with, so a move can
+// detach it from the old parent's children
+categorySchema.post('init', function() {
+  this.$locals.originalParent = this.parent ? (this.parent._id || this.parent) : null;
+});
+
 // Pre-save middleware to manage hierarchy
 categorySchema.pre('save', async function(next) {
   if (this.isModified('parent')) {
-    const oldParentId = this.isModified('parent') ? this.parent : null;
-    const newParentId = this.parent;
+    const oldParentId = this.isNew ? null : this.$locals.originalParent;
+    const newParentId = this.parent ? (this.parent._id || this.parent) : null;
     
     try {
       // Remove from old parent's children
-      if (oldParentId) {
+      if (oldParentId && (!newParentId || oldParentId.toString() !== newParentId.toString())) {
         await this.constructor.findByIdAndUpdate(oldParentId, {
           $pull: { children: this._id }
         });
@@ -158,6 +165,8 @@ categorySchema.pre('save', async function(next) {
     } catch (error) {
       return next(error);
     }
+    
+    this.$locals.originalParent = newParentId;
   }
   next();
 });
@@ -176,8 +185,8 @@ categorySchema.post('save', async function(doc) {
   }
 });
 
-// Pre-remove middleware to clean up references
-categorySchema.pre('remove', async function(next) {
+// Pre-delete middleware to clean up references
+categorySchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   try {
     // Remove from parent's children array
     if (this.parent) {
@@ -186,17 +195,20 @@ categorySchema.pre('remove', async function(next) {
       });
     }
     
-    // Update all child categories to have no parent
+    // Child categories become roots
     await this.constructor.updateMany(
       { parent: this._id },
-      { $unset: { parent: 1 } }
+      { $set: { parent: null } }
     );
     
     // Set category to null for all posts in this category
-    await mongoose.model('Post').updateMany(
+    const result = await mongoose.model('Post').updateMany(
       { category: this._id },
       { $unset: { category: 1 } }
     );
+    if (result.modifiedCount > 0) {
+      events.emit('posts:updated', { changedPaths: ['category'] });
+    }
     
     next();
   } catch (error) {
@@ -238,20 +250,99 @@ categorySchema.methods.isRoot = function() {
   return !this.parent;
 };
 
+// Instance method to get ancestor ids, nearest parent first.
+// Walks the parent chain in the database, so it works on unpopulated documents.
+categorySchema.methods.getAncestorIds = async function() {
+  const ancestors = [];
+  const seen = new Set([this._id.toString()]);
+  let parentId = this.parent ? (this.parent._id || this.parent) : null;
+  
+  while (parentId && !seen.has(parentId.toString())) {
+    seen.add(parentId.toString());
+    ancestors.push(parentId);
+    
+    const parent = await this.constructor.findById(parentId).select('parent');
+    parentId = parent && parent.parent ? parent.parent : null;
+  }
+  
+  return ancestors;
+};
+
+// Instance method to get ancestor categories, root first.
+// Like getAncestorIds, it does not need a populated parent chain.
+categorySchema.methods.getAncestors = async function(select = 'name slug parent') {
+  const ids = await this.getAncestorIds();
+  if (ids.length === 0) {
+    return [];
+  }
+  
+  const ancestors = await this.constructor.find({ _id: { $in: ids } }).select(select);
+  const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+  
+  return ids
+    .reverse()
+    .map(id => byId.get(id.toString()))
+    .filter(Boolean);
+};
+
+// Instance method to get depth in the tree (0 for root categories)
+categorySchema.methods.getLevel = async function() {
+  const ids = await this.getAncestorIds();
+  return ids.length;
+};
+
 // Instance method to get full path
-categorySchema.methods.getFullPath = function() {
-  const path = [this.name];
-  let current = this.parent;
-  const pathComponents = [];
+categorySchema.methods.getFullPath = async function(separator = ' > ') {
+  const ancestors = await this.getAncestors('name');
+  return [...ancestors.map(ancestor => ancestor.name), this.name].join(separator);
+};
+
+// Instance method to check whether parentId is this category or one of its descendants
+categorySchema.methods.wouldCreateCycle = async function(parentId) {
+  if (!parentId) {
+    return false;
+  }
   
-  while (current) {
-    pathComponents.unshift(current.name);
-    current = current.parent;
+  if (parentId.toString() === this._id.toString()) {
+    return true;
+  }
+  
+  const parent = await this.constructor.findById(parentId).select('parent');
+  if (!parent) {
+    return false;
   }
   
-  return pathComponents.join(' > ') + (pathComponents.length > 0 ? ' > ' : '') + this.name;
+  const ancestorIds = await parent.getAncestorIds();
+  return ancestorIds.some(id => id.toString() === this._id.toString());
+};
+
+// Instance method to move the category under a new parent (null for root),
+// inserting it at a 0-based position among its new siblings
+categorySchema.methods.moveTo = async function(parentId, position) {
+  const from = this.parent ? (this.parent._id || this.parent) : null;
+  const to = parentId || null;
+  
+  this.parent = to;
+  await this.save();
+  
+  const siblings = await this.constructor.find({ parent: to, _id: { $ne: this._id } })
+    .select('_id')
+    .sort({ sortOrder: 1, name: 1 });
+  
+  const order = siblings.map(sibling => sibling._id);
+  const index = position === undefined || position === null
+    ? order.length
+    : Math.min(Math.max(parseInt(position), 0), order.length);
+  order.splice(index, 0, this._id);
+  
+  await this.constructor.reorderChildren(to, order);
+  this.sortOrder = index;
+  
+  events.emit('category:moved', this, { from, to });
+  return this;
 };
 
+
 // Static method to find active categories
 categorySchema.statics.findActive = function() {
   return this.find({ isActive: true })
@@ -266,16 +357,17 @@ categorySchema.statics.findFeatured = function(limit = 5) {
     .limit(limit);
 };
 
-// Static method to find root categories
+// Static method to find root categories (parent is null or missing)
 categorySchema.statics.findRoots = function() {
-  return this.find({ isActive: true, parent: { $exists: false } })
+  return this.find({ isActive: true, parent: null })
     .sort({ sortOrder: 1, name: 1 });
 };
 
-// Static method to build category tree
-categorySchema.statics.buildTree = async function() {
-  const categories = await this.find({ isActive: true })
-    .populate('parent', 'name slug')
+// Static method to build category tree.
+// Inactive categories are left out together with their subtrees unless
+// includeInactive is set; categories whose parent no longer exists become roots.
+categorySchema.statics.buildTree = async function(options = {}) {
+  const categories = await this.find()
     .sort({ sortOrder: 1, name: 1 });
   
   const categoryMap = {};
@@ -288,17 +380,40 @@ categorySchema.statics.buildTree = async function() {
   
   // Build tree structure
   categories.forEach(category => {
-    if (category.parent) {
-      const parentId = category.parent._id || category.parent;
-      if (categoryMap[parentId]) {
-        categoryMap[parentId].children.push(categoryMap[category._id]);
-      }
+    const parentId = category.parent ? (category.parent._id || category.parent) : null;
+    if (parentId && categoryMap[parentId]) {
+      categoryMap[parentId].children.push(categoryMap[category._id]);
     } else {
       rootCategories.push(categoryMap[category._id]);
     }
   });
   
-  return rootCategories;
+  // Annotate depth and drop inactive branches
+  const visit = (nodes, level) => nodes
+    .filter(node => options.includeInactive || node.isActive)
+    .map(node => ({
+      ...node,
+      level,
+      children: visit(node.children, level + 1)
+    }));
+  
+  return visit(rootCategories, 0);
+};
+
+// Static method to set the order of a parent's children (null for roots)
+categorySchema.statics.reorderChildren = async function(parentId, orderedIds) {
+  if (orderedIds.length > 0) {
+    await this.bulkWrite(orderedIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { sortOrder: index } }
+      }
+    })));
+  }
+  
+  if (parentId) {
+    await this.updateOne({ _id: parentId }, { $set: { children: orderedIds } });
+  }
 };
 
 // Static method for search
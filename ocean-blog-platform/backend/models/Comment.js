@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const events = require('../utils/events');
 
 const commentSchema = new mongoose.Schema({
   content: {
@@ -47,6 +48,30 @@ const commentSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'rejected'],
     default: 'approved'
   },
+  moderation: {
+    // Pre-moderation rules that held the comment (see utils/moderation.js)
+    reasons: [String],
+    // Spam and toxicity score from utils/commentFilter, 0-100
+    spamScore: {
+      type: Number,
+      default: 0
+    },
+    signals: [{
+      _id: false,
+      scorer: String,
+      score: Number,
+      reason: String
+    }],
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
   isEdited: {
     type: Boolean,
     default: false
@@ -88,8 +113,28 @@ const commentSchema = new mongoose.Schema({
     reportedAt: {
       type: Date,
       default: Date.now
+    },
+    // open until a moderator resolves (acts on the comment) or dismisses it
+    status: {
+      type: String,
+      enum: ['open', 'resolved', 'dismissed'],
+      default: 'open'
+    },
+    handledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    handledAt: {
+      type: Date,
+      default: null
     }
-  }]
+  }],
+  // Number of open reports, one per reporter
+  openReports: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -111,6 +156,9 @@ commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ author: 1 });
 commentSchema.index({ parentComment: 1 });
 commentSchema.index({ status: 1 });
+commentSchema.index({ status: 1, 'moderation.spamScore': -1 });
+commentSchema.index({ ipAddress: 1, createdAt: -1 });
+commentSchema.index({ openReports: -1 });
 commentSchema.index({ createdAt: -1 });
 
 // Instance method to toggle like
@@ -196,6 +244,14 @@ commentSchema.methods.restore = function() {
   return this.save();
 };
 
+// Instance method to record a moderator's decision
+commentSchema.methods.moderate = function(status, moderatorId) {
+  this.status = status;
+  this.moderation.reviewedBy = moderatorId;
+  this.moderation.reviewedAt = new Date();
+  return this.save();
+};
+
 // Instance method to report comment
 commentSchema.methods.report = function(userId, reason, description = '') {
   // Check if user already reported
@@ -212,10 +268,32 @@ commentSchema.methods.report = function(userId, reason, description = '') {
     reason,
     description
   });
+  this.openReports = this.reports.filter(report => report.status === 'open').length;
   
   return this.save();
 };
 
+// Instance method to check whether a user has reported the comment before
+commentSchema.methods.hasReportFrom = function(userId) {
+  return this.reports.some(report => report.reportedBy.toString() === userId.toString());
+};
+
+// Instance method to close every open report as resolved or dismissed.
+// Returns the reports that were closed; the caller saves the comment.
+commentSchema.methods.closeReports = function(status, moderatorId) {
+  const closed = this.reports.filter(report => report.status === 'open');
+  const handledAt = new Date();
+
+  closed.forEach(report => {
+    report.status = status;
+    report.handledBy = moderatorId;
+    report.handledAt = handledAt;
+  });
+  this.openReports = 0;
+
+  return closed;
+};
+
 // Instance method to get report count
 commentSchema.methods.getReportCount = function() {
   return this.reports.length;
@@ -230,7 +308,7 @@ commentSchema.statics.findByPost = function(postId, options = {}) {
   };
   
   if (options.parentOnly) {
-    query.parentComment = { $exists: false };
+    query.parentComment = null;
   }
   
   return this.find(query)
@@ -294,10 +372,10 @@ commentSchema.statics.getStats = function() {
   ]);
 };
 
-// Static method to find reported comments
+// Static method to find comments with open reports
 commentSchema.statics.findReported = function() {
   return this.find({
-    reports: { $exists: true, $ne: [] },
+    openReports: { $gt: 0 },
     isDeleted: false
   })
   .populate('author', 'name email')
@@ -320,8 +398,9 @@ commentSchema.pre('save', async function(next) {
   next();
 });
 
-// Pre-remove middleware to clean up references
-commentSchema.pre('remove', async function(next) {
+// Pre-delete middleware to clean up references.
+// The post's comment list is rebuilt by the counters service on comment:deleted.
+commentSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   try {
     // Remove from parent's replies array
     if (this.parentComment) {
@@ -333,24 +412,30 @@ commentSchema.pre('remove', async function(next) {
     // Remove all replies
     await this.constructor.deleteMany({ parentComment: this._id });
     
-    // Remove from post's comments array
-    await mongoose.model('Post').findByIdAndUpdate(this.post, {
-      $pull: { comments: this._id }
-    });
-    
     next();
   } catch (error) {
     next(error);
   }
 });
 
-// Post-save middleware to update post comment count
-commentSchema.post('save', async function(doc) {
-  if (doc.status === 'approved' && !doc.isDeleted) {
-    await mongoose.model('Post').findByIdAndUpdate(doc.post, {
-      $addToSet: { comments: doc._id }
-    });
-  }
+// Pre-save middleware to remember what changed for comment:saved listeners
+commentSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.changedPaths = this.modifiedPaths();
+  next();
+});
+
+// Post-save middleware to announce the change
+commentSchema.post('save', function(doc) {
+  events.emit('comment:saved', doc, {
+    isNew: doc.$locals.wasNew,
+    changedPaths: doc.$locals.changedPaths || []
+  });
+});
+
+// Post-delete middleware to announce the removal
+commentSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  events.emit('comment:deleted', doc);
 });
 
 const Comment = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Please provide a job type'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Optional reference used to find and replace a job, e.g. the post being published
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, reference: 1, status: 1 });
+
+// Static method to atomically claim the next due job
+jobSchema.statics.claimNext = function(workerId) {
+  return this.findOneAndUpdate(
+    { status: 'pending', runAt: { $lte: new Date() } },
+    {
+      $set: { status: 'running', lockedAt: new Date(), lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to requeue jobs left running by a crashed or restarted process
+jobSchema.statics.releaseStale = function(staleAfterMs) {
+  return this.updateMany(
+    { status: 'running', lockedAt: { $lte: new Date(Date.now() - staleAfterMs) } },
+    { $set: { status: 'pending', lockedAt: null, lockedBy: null } }
+  );
+};
+
+// Static method to cancel pending jobs for a reference
+jobSchema.statics.cancelPending = function(type, reference) {
+  return this.updateMany(
+    { type, reference, status: 'pending' },
+    { $set: { status: 'cancelled' } }
+  );
+};
+
+// Instance method to mark job as completed
+jobSchema.methods.complete = function() {
+  this.status = 'completed';
+  this.completedAt = new Date();
+  this.lockedAt = null;
+  this.lockedBy = null;
+  return this.save();
+};
+
+// Instance method to record a failure, retrying with backoff until maxAttempts
+jobSchema.methods.fail = function(error) {
+  this.lastError = error.message || String(error);
+  this.lockedAt = null;
+  this.lockedBy = null;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+    this.runAt = new Date(Date.now() + Math.pow(2, this.attempts) * 60 * 1000);
+  }
+
+  return this.save();
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
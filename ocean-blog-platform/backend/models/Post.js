@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
-const slugify = require('slugify');
+const { generateUniqueSlug, stripHtml, generateExcerpt } = require('../utils/helpers');
+const { renderMarkdown } = require('../utils/markdown');
+const { sanitizePostHtml } = require('../utils/sanitize');
+const { buildToc } = require('../utils/toc');
+const events = require('../utils/events');
+const PostRevision = require('./PostRevision');
+const Tag = require('./Tag');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -13,11 +19,27 @@ const postSchema = new mongoose.Schema({
     unique: true,
     lowercase: true
   },
+  // Slugs this post was reachable at before a rename, kept for redirects
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
   content: {
     type: String,
     required: [true, 'Please provide content'],
     maxlength: [50000, 'Content cannot be more than 50,000 characters']
   },
+  // Format the author wrote in; markdown posts keep their source and render into content
+  contentFormat: {
+    type: String,
+    enum: ['html', 'markdown'],
+    default: 'html'
+  },
+  contentSource: {
+    type: String,
+    maxlength: [50000, 'Content cannot be more than 50,000 characters'],
+    default: ''
+  },
   excerpt: {
     type: String,
     maxlength: [300, 'Excerpt cannot be more than 300 characters'],
@@ -37,6 +59,36 @@ const postSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Invited co-authors: editors can change the post, reviewers can only read drafts
+  coAuthors: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['editor', 'reviewer'],
+      default: 'editor'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted'],
+      default: 'pending'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    acceptedAt: {
+      type: Date,
+      default: null
+    }
+  }],
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -50,9 +102,36 @@ const postSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'pending_review', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
+  // Editorial review transitions with the reviewer's notes, oldest first
+  reviewHistory: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'changes_requested'],
+      required: true
+    },
+    fromStatus: String,
+    toStatus: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: [2000, 'Review note cannot be more than 2000 characters'],
+      default: ''
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  publishAt: {
+    type: Date,
+    default: null
+  },
   publishedAt: {
     type: Date,
     default: null
@@ -81,6 +160,13 @@ const postSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
   }],
+  // h2-h4 headings with their anchor ids, generated from content
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    anchor: String
+  }],
   readingTime: {
     type: Number, // in minutes
     default: 0
@@ -112,6 +198,13 @@ const postSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Per-post pre-moderation rules; null falls back to the site default
+  commentModeration: {
+    holdAll: { type: Boolean, default: null },
+    holdNewAccounts: { type: Boolean, default: null },
+    holdUnverified: { type: Boolean, default: null },
+    holdLinks: { type: Boolean, default: null }
+  },
   allowLikes: {
     type: Boolean,
     default: true
@@ -150,10 +243,13 @@ postSchema.virtual('isPublished').get(function() {
 
 // Index for better query performance
 postSchema.index({ slug: 1 });
+postSchema.index({ previousSlugs: 1 });
 postSchema.index({ author: 1 });
+postSchema.index({ 'coAuthors.user': 1 });
 postSchema.index({ category: 1 });
 postSchema.index({ status: 1 });
 postSchema.index({ publishedAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ featured: 1 });
 postSchema.index({ tags: 1 });
@@ -167,26 +263,93 @@ postSchema.index({
   tags: 'text'
 });
 
-// Pre-save middleware to generate slug
-postSchema.pre('save', function(next) {
-  // Generate slug from title
-  if (this.isModified('title') && !this.slug) {
-    this.slug = slugify(this.title, {
-      lower: true,
-      strict: true,
-      remove: /[*+~.()'"!:@]/g
-    });
+// Pre-validate middleware to render Markdown and sanitize HTML before storage.
+// Markdown posts always derive `content` from their source; HTML sent for
+// them directly is discarded.
+postSchema.pre('validate', function(next) {
+  if (this.contentFormat === 'markdown') {
+    if (this.isModified('contentSource') || this.isModified('contentFormat') || this.isModified('content')) {
+      this.content = sanitizePostHtml(renderMarkdown(this.contentSource));
+    }
+  } else if (this.isModified('content') || this.isModified('contentFormat')) {
+    this.content = sanitizePostHtml(this.content);
+    this.contentSource = '';
+  }
+  
+  next();
+});
+
+// Pre-validate middleware to make sure scheduled posts have a future publish time
+postSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && (this.isModified('status') || this.isModified('publishAt'))) {
+    if (!this.publishAt) {
+      this.invalidate('publishAt', 'Scheduled posts require a publishAt date');
+    } else if (this.publishAt <= new Date()) {
+      this.invalidate('publishAt', 'publishAt must be in the future', this.publishAt);
+    }
   }
   
+  next();
+});
+
+// Pre-save middleware to generate a unique slug and keep old ones for redirects
+postSchema.pre('save', async function(next) {
+  try {
+    let source = null;
+    
+    // An explicitly provided slug wins, otherwise follow the title
+    if (this.isModified('slug') && this.slug) {
+      source = this.slug;
+    } else if (this.isModified('title') || !this.slug) {
+      source = this.title;
+    }
+    
+    if (source) {
+      const oldSlug = this.isNew ? null : (await this.constructor.findById(this._id).select('slug'))?.slug;
+      const newSlug = await generateUniqueSlug(this.constructor, source, this._id);
+      
+      if (oldSlug && oldSlug !== newSlug && !this.previousSlugs.includes(oldSlug)) {
+        this.previousSlugs.push(oldSlug);
+      }
+      
+      this.slug = newSlug;
+      this.previousSlugs = this.previousSlugs.filter(slug => slug !== newSlug);
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pre-save middleware to rewrite tag aliases (e.g. "js") to their canonical tag
+postSchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('tags') && this.tags.length > 0) {
+      this.tags = await Tag.canonicalize(this.tags);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pre-save middleware to compute derived fields
+postSchema.pre('save', function(next) {
   // Calculate word count and reading time
   if (this.isModified('content')) {
-    this.wordCount = this.content.split(/\s+/).length;
+    // Anchor the headings and build the table of contents
+    const { html, toc } = buildToc(this.content);
+    this.content = html;
+    this.toc = toc;
+    
+    const plainText = stripHtml(this.content);
+    this.wordCount = plainText ? plainText.split(/\s+/).length : 0;
     this.readingTime = Math.ceil(this.wordCount / 200); // Assuming 200 words per minute
     
     // Generate excerpt if not provided
     if (!this.excerpt) {
-      const plainText = this.content.replace(/<[^>]*>/g, ''); // Remove HTML tags
-      this.excerpt = plainText.substring(0, 300) + (plainText.length > 300 ? '...' : '');
+      this.excerpt = generateExcerpt(this.content, 300);
     }
   }
   
@@ -198,6 +361,75 @@ postSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to remember which revisioned fields changed
+postSchema.pre('save', function(next) {
+  this.$locals.revisionChanges = PostRevision.REVISION_FIELDS.filter(field =>
+    this.isNew || this.isModified(field)
+  );
+  next();
+});
+
+// Post-save middleware to snapshot the saved version into the revision history.
+// The post is already stored by now, so a failed snapshot is logged rather than
+// reported as a failed save (which would invite the client to repeat the edit).
+postSchema.post('save', async function(doc) {
+  const changedFields = doc.$locals.revisionChanges || [];
+  if (changedFields.length === 0) return;
+
+  try {
+    await PostRevision.createFromPost(doc, {
+      editedBy: doc.$locals.editedBy || doc.author,
+      changedFields,
+      restoredFrom: doc.$locals.restoredFrom
+    });
+  } catch (error) {
+    console.error(`Revision for post ${doc._id} could not be recorded:`, error);
+  }
+
+  doc.$locals.revisionChanges = [];
+  doc.$locals.restoredFrom = null;
+});
+
+// Values that denormalized counters are keyed on, as last loaded or saved
+const counterSnapshot = (doc) => ({
+  author: doc.author ? (doc.author._id || doc.author) : null,
+  category: doc.category ? (doc.category._id || doc.category) : null,
+  tags: doc.tags ? [...doc.tags] : [],
+  coAuthors: (doc.coAuthors || [])
+    .filter(coAuthor => coAuthor.status === 'accepted' && coAuthor.user)
+    .map(coAuthor => coAuthor.user._id || coAuthor.user)
+});
+
+postSchema.post('init', function() {
+  this.$locals.previous = counterSnapshot(this);
+});
+
+// Pre-save middleware to remember what changed for post:saved listeners
+postSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.changedPaths = this.modifiedPaths();
+  next();
+});
+
+// Post-save middleware to announce the change
+postSchema.post('save', function(doc) {
+  const previous = doc.$locals.previous || {};
+  doc.$locals.previous = counterSnapshot(doc);
+
+  events.emit('post:saved', doc, {
+    isNew: doc.$locals.wasNew,
+    changedPaths: doc.$locals.changedPaths || [],
+    previous
+  });
+});
+
+// Post-delete middleware to announce the removal
+postSchema.post('findOneAndDelete', function(doc) {
+  if (doc) {
+    events.emit('post:deleted', doc);
+  }
+});
+
 // Pre-save middleware to update updatedAt
 postSchema.pre('save', function(next) {
   if (!this.isNew) {
@@ -206,14 +438,65 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to increment views
+// Instance method to find a co-author entry for a user
+postSchema.methods.getCoAuthor = function(userId) {
+  if (!userId) return null;
+  const userIdStr = userId.toString();
+  return this.coAuthors.find(coAuthor =>
+    (coAuthor.user._id || coAuthor.user).toString() === userIdStr
+  ) || null;
+};
+
+// Instance method to check if a user is the author
+postSchema.methods.isAuthor = function(userId) {
+  if (!userId) return false;
+  return (this.author._id || this.author).toString() === userId.toString();
+};
+
+// Instance method to check if a user is the author or an accepted co-author with one of the roles
+postSchema.methods.hasCollaboratorAccess = function(userId, roles = ['editor', 'reviewer']) {
+  if (this.isAuthor(userId)) return true;
+  const coAuthor = this.getCoAuthor(userId);
+  return !!coAuthor && coAuthor.status === 'accepted' && roles.includes(coAuthor.role);
+};
+
+// Instance method to move the post through the review workflow and record it
+postSchema.methods.recordReview = function(action, userId, toStatus, note = '') {
+  this.reviewHistory.push({
+    action,
+    fromStatus: this.status,
+    toStatus,
+    by: userId,
+    note
+  });
+  this.status = toStatus;
+  return this;
+};
+
+// Instance method to increment views. Counted atomically without save() so a
+// page view neither bumps updatedAt nor looks like an edit to post:saved listeners.
 postSchema.methods.incrementViews = function() {
   this.views += 1;
-  return this.save();
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { views: 1 } },
+    { timestamps: false }
+  );
 };
 
+// Add or remove a user in likedBy/dislikedBy and keep its counter in step.
+// The filter turns a repeated write into a no-op, so counts cannot drift, and
+// timestamps are left alone: a reaction is not an edit to the post.
+const setReaction = (post, list, counter, userId, on) => post.constructor.updateOne(
+  { _id: post._id, [list]: on ? { $ne: userId } : userId },
+  on
+    ? { $push: { [list]: userId }, $inc: { [counter]: 1 } }
+    : { $pull: { [list]: userId }, $inc: { [counter]: -1 } },
+  { timestamps: false }
+);
+
 // Instance method to toggle like
-postSchema.methods.toggleLike = function(userId) {
+postSchema.methods.toggleLike = async function(userId) {
   const userIdStr = userId.toString();
   const likedIndex = this.likedBy.findIndex(id => id.toString() === userIdStr);
   const dislikedIndex = this.dislikedBy.findIndex(id => id.toString() === userIdStr);
@@ -222,23 +505,26 @@ postSchema.methods.toggleLike = function(userId) {
     // User already liked, remove like
     this.likedBy.splice(likedIndex, 1);
     this.likes = Math.max(0, this.likes - 1);
+    await setReaction(this, 'likedBy', 'likes', userId, false);
   } else {
     // Add like
     this.likedBy.push(userId);
     this.likes += 1;
+    await setReaction(this, 'likedBy', 'likes', userId, true);
     
     // Remove from disliked if exists
     if (dislikedIndex > -1) {
       this.dislikedBy.splice(dislikedIndex, 1);
       this.dislikes = Math.max(0, this.dislikes - 1);
+      await setReaction(this, 'dislikedBy', 'dislikes', userId, false);
     }
   }
   
-  return this.save();
+  return this;
 };
 
 // Instance method to toggle dislike
-postSchema.methods.toggleDislike = function(userId) {
+postSchema.methods.toggleDislike = async function(userId) {
   const userIdStr = userId.toString();
   const likedIndex = this.likedBy.findIndex(id => id.toString() === userIdStr);
   const dislikedIndex = this.dislikedBy.findIndex(id => id.toString() === userIdStr);
@@ -247,19 +533,22 @@ postSchema.methods.toggleDislike = function(userId) {
     // User already disliked, remove dislike
     this.dislikedBy.splice(dislikedIndex, 1);
     this.dislikes = Math.max(0, this.dislikes - 1);
+    await setReaction(this, 'dislikedBy', 'dislikes', userId, false);
   } else {
     // Add dislike
     this.dislikedBy.push(userId);
     this.dislikes += 1;
+    await setReaction(this, 'dislikedBy', 'dislikes', userId, true);
     
     // Remove from liked if exists
     if (likedIndex > -1) {
       this.likedBy.splice(likedIndex, 1);
       this.likes = Math.max(0, this.likes - 1);
+      await setReaction(this, 'likedBy', 'likes', userId, false);
     }
   }
   
-  return this.save();
+  return this;
 };
 
 // Instance method to increment share count
@@ -273,10 +562,28 @@ postSchema.methods.incrementShare = function(platform) {
   return this.save();
 };
 
+// Static method to resolve a post by its current or a previous slug
+postSchema.statics.findBySlug = async function(slug) {
+  const normalized = slug.toLowerCase();
+  
+  const post = await this.findOne({ slug: normalized });
+  if (post) {
+    return { post, redirect: false };
+  }
+  
+  const moved = await this.findOne({ previousSlugs: normalized });
+  if (moved) {
+    return { post: moved, redirect: true };
+  }
+  
+  return { post: null, redirect: false };
+};
+
 // Static method to find published posts
-postSchema.statics.findPublished = function() {
-  return this.find({ status: 'published', isPublic: true })
+postSchema.statics.findPublished = function(filter = {}) {
+  return this.find({ ...filter, status: 'published', isPublic: true })
     .populate('author', 'name email avatar')
+    .populate('coAuthors.user', 'name avatar')
     .populate('category', 'name color');
 };
 
@@ -289,9 +596,35 @@ postSchema.statics.findFeatured = function(limit = 5) {
     .limit(limit);
 };
 
+// Static method to build a query matching posts by an author or accepted co-author
+postSchema.statics.authorQuery = function(authorId) {
+  return {
+    $or: [
+      { author: authorId },
+      { coAuthors: { $elemMatch: { user: authorId, status: 'accepted' } } }
+    ]
+  };
+};
+
+// Static method to list everyone credited on the matching posts, counted the
+// same way as authorQuery: primary authors plus accepted co-authors
+postSchema.statics.authorIds = async function(query = {}) {
+  const [authors, coAuthors] = await Promise.all([
+    this.distinct('author', query),
+    this.aggregate([
+      { $match: { ...this.find().cast(this, { ...query }), 'coAuthors.status': 'accepted' } },
+      { $unwind: '$coAuthors' },
+      { $match: { 'coAuthors.status': 'accepted' } },
+      { $group: { _id: '$coAuthors.user' } }
+    ])
+  ]);
+
+  return [...authors, ...coAuthors.map(coAuthor => coAuthor._id)];
+};
+
 // Static method to find posts by author
 postSchema.statics.findByAuthor = function(authorId, options = {}) {
-  const query = { author: authorId };
+  const query = this.authorQuery(authorId);
   if (options.status) query.status = options.status;
   if (options.category) query.category = options.category;
   
@@ -307,6 +640,7 @@ postSchema.statics.search = function(searchTerm, options = {}) {
     status: 'published',
     isPublic: true
   };
+  if (options.exclude) query._id = { $nin: [].concat(options.exclude) };
   
   const projection = {
     score: { $meta: 'textScore' }
@@ -319,31 +653,37 @@ postSchema.statics.search = function(searchTerm, options = {}) {
     .limit(options.limit || 20);
 };
 
-// Static method to get posts by category
+// Static method to get posts by category (or any of several categories)
 postSchema.statics.findByCategory = function(categoryId, options = {}) {
   const query = {
-    category: categoryId,
+    category: Array.isArray(categoryId) ? { $in: categoryId } : categoryId,
     status: 'published',
     isPublic: true
   };
+  if (options.exclude) query._id = { $nin: [].concat(options.exclude) };
   
-  return this.find(query)
+  const find = this.find(query)
     .populate('author', 'name email avatar')
     .sort({ publishedAt: -1 });
+  
+  return options.limit ? find.limit(options.limit) : find;
 };
 
-// Static method to get posts by tag
+// Static method to get posts by tag (or any of several tags)
 postSchema.statics.findByTag = function(tag, options = {}) {
   const query = {
-    tags: tag.toLowerCase(),
+    tags: Array.isArray(tag) ? { $in: tag.map(t => t.toLowerCase()) } : tag.toLowerCase(),
     status: 'published',
     isPublic: true
   };
+  if (options.exclude) query._id = { $nin: [].concat(options.exclude) };
   
-  return this.find(query)
+  const find = this.find(query)
     .populate('author', 'name email avatar')
     .populate('category', 'name color')
     .sort({ publishedAt: -1 });
+  
+  return options.limit ? find.limit(options.limit) : find;
 };
 
 // Pre-remove middleware to clean up references
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Fields copied from a Post into every revision snapshot
+const REVISION_FIELDS = ['title', 'content', 'contentFormat', 'contentSource', 'excerpt', 'seo', 'tags', 'category', 'featuredImage', 'status'];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  contentFormat: {
+    type: String,
+    enum: ['html', 'markdown'],
+    default: 'html'
+  },
+  contentSource: {
+    type: String,
+    default: ''
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  seo: {
+    metaTitle: String,
+    metaDescription: String,
+    keywords: [String]
+  },
+  tags: [String],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  featuredImage: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedFields: [String],
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+postRevisionSchema.index({ editedBy: 1 });
+
+// Concurrent saves of one post can pick the same next revision number; the
+// unique index rejects all but one and the others try the following number
+const MAX_REVISION_ATTEMPTS = 5;
+
+// Static method to snapshot the current state of a post
+postRevisionSchema.statics.createFromPost = async function(post, options = {}) {
+  const snapshot = {
+    post: post._id,
+    editedBy: options.editedBy || null,
+    changedFields: options.changedFields || [],
+    restoredFrom: options.restoredFrom || null
+  };
+
+  REVISION_FIELDS.forEach(field => {
+    const value = post.get(field);
+    snapshot[field] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ post: post._id })
+      .sort({ revision: -1 })
+      .select('revision');
+    snapshot.revision = latest ? latest.revision + 1 : 1;
+
+    try {
+      return await this.create(snapshot);
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Static method to find revisions of a post, newest first
+postRevisionSchema.statics.findByPost = function(postId) {
+  return this.find({ post: postId })
+    .select('-content -contentSource')
+    .populate('editedBy', 'name email avatar')
+    .sort({ revision: -1 });
+};
+
+// Instance method to copy this revision's content back onto a post
+postRevisionSchema.methods.applyTo = function(post) {
+  ['title', 'content', 'contentFormat', 'contentSource', 'excerpt', 'seo', 'tags', 'category', 'featuredImage'].forEach(field => {
+    const value = this.get(field);
+    post.set(field, value && typeof value.toObject === 'function' ? value.toObject() : value);
+  });
+  return post;
+};
+
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+
+PostRevision.REVISION_FIELDS = REVISION_FIELDS;
+
+module.exports = PostRevision;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/helpers');
+
+// A named, ordered collection of a reader's bookmarked posts. Public lists
+// can be shared by slug; private ones are only visible to their owner.
+const readingListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a list name'],
+    trim: true,
+    maxlength: [100, 'List name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Posts in the order the reader arranged them
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for URL
+readingListSchema.virtual('url').get(function() {
+  return `/lists/${this.slug}`;
+});
+
+// Virtual for number of posts
+readingListSchema.virtual('postCount').get(function() {
+  return this.posts ? this.posts.length : 0;
+});
+
+// Index for better query performance
+readingListSchema.index({ user: 1, updatedAt: -1 });
+readingListSchema.index({ posts: 1 });
+
+// Pre-save middleware to generate a unique slug
+readingListSchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('name') || !this.slug) {
+      this.slug = await generateUniqueSlug(this.constructor, this.name, this._id);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to check ownership
+readingListSchema.methods.isOwnedBy = function(userId) {
+  const ownerId = this.user && this.user._id ? this.user._id : this.user;
+  return Boolean(userId) && ownerId.toString() === userId.toString();
+};
+
+// Instance method to get the posts readers can see, in list order
+readingListSchema.methods.getVisiblePosts = async function() {
+  const Post = mongoose.model('Post');
+  const posts = await Post.find({
+    _id: { $in: this.posts },
+    status: 'published',
+    isPublic: true
+  })
+    .select('title slug excerpt featuredImage tags category author publishedAt readingTime')
+    .populate('author', 'name avatar')
+    .populate('category', 'name slug color');
+  
+  const byId = new Map(posts.map(post => [post._id.toString(), post]));
+  return this.posts.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Static method to drop a post from every list, e.g. when it is deleted or unbookmarked
+readingListSchema.statics.removePost = function(postId, userId = null) {
+  const query = { posts: postId };
+  if (userId) query.user = userId;
+  return this.updateMany(query, { $pull: { posts: postId } });
+};
+
+const ReadingList = mongoose.model('ReadingList', readingListSchema);
+
+module.exports = ReadingList;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Scrolled this far (percent) and a post counts as finished
+const FINISHED_PERCENT = parseInt(process.env.READING_FINISHED_PERCENT) || 95;
+
+// How far a signed-in reader got through a post, synced across devices
+const readingProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Scroll position through the article body, 0-100
+  percent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // Id of the last heading the reader passed, to resume at
+  anchor: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Anchor cannot be more than 200 characters'],
+    default: ''
+  },
+  // Set the first time the reader reaches the end; kept when they scroll back up
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  // When the reader's device recorded the position; older writes are ignored
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for reading state
+readingProgressSchema.virtual('state').get(function() {
+  return this.finishedAt ? 'finished' : 'in-progress';
+});
+
+// Index for better query performance
+readingProgressSchema.index({ user: 1, post: 1 }, { unique: true });
+readingProgressSchema.index({ user: 1, lastReadAt: -1 });
+readingProgressSchema.index({ post: 1 });
+
+// Static method to record a position. Writes recorded earlier than the stored
+// one (e.g. a device coming back online) do not move the reader backwards.
+// The write is a single upsert so two devices saving at once cannot collide.
+readingProgressSchema.statics.record = async function(userId, postId, { percent, anchor = '', readAt = new Date() }) {
+  const finished = percent >= FINISHED_PERCENT;
+  const upsert = () => this.findOneAndUpdate(
+    { user: userId, post: postId, lastReadAt: { $lte: readAt } },
+    {
+      $set: { percent: Math.round(percent * 10) / 10, anchor, lastReadAt: readAt },
+      $setOnInsert: { finishedAt: finished ? readAt : null }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  
+  let progress;
+  try {
+    progress = await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    
+    // Either a newer position is stored, or another first write created the
+    // document just now; the retry updates it in the second case
+    try {
+      progress = await upsert();
+    } catch (retryError) {
+      if (retryError.code !== 11000) throw retryError;
+      return this.findOne({ user: userId, post: postId });
+    }
+  }
+  
+  // Keep the first time the reader reached the end
+  if (finished && !progress.finishedAt) {
+    await this.updateOne({ _id: progress._id, finishedAt: null }, { finishedAt: readAt });
+    progress.finishedAt = readAt;
+  }
+  
+  return progress;
+};
+
+const ReadingProgress = mongoose.model('ReadingProgress', readingProgressSchema);
+
+ReadingProgress.FINISHED_PERCENT = FINISHED_PERCENT;
+
+module.exports = ReadingProgress;
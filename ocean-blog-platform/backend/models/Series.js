@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/helpers');
+
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a series title'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    default: ''
+  },
+  coverImage: {
+    type: String,
+    default: ''
+  },
+  // Parts in reading order
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for URL
+seriesSchema.virtual('url').get(function() {
+  return `/series/${this.slug}`;
+});
+
+// Virtual for number of parts
+seriesSchema.virtual('partCount').get(function() {
+  return this.posts ? this.posts.length : 0;
+});
+
+// Index for better query performance
+seriesSchema.index({ posts: 1 });
+seriesSchema.index({ author: 1 });
+seriesSchema.index({ createdAt: -1 });
+
+// Pre-save middleware to generate a unique slug
+seriesSchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('title') || !this.slug) {
+      this.slug = await generateUniqueSlug(this.constructor, this.title, this._id);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to get the parts readers can see, in order.
+// Archived, unpublished or deleted posts drop out and the rest close the gap.
+seriesSchema.methods.getPublishedParts = async function() {
+  const Post = mongoose.model('Post');
+  const posts = await Post.find({
+    _id: { $in: this.posts },
+    status: 'published',
+    isPublic: true
+  }).select('title slug excerpt featuredImage publishedAt readingTime');
+
+  const byId = new Map(posts.map(post => [post._id.toString(), post]));
+  return this.posts
+    .map(id => byId.get(id.toString()))
+    .filter(Boolean);
+};
+
+// Static method to find the series a post belongs to
+seriesSchema.statics.findByPost = function(postId) {
+  return this.findOne({ posts: postId, isActive: true });
+};
+
+// Static method to get a post's position and neighbours within its series
+seriesSchema.statics.getNavigation = async function(postId) {
+  const series = await this.findByPost(postId);
+  if (!series) return null;
+
+  const parts = await series.getPublishedParts();
+  const index = parts.findIndex(part => part._id.toString() === postId.toString());
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    coverImage: series.coverImage,
+    total: parts.length,
+    // 1-based; null while the post itself is not published
+    position: index > -1 ? index + 1 : null,
+    previous: index > 0 ? parts[index - 1] : null,
+    next: index > -1 && index < parts.length - 1 ? parts[index + 1] : null,
+    parts: parts.map(part => ({ _id: part._id, title: part.title, slug: part.slug }))
+  };
+};
+
+// Static method to drop a post from every series (e.g. when it is deleted)
+seriesSchema.statics.removePost = function(postId) {
+  return this.updateMany({ posts: postId }, { $pull: { posts: postId } });
+};
+
+const Series = mongoose.model('Series', seriesSchema);
+
+module.exports = Series;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Normalise a tag the way Post.tags stores it
+const normaliseTag = (name) => String(name || '').trim().toLowerCase();
+
+// Metadata for a tag. Posts keep their tags as plain strings; a Tag document
+// exists once a tag has a description, aliases, was merged or was counted.
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a tag name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag cannot be more than 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot be more than 300 characters'],
+    default: ''
+  },
+  // Other spellings that are rewritten to this tag (e.g. "js" for "javascript")
+  aliases: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Alias cannot be more than 30 characters']
+  }],
+  seo: {
+    metaTitle: {
+      type: String,
+      maxlength: [60, 'Meta title cannot be more than 60 characters']
+    },
+    metaDescription: {
+      type: String,
+      maxlength: [160, 'Meta description cannot be more than 160 characters']
+    }
+  },
+  // Published public posts using the tag, kept in step by utils/counters
+  postCount: {
+    type: Number,
+    default: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for URL
+tagSchema.virtual('url').get(function() {
+  return `/tag/${encodeURIComponent(this.name)}`;
+});
+
+// Index for better query performance
+tagSchema.index({ aliases: 1 });
+
+// Pre-save middleware to keep aliases unique and distinct from the name
+tagSchema.pre('save', function(next) {
+  if (this.isModified('aliases') || this.isModified('name')) {
+    this.aliases = [...new Set(this.aliases.map(normaliseTag))]
+      .filter(alias => alias && alias !== this.name);
+  }
+  next();
+});
+
+// Static method to find a tag by its name or one of its aliases
+tagSchema.statics.findByNameOrAlias = function(name) {
+  const value = normaliseTag(name);
+  return this.findOne({ $or: [{ name: value }, { aliases: value }] });
+};
+
+// Static method to map tags to their canonical names, dropping duplicates
+tagSchema.statics.canonicalize = async function(names = []) {
+  const values = [...new Set(names.map(normaliseTag).filter(Boolean))];
+  if (values.length === 0) return [];
+
+  const tags = await this.find({ aliases: { $in: values } }).select('name aliases');
+  const canonical = new Map();
+  tags.forEach(tag => tag.aliases.forEach(alias => canonical.set(alias, tag.name)));
+
+  return [...new Set(values.map(value => canonical.get(value) || value))];
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+Tag.normaliseTag = normaliseTag;
+
+module.exports = Tag;
@@ -86,6 +86,11 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Published public posts they wrote or co-wrote, kept in step by utils/counters
+  postCount: {
+    type: Number,
+    default: 0
+  },
   socialLinks: {
     twitter: { type: String, default: '' },
     linkedin: { type: String, default: '' },
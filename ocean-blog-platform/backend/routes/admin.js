@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticate, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { recountAll } = require('../utils/counters');
+
+// @desc    Rebuild every denormalized counter (category, user and tag post
+//          counts, post comment lists) from the source collections
+// @route   POST /api/admin/recount
+// @access  Private (admin)
+router.post('/recount', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const startedAt = Date.now();
+  const updated = await recountAll();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Counters rebuilt successfully',
+    data: {
+      updated,
+      tookMs: Date.now() - startedAt
+    }
+  });
+}));
+
+module.exports = router;
@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const Category = require('../models/Category');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const {
+  validateCreateCategory,
+  validateMoveCategory,
+  validateReorderCategories,
+  validateMongoId
+} = require('../middleware/validation');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { siteUrls } = require('../utils/site');
 
 // Get all categories
 router.get('/', asyncHandler(async (req, res) => {
@@ -14,6 +21,72 @@ router.get('/', asyncHandler(async (req, res) => {
   });
 }));
 
+// Get categories as a nested tree; admins can add ?includeInactive=true
+router.get('/tree', optionalAuth, asyncHandler(async (req, res) => {
+  const includeInactive = req.query.includeInactive === 'true' && req.user && req.user.role === 'admin';
+  const tree = await Category.buildTree({ includeInactive });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      tree
+    }
+  });
+}));
+
+// Set the order of one parent's children in a single request (parent null for roots)
+router.patch('/reorder', authenticate, authorize('admin'), validateReorderCategories, asyncHandler(async (req, res) => {
+  const parent = req.body.parent || null;
+  const order = req.body.order;
+
+  if (parent && !(await Category.exists({ _id: parent }))) {
+    throw new AppError('Parent category not found', 404);
+  }
+
+  const children = await Category.find({ parent }).select('_id');
+  const expected = new Set(children.map(child => child._id.toString()));
+  const given = new Set(order);
+
+  if (given.size !== order.length || given.size !== expected.size || order.some(id => !expected.has(id))) {
+    throw new AppError('Order must list every child category exactly once', 400);
+  }
+
+  await Category.reorderChildren(parent, order);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Categories reordered successfully',
+    data: {
+      tree: await Category.buildTree({ includeInactive: true })
+    }
+  });
+}));
+
+// Get the path from the root down to a category
+router.get('/:slug/breadcrumbs', asyncHandler(async (req, res) => {
+  const category = await Category.findOne({ slug: req.params.slug.toLowerCase(), isActive: true });
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const ancestors = await category.getAncestors('name slug isActive parent');
+  const breadcrumbs = [...ancestors, category].map(item => ({
+    _id: item._id,
+    name: item.name,
+    slug: item.slug,
+    url: siteUrls.category(item.slug)
+  }));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      breadcrumbs,
+      fullPath: breadcrumbs.map(item => item.name).join(' > '),
+      level: ancestors.length
+    }
+  });
+}));
+
 // Get single category
 router.get('/:id', asyncHandler(async (req, res) => {
   const category = await Category.findById(req.params.id);
@@ -27,12 +100,13 @@ router.get('/:id', asyncHandler(async (req, res) => {
 }));
 
 // Create category
-router.post('/', authenticate, asyncHandler(async (req, res) => {
+router.post('/', authenticate, validateCreateCategory, asyncHandler(async (req, res) => {
   const { name, description } = req.body;
   
   const category = await Category.create({
     name,
-    description
+    description,
+    user: req.user._id
   });
   
   res.status(201).json({
@@ -59,6 +133,36 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// Move a category under a new parent (null for root) at a 0-based sortOrder among its siblings
+router.patch('/:id/move', validateMongoId, authenticate, authorize('admin'), validateMoveCategory, asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const parent = req.body.parent || null;
+
+  if (parent && !(await Category.exists({ _id: parent }))) {
+    throw new AppError('Parent category not found', 404);
+  }
+
+  if (await category.wouldCreateCycle(parent)) {
+    throw new AppError('A category cannot be moved into itself or one of its descendants', 400);
+  }
+
+  await category.moveTo(parent, req.body.sortOrder);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Category moved successfully',
+    data: {
+      category,
+      tree: await Category.buildTree({ includeInactive: true })
+    }
+  });
+}));
+
 // Delete category
 router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
   const category = await Category.findById(req.params.id);
@@ -75,4 +179,4 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
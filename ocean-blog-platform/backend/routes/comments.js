@@ -1,23 +1,88 @@
 const express = require('express');
 const router = express.Router();
 const Comment = require('../models/Comment');
-const { authenticate } = require('../middleware/auth');
+const Post = require('../models/Post');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const {
+  validateCreateComment,
+  validateUpdateComment,
+  validateReportComment,
+  validateMongoId,
+  validatePagination
+} = require('../middleware/validation');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, paginationOptions } = require('../utils/pagination');
+const { toNode, broadcastComment } = require('../utils/comments');
+const { siteModeration, MODERATOR_ROLES, MODERATORS_ROOM, screenComment } = require('../utils/moderation');
+const { emitToRoom } = require('../middleware/socketAuth');
+
+const isModerator = (user) => Boolean(user) && MODERATOR_ROLES.includes(user.role);
+const isCommentAuthor = (comment, user) => Boolean(user) &&
+  (comment.author._id || comment.author).toString() === user._id.toString();
+
+const SUBMITTED_MESSAGES = {
+  approved: 'Comment posted successfully',
+  pending: 'Your comment is awaiting moderation',
+  rejected: 'Your comment was flagged as spam and has not been published'
+};
+
+const EDITED_MESSAGES = {
+  pending: 'Your edit is awaiting moderation',
+  rejected: 'Your edit was flagged as spam and the comment has been hidden'
+};
+
+const broadcast = (req, event, comment, data) => broadcastComment(req.app.get('io'), event, comment, data);
+
+// Put a held comment in front of every connected moderator
+const notifyModerators = async (req, comment) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  await comment.populate('post', 'title slug');
+  emitToRoom(io, MODERATORS_ROOM, 'moderation_comment_pending', {
+    comment,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Get all comments across posts (moderators). Readers use GET /api/posts/:id/comments.
+router.get('/', authenticate, authorize(...MODERATOR_ROLES), validatePagination, asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.post) filter.post = req.query.post;
+  if (req.query.status) filter.status = req.query.status;
+
+  const { docs: comments, total, pagination, nextCursor, prevCursor } = await paginate(
+    Comment,
+    filter,
+    {
+      ...paginationOptions(req, { limit: 20, sort: '-createdAt' }),
+      populate: [
+        { path: 'author', select: 'name email avatar' },
+        { path: 'post', select: 'title slug' }
+      ]
+    }
+  );
 
-// Get all comments
-router.get('/', asyncHandler(async (req, res) => {
-  const comments = await Comment.find().sort({ createdAt: -1 });
   res.status(200).json({
     status: 'success',
     results: comments.length,
+    total,
+    pagination,
+    nextCursor,
+    prevCursor,
     data: comments
   });
 }));
 
 // Get single comment
-router.get('/:id', asyncHandler(async (req, res) => {
-  const comment = await Comment.findById(req.params.id);
-  if (!comment) {
+router.get('/:id', validateMongoId, optionalAuth, asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id).populate('author', 'name avatar');
+
+  // Unapproved or deleted comments are only visible to their author and moderators
+  const visible = comment && ((comment.status === 'approved' && !comment.isDeleted) ||
+    isCommentAuthor(comment, req.user) || isModerator(req.user));
+
+  if (!visible) {
     throw new AppError('Comment not found', 404);
   }
   res.status(200).json({
@@ -26,64 +91,133 @@ router.get('/:id', asyncHandler(async (req, res) => {
   });
 }));
 
-// Create comment
-router.post('/', authenticate, asyncHandler(async (req, res) => {
-  const { content, postId, parentId } = req.body;
-  
-  const commentData = {
+// Create comment, optionally as a reply to parentComment on the same post
+router.post('/', authenticate, validateCreateComment, asyncHandler(async (req, res) => {
+  const { content, postId, parentComment } = req.body;
+
+  const post = await Post.findById(postId).select('status isPublic allowComments commentModeration author coAuthors');
+  const canView = post && ((post.status === 'published' && post.isPublic) ||
+    post.hasCollaboratorAccess(req.user._id) || req.user.role === 'admin');
+
+  if (!canView) {
+    throw new AppError('Post not found', 404);
+  }
+
+  if (!post.allowComments) {
+    throw new AppError('Comments are disabled for this post', 403);
+  }
+
+  if (parentComment) {
+    const parent = await Comment.findById(parentComment).select('post status isDeleted');
+
+    if (!parent || parent.status !== 'approved' || parent.isDeleted) {
+      throw new AppError('The comment you are replying to was not found', 404);
+    }
+
+    if (parent.post.toString() !== post._id.toString()) {
+      throw new AppError('Replies must belong to the same post as their parent comment', 400);
+    }
+  }
+
+  // Pre-moderation rules and the spam filter decide whether it goes live,
+  // waits in the moderation queue or is rejected outright
+  const fields = {
     content,
-    post: postId,
-    author: req.user._id
+    post: post._id,
+    parentComment: parentComment || null,
+    author: req.user._id,
+    ipAddress: req.ip
   };
+  const { status, moderation } = await screenComment(fields, req.user, post);
 
-  if (parentId) {
-    commentData.parent = parentId;
-  }
+  const comment = await Comment.create({ ...fields, status, moderation });
+  await comment.populate('author', 'name avatar');
 
-  const comment = await Comment.create(commentData);
-  await comment.populate('author', 'name email');
+  if (comment.status === 'pending') {
+    await notifyModerators(req, comment);
+  } else {
+    broadcast(req, 'comment_added', comment, { comment: toNode(comment, 0) });
+  }
   
   res.status(201).json({
     status: 'success',
+    message: SUBMITTED_MESSAGES[comment.status],
     data: comment
   });
 }));
 
-// Update comment
-router.put('/:id', authenticate, asyncHandler(async (req, res) => {
-  const comment = await Comment.findById(req.params.id);
+// Update comment, keeping the previous text in its edit history. Edits are
+// screened again, so a comment cannot gain links or spam once approved.
+router.put('/:id', validateMongoId, authenticate, validateUpdateComment, asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id).select('+ipAddress');
   
-  if (!comment) {
+  if (!comment || comment.isDeleted) {
     throw new AppError('Comment not found', 404);
   }
 
-  if (comment.author.toString() !== req.user._id.toString()) {
+  if (!isCommentAuthor(comment, req.user)) {
     throw new AppError('Not authorized to update this comment', 403);
   }
 
-  comment.content = req.body.content;
-  await comment.save();
-  await comment.populate('author', 'name email');
+  const post = await Post.findById(comment.post).select('commentModeration author coAuthors');
+  if (!post) {
+    throw new AppError('Post not found', 404);
+  }
+
+  const { status, moderation } = await screenComment({
+    _id: comment._id,
+    content: req.body.content,
+    post: comment.post,
+    parentComment: comment.parentComment,
+    author: comment.author,
+    ipAddress: comment.ipAddress
+  }, req.user, post);
+
+  comment.moderation.spamScore = moderation.spamScore;
+  comment.moderation.signals = moderation.signals;
+
+  // An approved comment whose edit is held leaves the thread until reviewed
+  const held = status !== 'approved' && comment.status === 'approved';
+  if (held) {
+    comment.status = status;
+    comment.moderation.reasons = moderation.reasons;
+  }
+
+  await comment.editComment(req.body.content);
+  await comment.populate('author', 'name avatar');
+
+  if (held) {
+    broadcast(req, 'comment_deleted', comment);
+    if (comment.status === 'pending') await notifyModerators(req, comment);
+  } else {
+    broadcast(req, 'comment_edited', comment, {
+      content: comment.content,
+      isEdited: comment.isEdited,
+      updatedAt: comment.updatedAt
+    });
+  }
   
   res.status(200).json({
     status: 'success',
+    message: held ? EDITED_MESSAGES[comment.status] : 'Comment updated successfully',
     data: comment
   });
 }));
 
-// Delete comment
-router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
+// Delete comment. Soft delete keeps its place in the thread for any replies.
+router.delete('/:id', validateMongoId, authenticate, asyncHandler(async (req, res) => {
   const comment = await Comment.findById(req.params.id);
   
-  if (!comment) {
+  if (!comment || comment.isDeleted) {
     throw new AppError('Comment not found', 404);
   }
 
-  if (comment.author.toString() !== req.user._id.toString()) {
+  if (!isCommentAuthor(comment, req.user) && !isModerator(req.user)) {
     throw new AppError('Not authorized to delete this comment', 403);
   }
 
-  await comment.deleteOne();
+  await comment.softDelete();
+  broadcast(req, 'comment_deleted', comment);
   
   res.status(200).json({
     status: 'success',
@@ -92,28 +226,76 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // Like comment
-router.post('/:id/like', authenticate, asyncHandler(async (req, res) => {
+router.post('/:id/like', validateMongoId, authenticate, asyncHandler(async (req, res) => {
   const comment = await Comment.findById(req.params.id);
   
-  if (!comment) {
+  // Held and rejected comments are not public, so they cannot be liked
+  if (!comment || comment.isDeleted || comment.status !== 'approved') {
     throw new AppError('Comment not found', 404);
   }
 
-  if (comment.likes.includes(req.user._id)) {
-    comment.likes.pull(req.user._id);
-  } else {
-    comment.likes.push(req.user._id);
-  }
-
-  await comment.save();
+  await comment.toggleLike(req.user._id);
+  broadcast(req, 'comment_liked', comment, { likes: comment.likes });
   
   res.status(200).json({
     status: 'success',
     data: {
-      likes: comment.likes.length,
-      liked: comment.likes.includes(req.user._id)
+      likes: comment.likes,
+      liked: comment.likedBy.some(id => id.toString() === req.user._id.toString())
+    }
+  });
+}));
+
+// Report comment. Once enough different readers report it, the comment is
+// hidden and waits in the moderation queue.
+router.post('/:id/report', validateMongoId, authenticate, validateReportComment, asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+
+  if (!comment || comment.isDeleted || comment.status !== 'approved') {
+    throw new AppError('Comment not found', 404);
+  }
+
+  if (isCommentAuthor(comment, req.user)) {
+    throw new AppError('You cannot report your own comment', 400);
+  }
+
+  if (comment.hasReportFrom(req.user._id)) {
+    throw new AppError('You have already reported this comment', 409);
+  }
+
+  const hide = comment.openReports + 1 >= siteModeration.reportHideThreshold;
+  if (hide) {
+    comment.status = 'pending';
+    comment.moderation.reasons.addToSet('reported');
+  }
+
+  await comment.report(req.user._id, req.body.reason, req.body.description);
+
+  const io = req.app.get('io');
+  if (io) {
+    emitToRoom(io, MODERATORS_ROOM, 'moderation_comment_reported', {
+      commentId: comment._id,
+      postId: comment.post,
+      reason: req.body.reason,
+      openReports: comment.openReports,
+      hidden: hide,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (hide) {
+    broadcast(req, 'comment_deleted', comment);
+    await comment.populate('author', 'name avatar');
+    await notifyModerators(req, comment);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Thanks for the report. A moderator will review this comment.',
+    data: {
+      reported: true
     }
   });
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { validateMongoId } = require('../middleware/validation');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { feedConfig, FORMATS, buildValidators, renderFeed } = require('../utils/feed');
+const { siteConfig, siteUrls } = require('../utils/site');
+const { getTag } = require('../utils/tags');
+
+const FORMAT_PATTERN = ':format(rss\\.xml|atom\\.xml|feed\\.json)';
+
+// Build and send a feed for the posts matching `filter`, answering 304 when
+// the reader's copy is still current
+const sendFeed = async (req, res, { scope, filter, title, description, homeUrl }) => {
+  const { format } = req.params;
+
+  // Cheap lookup first so unchanged feeds never load post bodies
+  const stamps = await Post.find({ ...filter, status: 'published', isPublic: true })
+    .select('updatedAt')
+    .sort({ publishedAt: -1 })
+    .limit(feedConfig.limit)
+    .lean();
+
+  const { etag, lastModified } = buildValidators(format, scope, stamps);
+  res.set({
+    ETag: etag,
+    'Last-Modified': lastModified,
+    'Cache-Control': 'public, max-age=300'
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const posts = await Post.findPublished(filter)
+    .sort({ publishedAt: -1 })
+    .limit(feedConfig.limit);
+
+  const feed = {
+    title,
+    description,
+    homeUrl,
+    feedUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`
+  };
+
+  res.type(FORMATS[format]).send(renderFeed(format, feed, posts));
+};
+
+// @desc    Site-wide feed
+// @route   GET /feeds/rss.xml | /feeds/atom.xml | /feeds/feed.json
+// @access  Public
+router.get(`/${FORMAT_PATTERN}`, asyncHandler(async (req, res) => {
+  await sendFeed(req, res, {
+    scope: 'site',
+    filter: {},
+    title: siteConfig.name,
+    description: siteConfig.description,
+    homeUrl: siteUrls.home()
+  });
+}));
+
+// @desc    Feed for a category
+// @route   GET /feeds/category/:slug/(rss.xml|atom.xml|feed.json)
+// @access  Public
+router.get(`/category/:slug/${FORMAT_PATTERN}`, asyncHandler(async (req, res) => {
+  const category = await Category.findOne({ slug: req.params.slug.toLowerCase(), isActive: true });
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  await sendFeed(req, res, {
+    scope: `category:${category._id}`,
+    filter: { category: category._id },
+    title: `${category.name} - ${siteConfig.name}`,
+    description: category.description || `Latest ${category.name} posts on ${siteConfig.name}`,
+    homeUrl: siteUrls.category(category.slug)
+  });
+}));
+
+// @desc    Feed for a tag
+// @route   GET /feeds/tag/:tag/(rss.xml|atom.xml|feed.json)
+// @access  Public
+router.get(`/tag/:tag/${FORMAT_PATTERN}`, asyncHandler(async (req, res) => {
+  const details = await getTag(req.params.tag);
+  const tag = details ? details.name : req.params.tag.toLowerCase();
+
+  await sendFeed(req, res, {
+    scope: `tag:${tag}`,
+    filter: { tags: tag },
+    title: `#${tag} - ${siteConfig.name}`,
+    description: (details && details.description) || `Latest posts tagged "${tag}" on ${siteConfig.name}`,
+    homeUrl: siteUrls.tag(tag)
+  });
+}));
+
+// @desc    Feed for an author (including posts they co-authored)
+// @route   GET /feeds/author/:id/(rss.xml|atom.xml|feed.json)
+// @access  Public
+router.get(`/author/:id/${FORMAT_PATTERN}`, validateMongoId, asyncHandler(async (req, res) => {
+  const author = await User.findOne({ _id: req.params.id, isActive: true }).select('name bio');
+
+  if (!author) {
+    throw new AppError('Author not found', 404);
+  }
+
+  await sendFeed(req, res, {
+    scope: `author:${author._id}`,
+    filter: Post.authorQuery(author._id),
+    title: `${author.name} - ${siteConfig.name}`,
+    description: author.bio || `Latest posts by ${author.name} on ${siteConfig.name}`,
+    homeUrl: siteUrls.author(author._id)
+  });
+}));
+
+module.exports = router;
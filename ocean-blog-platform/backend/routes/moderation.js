@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateModerationQueue,
+  validateReportQueue,
+  validateResolveReports,
+  validateBulkModeration,
+  validateMongoId,
+  validatePagination
+} = require('../middleware/validation');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { emitToRoom, emitToUser } = require('../middleware/socketAuth');
+const emailService = require('../utils/email');
+const { paginate, paginationOptions } = require('../utils/pagination');
+const { toNode, broadcastComment } = require('../utils/comments');
+const { siteModeration, MODERATOR_ROLES, MODERATORS_ROOM } = require('../utils/moderation');
+const { commentFilter } = require('../utils/commentFilter');
+
+router.use(authenticate, authorize(...MODERATOR_ROLES));
+
+const BULK_STATUS = { approve: 'approved', reject: 'rejected' };
+
+// Approving a comment dismisses its reports; rejecting or deleting upholds them
+const REPORT_OUTCOME = { approve: 'dismissed', reject: 'resolved', delete: 'resolved' };
+
+// Tell everyone whose report was just closed what came of it
+const notifyReporters = async (req, comment, reports, outcome) => {
+  if (reports.length === 0) return;
+
+  const io = req.app.get('io');
+  const [reporters] = await Promise.all([
+    User.find({ _id: { $in: reports.map(report => report.reportedBy) } }).select('name email preferences'),
+    comment.populate('post', 'title slug')
+  ]);
+
+  for (const reporter of reporters) {
+    if (io) {
+      emitToUser(io, reporter._id, 'comment_report_closed', {
+        commentId: comment._id,
+        post: { _id: comment.post._id, title: comment.post.title, slug: comment.post.slug },
+        outcome,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (reporter.preferences?.emailNotifications === false) continue;
+    try {
+      await emailService.sendReportOutcome(reporter, comment.post, outcome);
+    } catch (error) {
+      console.log('Report outcome email could not be sent:', error.message);
+    }
+  }
+};
+
+// Keep other moderators' report view in step
+const emitReportsUpdated = (req, comment, outcome) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  emitToRoom(io, MODERATORS_ROOM, 'moderation_reports_updated', {
+    commentId: comment._id,
+    outcome,
+    by: { _id: req.user._id, name: req.user.name },
+    timestamp: new Date().toISOString()
+  });
+};
+
+// @desc    Comment moderation queue. Defaults to pending comments, newest
+//          first; order=score puts the likeliest spam first.
+// @route   GET /api/moderation/comments
+// @access  Private (admin, moderator)
+router.get('/comments', validatePagination, validateModerationQueue, asyncHandler(async (req, res) => {
+  const filter = {
+    status: req.query.status || 'pending',
+    isDeleted: false
+  };
+  if (req.query.reason) filter['moderation.reasons'] = req.query.reason;
+  if (req.query.post) filter.post = req.query.post;
+  if (req.query.minScore) filter['moderation.spamScore'] = { $gte: parseInt(req.query.minScore) };
+
+  const { docs: comments, total, pagination, nextCursor, prevCursor } = await paginate(Comment, filter, {
+    ...paginationOptions(req, { limit: 20 }),
+    sort: req.query.order === 'score' ? '-moderation.spamScore' : '-createdAt',
+    select: '+ipAddress',
+    populate: [
+      { path: 'author', select: 'name email avatar isEmailVerified createdAt' },
+      { path: 'post', select: 'title slug' },
+      { path: 'moderation.reviewedBy', select: 'name' }
+    ]
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: comments.length,
+    total,
+    pagination,
+    nextCursor,
+    prevCursor,
+    data: comments
+  });
+}));
+
+// @desc    Comment counts by status, plus comments with open reports
+// @route   GET /api/moderation/comments/stats
+// @access  Private (admin, moderator)
+router.get('/comments/stats', asyncHandler(async (req, res) => {
+  const [groups, reported] = await Promise.all([
+    Comment.getStats(),
+    Comment.countDocuments({ openReports: { $gt: 0 } })
+  ]);
+  const stats = { pending: 0, approved: 0, rejected: 0, reported };
+  groups.forEach(group => { stats[group._id] = group.count; });
+
+  res.status(200).json({
+    status: 'success',
+    data: stats
+  });
+}));
+
+// @desc    Approve, reject or delete several comments at once
+// @route   POST /api/moderation/comments/bulk
+// @access  Private (admin, moderator)
+router.post('/comments/bulk', validateBulkModeration, asyncHandler(async (req, res) => {
+  const { action, ids } = req.body;
+  const io = req.app.get('io');
+
+  const comments = await Comment.find({ _id: { $in: ids }, isDeleted: false });
+
+  // One at a time so every save runs the comment hooks (counters, replies)
+  for (const comment of comments) {
+    const wasApproved = comment.status === 'approved';
+    const closedReports = comment.closeReports(REPORT_OUTCOME[action], req.user._id);
+
+    if (action === 'delete') {
+      comment.moderation.reviewedBy = req.user._id;
+      comment.moderation.reviewedAt = new Date();
+      await comment.softDelete();
+      if (wasApproved) broadcastComment(io, 'comment_deleted', comment);
+      await notifyReporters(req, comment, closedReports, REPORT_OUTCOME[action]);
+      continue;
+    }
+
+    await comment.moderate(BULK_STATUS[action], req.user._id);
+    await notifyReporters(req, comment, closedReports, REPORT_OUTCOME[action]);
+
+    if (action === 'approve' && !wasApproved) {
+      await comment.populate('author', 'name avatar');
+      broadcastComment(io, 'comment_added', comment, { comment: toNode(comment, 0) });
+    } else if (action === 'reject' && wasApproved) {
+      // Readers see a rejected comment disappear like a deleted one
+      broadcastComment(io, 'comment_deleted', comment);
+    }
+  }
+
+  const updatedIds = comments.map(comment => comment._id.toString());
+  const notFound = ids.filter(id => !updatedIds.includes(id));
+
+  // Keep other moderators' queues in step
+  if (io && updatedIds.length > 0) {
+    emitToRoom(io, MODERATORS_ROOM, 'moderation_comments_updated', {
+      action,
+      ids: updatedIds,
+      by: { _id: req.user._id, name: req.user.name },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `${updatedIds.length} comment${updatedIds.length === 1 ? '' : 's'} updated`,
+    data: {
+      action,
+      updated: updatedIds,
+      notFound
+    }
+  });
+}));
+
+// @desc    Reported comments with their reports grouped under each comment.
+//          state=open (default) lists comments awaiting a decision, most
+//          reported first; state=handled lists closed reports, latest first.
+// @route   GET /api/moderation/reports
+// @access  Private (admin, moderator)
+router.get('/reports', validatePagination, validateReportQueue, asyncHandler(async (req, res) => {
+  const handled = req.query.state === 'handled';
+  const filter = handled
+    ? { openReports: 0, 'reports.status': { $in: ['resolved', 'dismissed'] } }
+    : { openReports: { $gt: 0 } };
+
+  const { docs, total, pagination, nextCursor, prevCursor } = await paginate(Comment, filter, {
+    ...paginationOptions(req, { limit: 20 }),
+    sort: handled ? '-updatedAt' : '-openReports',
+    populate: [
+      { path: 'author', select: 'name email avatar' },
+      { path: 'post', select: 'title slug' },
+      { path: 'reports.reportedBy', select: 'name' },
+      { path: 'reports.handledBy', select: 'name' }
+    ]
+  });
+
+  const comments = docs.map(doc => {
+    const comment = doc.toJSON();
+    const reports = comment.reports.filter(report => (report.status === 'open') !== handled);
+    const reasons = {};
+    reports.forEach(report => { reasons[report.reason] = (reasons[report.reason] || 0) + 1; });
+
+    return { ...comment, reports, reportSummary: { total: reports.length, reasons } };
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: comments.length,
+    total,
+    pagination,
+    nextCursor,
+    prevCursor,
+    data: comments
+  });
+}));
+
+// @desc    Uphold the open reports on a comment: reject (default) or delete
+//          it, record the moderator and notify the reporters
+// @route   POST /api/moderation/reports/:id/resolve
+// @access  Private (admin, moderator)
+router.post('/reports/:id/resolve', validateMongoId, validateResolveReports, asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+
+  if (!comment || comment.openReports === 0) {
+    throw new AppError('No open reports found for this comment', 404);
+  }
+
+  const action = req.body.action || 'reject';
+  const closedReports = comment.closeReports('resolved', req.user._id);
+
+  if (action === 'delete') {
+    comment.moderation.reviewedBy = req.user._id;
+    comment.moderation.reviewedAt = new Date();
+    await comment.softDelete();
+  } else {
+    await comment.moderate('rejected', req.user._id);
+  }
+
+  broadcastComment(req.app.get('io'), 'comment_deleted', comment);
+  await notifyReporters(req, comment, closedReports, 'resolved');
+  emitReportsUpdated(req, comment, 'resolved');
+
+  res.status(200).json({
+    status: 'success',
+    message: `Reports resolved and comment ${action === 'delete' ? 'deleted' : 'rejected'}`,
+    data: {
+      commentId: comment._id,
+      action,
+      closedReports: closedReports.length
+    }
+  });
+}));
+
+// @desc    Dismiss the open reports on a comment. A comment hidden only
+//          because of reports goes live again.
+// @route   POST /api/moderation/reports/:id/dismiss
+// @access  Private (admin, moderator)
+router.post('/reports/:id/dismiss', validateMongoId, asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+
+  if (!comment || comment.openReports === 0) {
+    throw new AppError('No open reports found for this comment', 404);
+  }
+
+  const closedReports = comment.closeReports('dismissed', req.user._id);
+
+  const hiddenByReports = comment.status === 'pending' && comment.moderation.reasons.includes('reported');
+  if (hiddenByReports) {
+    comment.moderation.reasons.pull('reported');
+  }
+
+  const restore = hiddenByReports && comment.moderation.reasons.length === 0;
+  if (restore) {
+    await comment.moderate('approved', req.user._id);
+    await comment.populate('author', 'name avatar');
+    broadcastComment(req.app.get('io'), 'comment_added', comment, { comment: toNode(comment, 0) });
+  } else {
+    await comment.save();
+  }
+
+  await notifyReporters(req, comment, closedReports, 'dismissed');
+  emitReportsUpdated(req, comment, 'dismissed');
+
+  res.status(200).json({
+    status: 'success',
+    message: restore ? 'Reports dismissed and comment restored' : 'Reports dismissed',
+    data: {
+      commentId: comment._id,
+      restored: restore,
+      closedReports: closedReports.length
+    }
+  });
+}));
+
+// @desc    Site-wide pre-moderation defaults and spam filter thresholds
+//          (set through the environment)
+// @route   GET /api/moderation/settings
+// @access  Private (admin, moderator)
+router.get('/settings', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ...siteModeration,
+      spamFilter: {
+        pendingThreshold: commentFilter.pendingThreshold,
+        rejectThreshold: commentFilter.rejectThreshold,
+        scorers: [...commentFilter.scorers.keys()]
+      }
+    }
+  });
+});
+
+module.exports = router;
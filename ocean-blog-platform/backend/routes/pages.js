@@ -0,0 +1,163 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const MemoryCache = require('../utils/cache');
+const events = require('../utils/events');
+const { renderPage } = require('../utils/prerender');
+const { buildPostSeo, buildCategorySeo, buildTagSeo, buildAuthorSeo } = require('../utils/seo');
+const { getTag } = require('../utils/tags');
+
+// Built frontend (vite build output)
+const CLIENT_DIR = path.resolve(__dirname, '..', process.env.CLIENT_BUILD_DIR || '../frontend/dist');
+const INDEX_PATH = path.join(CLIENT_DIR, 'index.html');
+
+const LIST_LIMIT = 20;
+
+const renderCache = new MemoryCache({
+  ttl: parseInt(process.env.PRERENDER_CACHE_TTL_MS) || 10 * 60 * 1000,
+  maxEntries: parseInt(process.env.PRERENDER_CACHE_MAX_ENTRIES) || 500
+});
+
+// Anything that shows up in a rendered page; views and likes do not
+const RENDERED_PATHS = [
+  'title', 'slug', 'content', 'excerpt', 'featuredImage', 'seo', 'tags', 'category',
+  'author', 'coAuthors', 'status', 'isPublic', 'publishedAt'
+];
+
+// A post appears on its own page and on category and author listings, so any
+// relevant change clears everything
+events.on('post:saved', (post, { changedPaths }) => {
+  if (changedPaths.some(changed => RENDERED_PATHS.includes(changed.split('.')[0]))) {
+    renderCache.clear();
+  }
+});
+
+events.on('post:deleted', () => renderCache.clear());
+
+events.on('posts:updated', ({ changedPaths }) => {
+  if (changedPaths.some(changed => RENDERED_PATHS.includes(changed.split('.')[0]))) {
+    renderCache.clear();
+  }
+});
+
+const listPosts = (filter) => Post.find({ ...filter, status: 'published', isPublic: true })
+  .select('title slug excerpt')
+  .sort({ publishedAt: -1 })
+  .limit(LIST_LIMIT)
+  .lean();
+
+// Page loaders return { status, seo, type, data }, or { redirect } for moved posts
+const loaders = {
+  post: async (slug) => {
+    const { post, redirect } = await Post.findBySlug(slug);
+    if (!post || post.status !== 'published' || !post.isPublic) return { status: 404 };
+    if (redirect) return { redirect: `/post/${post.slug}` };
+
+    await post.populate([
+      { path: 'author', select: 'name avatar' },
+      { path: 'coAuthors.user', select: 'name avatar' },
+      { path: 'category', select: 'name slug' }
+    ]);
+
+    return { status: 200, seo: buildPostSeo(post), type: 'post', data: post };
+  },
+
+  category: async (slug) => {
+    const category = await Category.findOne({ slug: String(slug).toLowerCase(), isActive: true });
+    if (!category) return { status: 404 };
+
+    const posts = await listPosts({ category: category._id });
+    return { status: 200, seo: buildCategorySeo(category), type: 'category', data: { category, posts } };
+  },
+
+  tag: async (name) => {
+    const tag = await getTag(name);
+    if (!tag) return { status: 404 };
+    if (tag.redirect) return { redirect: `/tag/${encodeURIComponent(tag.redirect)}` };
+
+    const posts = await listPosts({ tags: tag.name });
+    return { status: 200, seo: buildTagSeo(tag), type: 'tag', data: { tag, posts } };
+  },
+
+  author: async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return { status: 404 };
+
+    const user = await User.findOne({ _id: id, isActive: true }).select('name bio avatar website');
+    if (!user) return { status: 404 };
+
+    const posts = await listPosts(Post.authorQuery(user._id));
+    return { status: 200, seo: buildAuthorSeo(user), type: 'author', data: { user, posts } };
+  }
+};
+
+// Serve a prerendered page from the cache, rendering it on a miss. Pages are
+// cached by what they show (e.g. "post:my-slug"), not by URL, so query strings
+// such as tracking parameters cannot add entries; missing pages are not cached.
+const sendPage = async (req, res, key, load) => {
+  let page = renderCache.get(key);
+
+  if (!page) {
+    const result = await load();
+    page = result.redirect
+      ? { redirect: result.redirect }
+      : { status: result.status, html: renderPage(INDEX_PATH, result) };
+    if (page.status !== 404) renderCache.set(key, page);
+  }
+
+  if (page.redirect) {
+    return res.redirect(301, page.redirect);
+  }
+
+  res.status(page.status).type('html').send(page.html);
+};
+
+if (fs.existsSync(INDEX_PATH)) {
+  // Hashed assets; index.html itself always goes through the handlers below
+  router.use(express.static(CLIENT_DIR, { index: false }));
+
+  // @desc    Prerendered post page
+  // @route   GET /post/:slug
+  // @access  Public
+  router.get('/post/:slug', asyncHandler(async (req, res) => {
+    await sendPage(req, res, `post:${req.params.slug}`, () => loaders.post(req.params.slug));
+  }));
+
+  // @desc    Prerendered tag page
+  // @route   GET /tag/:name
+  // @access  Public
+  router.get('/tag/:name', asyncHandler(async (req, res) => {
+    await sendPage(req, res, `tag:${req.params.name}`, () => loaders.tag(req.params.name));
+  }));
+
+  // @desc    Home page; category and author listings live at /?category=slug and /?author=id
+  // @route   GET /
+  // @access  Public
+  router.get('/', asyncHandler(async (req, res) => {
+    const { category, author } = req.query;
+
+    if (typeof category === 'string' && category) {
+      return sendPage(req, res, `category:${category}`, () => loaders.category(category));
+    }
+    if (typeof author === 'string' && author) {
+      return sendPage(req, res, `author:${author}`, () => loaders.author(author));
+    }
+
+    res.type('html').send(renderPage(INDEX_PATH));
+  }));
+
+  // Everything else is a client-side route
+  router.get(/^\/(?!api\/|feeds\/|sitemaps\/|socket\.io\/).*/, (req, res) => {
+    res.type('html').send(renderPage(INDEX_PATH));
+  });
+} else {
+  console.log(`ℹ️  No frontend build at ${CLIENT_DIR}; prerendered pages are disabled`);
+}
+
+module.exports = router;
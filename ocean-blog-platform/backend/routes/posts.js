@@ -5,25 +5,57 @@ const Post = require('../models/Post');
 const User = require('../models/User');
 const Category = require('../models/Category');
 const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const Series = require('../models/Series');
+const Bookmark = require('../models/Bookmark');
+const ReadingList = require('../models/ReadingList');
+const ReadingProgress = require('../models/ReadingProgress');
 const { authenticate, optionalAuth, checkOwnership, authorize } = require('../middleware/auth');
 const { 
   validateCreatePost, 
   validateUpdatePost, 
+  validatePreviewPost,
+  validateInviteCollaborator,
+  validateCollaboratorRole,
+  validateReviewNote,
+  validateRequestChanges,
   validateMongoId, 
+  validateMongoIds,
   validatePagination,
+  validateReadingProgress,
+  validateCommentThread,
   handleValidationErrors 
 } = require('../middleware/validation');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { diffRevision } = require('../utils/diff');
+const scheduler = require('../utils/scheduler');
+const { renderMarkdown } = require('../utils/markdown');
+const { sanitizePostHtml } = require('../utils/sanitize');
+const { getRelatedPosts } = require('../utils/related');
+const { getCommentThread } = require('../utils/comments');
+const { paginate, paginationOptions } = require('../utils/pagination');
+const { emitToUser } = require('../middleware/socketAuth');
+const emailService = require('../utils/email');
+
+// Roles that can publish without going through editorial review
+const EDITORIAL_ROLES = ['admin', 'moderator'];
+const canPublishDirectly = (user) => EDITORIAL_ROLES.includes(user.role);
+
+// Posts belong to their author; accepted co-authors get access by role.
+// Loads the post into req.resource.
+const checkPostAccess = (roles, forbiddenMessage) => checkOwnership(Post, 'author', {
+  allow: (post, user) => post.hasCollaboratorAccess(user._id, roles),
+  notFoundMessage: 'Post not found',
+  forbiddenMessage
+});
 
 // @desc    Get all published posts
 // @route   GET /api/posts
 // @access  Public
 router.get('/', validatePagination, optionalAuth, asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const sort = req.query.sort || '-publishedAt';
   const category = req.query.category;
   const author = req.query.author;
+  const tag = req.query.tag;
   const search = req.query.search;
 
   // Build query
@@ -37,23 +69,25 @@ router.get('/', validatePagination, optionalAuth, asyncHandler(async (req, res)
   }
 
   if (author) {
-    query.author = author;
+    Object.assign(query, Post.authorQuery(author));
+  }
+
+  if (tag) {
+    query.tags = String(tag).toLowerCase();
   }
 
   if (search) {
     query.$text = { $search: search };
   }
 
-  // Execute query
-  const posts = await Post.find(query)
-    .populate('author', 'name email avatar bio')
-    .populate('category', 'name slug color')
-    .sort(sort)
-    .skip((page - 1) * limit)
-    .limit(limit);
-
-  // Get total count for pagination
-  const total = await Post.countDocuments(query);
+  const { docs: posts, total, pagination, nextCursor, prevCursor } = await paginate(Post, query, {
+    ...paginationOptions(req, { sort: '-publishedAt' }),
+    populate: [
+      { path: 'author', select: 'name email avatar bio' },
+      { path: 'coAuthors.user', select: 'name avatar' },
+      { path: 'category', select: 'name slug color' }
+    ]
+  });
 
   // Get unique authors for filter
   const authors = await User.find({ role: 'user' })
@@ -63,19 +97,21 @@ router.get('/', validatePagination, optionalAuth, asyncHandler(async (req, res)
   // Get categories for filter
   const categories = await Category.findActive();
 
+  // Flag the posts the reader has saved
+  const bookmarked = await Bookmark.bookmarkedPostIds(req.user && req.user._id, posts.map(post => post._id));
+
   res.json({
     status: 'success',
     results: posts.length,
     total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page < Math.ceil(total / limit),
-      hasPrevPage: page > 1
-    },
+    pagination,
+    nextCursor,
+    prevCursor,
     data: {
-      posts,
+      posts: posts.map(post => ({
+        ...post.toJSON(),
+        isBookmarked: bookmarked.has(post._id.toString())
+      })),
       filters: {
         authors,
         categories
@@ -84,41 +120,137 @@ router.get('/', validatePagination, optionalAuth, asyncHandler(async (req, res)
   });
 }));
 
-// @desc    Get single post
-// @route   GET /api/posts/:id
+// @desc    Get user's posts
+// @route   GET /api/posts/user/me
+// @access  Private
+router.get('/user/me', authenticate, validatePagination, asyncHandler(async (req, res) => {
+  const status = req.query.status;
+
+  const query = { author: req.user._id };
+
+  if (status && ['draft', 'pending_review', 'scheduled', 'published', 'archived'].includes(status)) {
+    query.status = status;
+  }
+
+  const { docs: posts, total, pagination, nextCursor, prevCursor } = await paginate(Post, query, {
+    ...paginationOptions(req, { sort: '-createdAt' }),
+    populate: [{ path: 'category', select: 'name slug color' }]
+  });
+
+  res.json({
+    status: 'success',
+    results: posts.length,
+    total,
+    pagination,
+    nextCursor,
+    prevCursor,
+    data: {
+      posts
+    }
+  });
+}));
+
+// @desc    Get featured posts
+// @route   GET /api/posts/featured
 // @access  Public
-router.get('/:id', validateMongoId, optionalAuth, asyncHandler(async (req, res) => {
-  const post = await Post.findById(req.params.id)
-    .populate('author', 'name email avatar bio website')
-    .populate('category', 'name slug color')
-    .populate({
-      path: 'comments',
-      match: { status: 'approved', isDeleted: false },
-      populate: {
-        path: 'author',
-        select: 'name email avatar'
-      },
-      options: {
-        sort: { createdAt: 1 }
-      }
-    });
+router.get('/featured', asyncHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit) || 5;
 
-  if (!post) {
-    return res.status(404).json({
+  const posts = await Post.findFeatured(limit);
+
+  res.json({
+    status: 'success',
+    results: posts.length,
+    data: {
+      posts
+    }
+  });
+}));
+
+// @desc    Search posts
+// @route   GET /api/posts/search
+// @access  Public
+router.get('/search', validatePagination, asyncHandler(async (req, res) => {
+  const { q: searchTerm, category, tag } = req.query;
+
+  if (!searchTerm && !category && !tag) {
+    return res.status(400).json({
       status: 'fail',
-      message: 'Post not found'
+      message: 'Please provide search term, category, or tag'
     });
   }
 
-  // Check if post is published and public
-  if (post.status !== 'published' || !post.isPublic) {
-    // Allow author or admin to view unpublished posts
-    if (!req.user || (req.user._id.toString() !== post.author._id.toString() && req.user.role !== 'admin')) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Post not found'
-      });
+  const query = {
+    status: 'published',
+    isPublic: true
+  };
+
+  if (searchTerm) {
+    query.$text = { $search: searchTerm };
+  }
+
+  if (category) {
+    query.category = category;
+  }
+
+  if (tag) {
+    query.tags = tag.toLowerCase();
+  }
+
+  // Text matches are ordered by relevance unless a sort is requested
+  const { docs: posts, total, pagination, nextCursor, prevCursor } = await paginate(Post, query, {
+    ...paginationOptions(req, { sort: '-publishedAt' }),
+    textScore: Boolean(searchTerm) && !req.query.sort,
+    populate: [
+      { path: 'author', select: 'name email avatar' },
+      { path: 'category', select: 'name color' }
+    ]
+  });
+
+  res.json({
+    status: 'success',
+    results: posts.length,
+    total,
+    pagination,
+    nextCursor,
+    prevCursor,
+    data: {
+      posts
     }
+  });
+}));
+
+// Populate options shared by the single post endpoints
+const populatePostDetail = (query) => query
+  .populate('author', 'name email avatar bio website')
+  .populate('coAuthors.user', 'name email avatar bio')
+  .populate('category', 'name slug color')
+  .populate({
+    path: 'comments',
+    match: { status: 'approved', isDeleted: false },
+    populate: {
+      path: 'author',
+      select: 'name email avatar'
+    },
+    options: {
+      sort: { createdAt: 1 }
+    }
+  });
+
+// Published public posts are visible to everyone, others only to the authors or an admin
+const canViewPost = (post, user) => {
+  if (post.status === 'published' && post.isPublic) return true;
+  if (!user) return false;
+  return post.hasCollaboratorAccess(user._id) || user.role === 'admin';
+};
+
+// Send a single post, counting the view unless it is the author's own
+const sendPostDetail = async (post, req, res) => {
+  if (!post || !canViewPost(post, req.user)) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Post not found'
+    });
   }
 
   // Increment views if not the author
@@ -126,10 +258,122 @@ router.get('/:id', validateMongoId, optionalAuth, asyncHandler(async (req, res)
     await post.incrementViews();
   }
 
+  // Position within a multi-part series, with previous/next parts
+  const series = await Series.getNavigation(post._id);
+
+  const isBookmarked = req.user
+    ? Boolean(await Bookmark.exists({ user: req.user._id, post: post._id }))
+    : false;
+
+  // Where the reader left off, possibly on another device
+  const progress = req.user
+    ? await ReadingProgress.findOne({ user: req.user._id, post: post._id }).select('percent anchor finishedAt lastReadAt')
+    : null;
+
   res.json({
     status: 'success',
     data: {
-      post
+      post,
+      series,
+      isBookmarked,
+      progress
+    }
+  });
+};
+
+// @desc    Get single post by slug
+// @route   GET /api/posts/slug/:slug
+// @access  Public
+router.get('/slug/:slug', optionalAuth, asyncHandler(async (req, res) => {
+  const { post, redirect } = await Post.findBySlug(req.params.slug);
+
+  // Old slug: tell the client where the post lives now
+  if (post && redirect && canViewPost(post, req.user)) {
+    return res.json({
+      status: 'redirect',
+      statusCode: 301,
+      message: 'Post has moved permanently',
+      data: {
+        slug: post.slug,
+        location: `/post/${post.slug}`
+      }
+    });
+  }
+
+  const detail = post ? await populatePostDetail(Post.findById(post._id)) : null;
+
+  await sendPostDetail(detail, req, res);
+}));
+
+// @desc    Get single post
+// @route   GET /api/posts/:id
+// @access  Public
+router.get('/:id', validateMongoId, optionalAuth, asyncHandler(async (req, res) => {
+  const post = await populatePostDetail(Post.findById(req.params.id));
+
+  await sendPostDetail(post, req, res);
+}));
+
+// @desc    Get posts related to a post by tags, category and text similarity
+// @route   GET /api/posts/:id/related
+// @access  Public
+router.get('/:id/related', validateMongoId, asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+  const post = await Post.findOne({ _id: req.params.id, status: 'published', isPublic: true })
+    .select('title tags category publishedAt');
+
+  if (!post) {
+    throw new AppError('Post not found', 404);
+  }
+
+  const posts = await getRelatedPosts(post, { limit });
+
+  res.json({
+    status: 'success',
+    results: posts.length,
+    data: {
+      posts
+    }
+  });
+}));
+
+// @desc    Get a page of a post's comment tree. Top-level comments come with up to
+//          `depth` levels of replies; pass ?parent=<commentId> (and its
+//          repliesCursor as ?after=) to load more replies of one thread.
+// @route   GET /api/posts/:id/comments
+// @access  Public
+router.get('/:id/comments', validateMongoId, validatePagination, validateCommentThread, optionalAuth, asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id).select('status isPublic allowComments author coAuthors');
+
+  if (!post || !canViewPost(post, req.user)) {
+    throw new AppError('Post not found', 404);
+  }
+
+  if (req.query.parent) {
+    const parent = await Comment.exists({ _id: req.query.parent, post: post._id });
+    if (!parent) {
+      throw new AppError('Comment not found', 404);
+    }
+  }
+
+  const { comments, total, nextCursor, prevCursor } = await getCommentThread(post._id, {
+    parent: req.query.parent,
+    limit: parseInt(req.query.limit) || (req.query.parent ? 10 : 20),
+    after: req.query.after,
+    before: req.query.before,
+    depth: req.query.depth !== undefined ? parseInt(req.query.depth) : undefined
+  });
+
+  res.json({
+    status: 'success',
+    results: comments.length,
+    total,
+    nextCursor,
+    prevCursor,
+    data: {
+      comments,
+      allowComments: post.allowComments
     }
   });
 }));
@@ -141,6 +385,14 @@ router.post('/', authenticate, validateCreatePost, handleValidationErrors, async
   // Add author to post data
   req.body.author = req.user._id;
 
+  // Contributors go through review instead of publishing themselves
+  if (['published', 'scheduled'].includes(req.body.status) && !canPublishDirectly(req.user)) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Posts must be submitted for review before they are published'
+    });
+  }
+
   // If category is provided, verify it exists
   if (req.body.category) {
     const category = await Category.findById(req.body.category);
@@ -154,10 +406,13 @@ router.post('/', authenticate, validateCreatePost, handleValidationErrors, async
 
   const post = new Post(req.body);
   await post.save();
+  await scheduler.syncPostSchedule(post);
 
   // Populate author and category for response
-  await post.populate('author', 'name email avatar')
-    .populate('category', 'name slug color');
+  await post.populate([
+    { path: 'author', select: 'name email avatar' },
+    { path: 'category', select: 'name slug color' }
+  ]);
 
   res.status(201).json({
     status: 'success',
@@ -168,31 +423,35 @@ router.post('/', authenticate, validateCreatePost, handleValidationErrors, async
   });
 }));
 
+// @desc    Render a content preview exactly as it will be stored
+// @route   POST /api/posts/preview
+// @access  Private
+router.post('/preview', authenticate, validatePreviewPost, asyncHandler(async (req, res) => {
+  const { content, contentFormat } = req.body;
+
+  const html = contentFormat === 'markdown'
+    ? sanitizePostHtml(renderMarkdown(content))
+    : sanitizePostHtml(content);
+
+  res.json({
+    status: 'success',
+    data: {
+      html
+    }
+  });
+}));
+
 // @desc    Update post
 // @route   PATCH /api/posts/:id
 // @access  Private
 router.patch('/:id', 
   validateMongoId, 
   authenticate, 
+  checkPostAccess(['editor'], 'Not authorized to update this post'),
   validateUpdatePost, 
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const post = await Post.findById(req.params.id);
-
-    if (!post) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Post not found'
-      });
-    }
-
-    // Check ownership
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'Not authorized to update this post'
-      });
-    }
+    const post = req.resource;
 
     // If category is provided, verify it exists
     if (req.body.category) {
@@ -205,13 +464,47 @@ router.patch('/:id',
       }
     }
 
-    // Update post
-    Object.assign(post, req.body);
+    // Authorship is managed through the collaborators endpoints
+    const { author, coAuthors, ...updates } = req.body;
+
+    // Review status only changes through submit, approve and request-changes,
+    // which record the review history and notify the people involved
+    if (
+      updates.status !== undefined &&
+      updates.status !== post.status &&
+      [updates.status, post.status].includes('pending_review')
+    ) {
+      return res.status(400).json({
+        status: 'fail',
+        message: post.status === 'pending_review'
+          ? 'Posts under review can only leave review by being approved or sent back'
+          : 'Use the submit endpoint to send a post for review'
+      });
+    }
+
+    // Contributors go through review instead of publishing themselves
+    if (
+      ['published', 'scheduled'].includes(updates.status) &&
+      updates.status !== post.status &&
+      !canPublishDirectly(req.user)
+    ) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Posts must be submitted for review before they are published'
+      });
+    }
+
+    // Update post (the save hook records a revision)
+    Object.assign(post, updates);
+    post.$locals.editedBy = req.user._id;
     await post.save();
+    await scheduler.syncPostSchedule(post);
 
     // Populate author and category for response
-    await post.populate('author', 'name email avatar')
-      .populate('category', 'name slug color');
+    await post.populate([
+      { path: 'author', select: 'name email avatar' },
+      { path: 'category', select: 'name slug color' }
+    ]);
 
     res.json({
       status: 'success',
@@ -229,25 +522,17 @@ router.patch('/:id',
 router.delete('/:id', 
   validateMongoId, 
   authenticate, 
+  checkPostAccess([], 'Not authorized to delete this post'),
   asyncHandler(async (req, res) => {
-    const post = await Post.findById(req.params.id);
-
-    if (!post) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Post not found'
-      });
-    }
-
-    // Check ownership
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'Not authorized to delete this post'
-      });
-    }
+    const post = req.resource;
 
     await Post.findByIdAndDelete(req.params.id);
+    await PostRevision.deleteMany({ post: post._id });
+    await Series.removePost(post._id);
+    await Bookmark.deleteMany({ post: post._id });
+    await ReadingList.removePost(post._id);
+    await ReadingProgress.deleteMany({ post: post._id });
+    await scheduler.cancel('publish_post', post._id);
 
     res.json({
       status: 'success',
@@ -315,106 +600,573 @@ router.post('/:id/dislike', validateMongoId, authenticate, asyncHandler(async (r
   });
 }));
 
-// @desc    Get user's posts
-// @route   GET /api/posts/user/me
+// @desc    Bookmark a post for later
+// @route   POST /api/posts/:id/bookmark
 // @access  Private
-router.get('/user/me', authenticate, validatePagination, asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const sort = req.query.sort || '-createdAt';
-  const status = req.query.status;
+router.post('/:id/bookmark', validateMongoId, authenticate, asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id).select('status isPublic author coAuthors');
 
-  const query = { author: req.user._id };
+  if (!post || !canViewPost(post, req.user)) {
+    throw new AppError('Post not found', 404);
+  }
 
-  if (status && ['draft', 'published', 'archived'].includes(status)) {
-    query.status = status;
+  const bookmark = await Bookmark.findOneAndUpdate(
+    { user: req.user._id, post: post._id },
+    { $setOnInsert: { user: req.user._id, post: post._id } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Post bookmarked',
+    data: {
+      bookmark,
+      isBookmarked: true
+    }
+  });
+}));
+
+// @desc    Remove a bookmark, also taking the post out of the reader's lists
+// @route   DELETE /api/posts/:id/bookmark
+// @access  Private
+router.delete('/:id/bookmark', validateMongoId, authenticate, asyncHandler(async (req, res) => {
+  await Bookmark.deleteOne({ user: req.user._id, post: req.params.id });
+  await ReadingList.removePost(req.params.id, req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Bookmark removed',
+    data: {
+      isBookmarked: false
+    }
+  });
+}));
+
+// @desc    Save how far the reader got (scroll percent and last heading anchor)
+// @route   PUT /api/posts/:id/progress
+// @access  Private
+router.put('/:id/progress', validateMongoId, authenticate, validateReadingProgress, asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id).select('status isPublic author coAuthors');
+
+  if (!post || !canViewPost(post, req.user)) {
+    throw new AppError('Post not found', 404);
   }
 
-  const posts = await Post.find(query)
-    .populate('category', 'name slug color')
-    .sort(sort)
-    .skip((page - 1) * limit)
-    .limit(limit);
+  // Devices with a clock ahead of ours must not block later writes
+  const now = new Date();
+  const readAt = req.body.readAt && req.body.readAt < now ? req.body.readAt : now;
 
-  const total = await Post.countDocuments(query);
+  const progress = await ReadingProgress.record(req.user._id, post._id, {
+    percent: req.body.percent,
+    anchor: req.body.anchor,
+    readAt
+  });
 
-  res.json({
+  res.status(200).json({
     status: 'success',
-    results: posts.length,
-    total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page < Math.ceil(total / limit),
-      hasPrevPage: page > 1
-    },
     data: {
-      posts
+      progress
     }
   });
 }));
 
-// @desc    Get featured posts
-// @route   GET /api/posts/featured
-// @access  Public
-router.get('/featured', asyncHandler(async (req, res) => {
-  const limit = parseInt(req.query.limit) || 5;
+// @desc    Get revision history of a post
+// @route   GET /api/posts/:id/revisions
+// @access  Private
+router.get('/:id/revisions',
+  validateMongoId,
+  authenticate,
+  checkPostAccess(['editor', 'reviewer'], 'Not authorized to view revisions of this post'),
+  asyncHandler(async (req, res) => {
+    const post = req.resource;
 
-  const posts = await Post.findFeatured(limit);
+    const revisions = await PostRevision.findByPost(post._id);
+
+    res.json({
+      status: 'success',
+      results: revisions.length,
+      data: {
+        revisions
+      }
+    });
+  })
+);
+
+// @desc    Word-level diff of a revision against the current post
+// @route   GET /api/posts/:id/revisions/:revId/diff
+// @access  Private
+router.get('/:id/revisions/:revId/diff',
+  validateMongoIds('id', 'revId'),
+  authenticate,
+  checkPostAccess(['editor', 'reviewer'], 'Not authorized to view revisions of this post'),
+  asyncHandler(async (req, res) => {
+    const post = req.resource;
+
+    const revision = await PostRevision.findOne({ _id: req.params.revId, post: post._id })
+      .populate('editedBy', 'name email avatar');
+
+    if (!revision) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        revision: {
+          _id: revision._id,
+          revision: revision.revision,
+          editedBy: revision.editedBy,
+          createdAt: revision.createdAt
+        },
+        diff: diffRevision(revision, post)
+      }
+    });
+  })
+);
+
+// @desc    Restore a post to a previous revision
+// @route   POST /api/posts/:id/revisions/:revId/restore
+// @access  Private
+router.post('/:id/revisions/:revId/restore',
+  validateMongoIds('id', 'revId'),
+  authenticate,
+  checkPostAccess(['editor'], 'Not authorized to restore this post'),
+  asyncHandler(async (req, res) => {
+    const post = req.resource;
+
+    const revision = await PostRevision.findOne({ _id: req.params.revId, post: post._id });
+
+    if (!revision) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Revision not found'
+      });
+    }
+
+    // Restoring is itself recorded as a new revision, so it can be undone
+    revision.applyTo(post);
+    post.$locals.editedBy = req.user._id;
+    post.$locals.restoredFrom = revision.revision;
+    await post.save();
+
+    await post.populate([
+      { path: 'author', select: 'name email avatar' },
+      { path: 'category', select: 'name slug color' }
+    ]);
+
+    res.json({
+      status: 'success',
+      message: `Post restored to revision ${revision.revision}`,
+      data: {
+        post
+      }
+    });
+  })
+);
+
+// Respond with a post's co-authors
+const sendCollaborators = async (post, res, message) => {
+  await post.populate('coAuthors.user', 'name email avatar');
 
   res.json({
     status: 'success',
-    results: posts.length,
+    ...(message && { message }),
+    results: post.coAuthors.length,
     data: {
-      posts
+      collaborators: post.coAuthors
     }
   });
+};
+
+// @desc    Get co-authors of a post
+// @route   GET /api/posts/:id/collaborators
+// @access  Private
+router.get('/:id/collaborators',
+  validateMongoId,
+  authenticate,
+  checkPostAccess(['editor', 'reviewer'], 'Not authorized to view collaborators of this post'),
+  asyncHandler(async (req, res) => {
+    await sendCollaborators(req.resource, res);
+  })
+);
+
+// @desc    Invite a co-author
+// @route   POST /api/posts/:id/collaborators
+// @access  Private (author or admin)
+router.post('/:id/collaborators',
+  validateMongoId,
+  authenticate,
+  checkPostAccess([], 'Only the author can invite collaborators'),
+  validateInviteCollaborator,
+  asyncHandler(async (req, res) => {
+    const post = req.resource;
+    const { user: userId, email, role = 'editor' } = req.body;
+
+    const invitee = userId
+      ? await User.findById(userId)
+      : await User.getByEmail(email);
+
+    if (!invitee || !invitee.isActive) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User not found'
+      });
+    }
+
+    if (post.isAuthor(invitee._id)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'The author cannot be invited as a collaborator'
+      });
+    }
+
+    if (post.getCoAuthor(invitee._id)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'User has already been invited to this post'
+      });
+    }
+
+    post.coAuthors.push({
+      user: invitee._id,
+      role,
+      invitedBy: req.user._id
+    });
+    await post.save();
+
+    const io = req.app.get('io');
+    if (io) {
+      emitToUser(io, invitee._id, 'collaboration_invited', {
+        postId: post._id,
+        title: post.title,
+        role,
+        invitedBy: { _id: req.user._id, name: req.user.name }
+      });
+    }
+
+    res.status(201);
+    await sendCollaborators(post, res, 'Invitation sent');
+  })
+);
+
+// @desc    Accept an invitation to co-author a post
+// @route   POST /api/posts/:id/collaborators/accept
+// @access  Private (invited user)
+router.post('/:id/collaborators/accept', validateMongoId, authenticate, asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id);
+  const coAuthor = post && post.getCoAuthor(req.user._id);
+
+  if (!coAuthor) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Invitation not found'
+    });
+  }
+
+  if (coAuthor.status !== 'accepted') {
+    coAuthor.status = 'accepted';
+    coAuthor.acceptedAt = new Date();
+    await post.save();
+
+    const io = req.app.get('io');
+    if (io) {
+      emitToUser(io, post.author, 'collaboration_accepted', {
+        postId: post._id,
+        title: post.title,
+        user: { _id: req.user._id, name: req.user.name },
+        role: coAuthor.role
+      });
+    }
+  }
+
+  await sendCollaborators(post, res, 'Invitation accepted');
 }));
 
-// @desc    Search posts
-// @route   GET /api/posts/search
-// @access  Public
-router.get('/search', validatePagination, asyncHandler(async (req, res) => {
-  const { q: searchTerm, category, tag } = req.query;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+// @desc    Decline an invitation to co-author a post
+// @route   POST /api/posts/:id/collaborators/decline
+// @access  Private (invited user)
+router.post('/:id/collaborators/decline', validateMongoId, authenticate, asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id);
+  const coAuthor = post && post.getCoAuthor(req.user._id);
 
-  if (!searchTerm && !category && !tag) {
-    return res.status(400).json({
+  if (!coAuthor || coAuthor.status !== 'pending') {
+    return res.status(404).json({
       status: 'fail',
-      message: 'Please provide search term, category, or tag'
+      message: 'Invitation not found'
     });
   }
 
-  let posts;
-  let total;
+  post.coAuthors.pull(coAuthor._id);
+  await post.save();
 
-  if (searchTerm) {
-    const result = await Post.search(searchTerm, { limit });
-    posts = result.slice((page - 1) * limit, page * limit);
-    total = result.length;
-  } else if (category) {
-    posts = await Post.findByCategory(category, { limit });
-    total = posts.length;
-    posts = posts.slice((page - 1) * limit, page * limit);
-  } else if (tag) {
-    posts = await Post.findByTag(tag, { limit });
-    total = posts.length;
-    posts = posts.slice((page - 1) * limit, page * limit);
+  res.json({
+    status: 'success',
+    message: 'Invitation declined'
+  });
+}));
+
+// @desc    Change a co-author's role
+// @route   PATCH /api/posts/:id/collaborators/:userId
+// @access  Private (author or admin)
+router.patch('/:id/collaborators/:userId',
+  validateMongoIds('id', 'userId'),
+  authenticate,
+  checkPostAccess([], 'Only the author can change collaborator roles'),
+  validateCollaboratorRole,
+  asyncHandler(async (req, res) => {
+    const post = req.resource;
+    const coAuthor = post.getCoAuthor(req.params.userId);
+
+    if (!coAuthor) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Collaborator not found'
+      });
+    }
+
+    coAuthor.role = req.body.role;
+    await post.save();
+
+    await sendCollaborators(post, res, 'Collaborator updated');
+  })
+);
+
+// @desc    Remove a co-author (authors remove anyone, co-authors can remove themselves)
+// @route   DELETE /api/posts/:id/collaborators/:userId
+// @access  Private
+router.delete('/:id/collaborators/:userId', validateMongoIds('id', 'userId'), authenticate, asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Post not found'
+    });
+  }
+
+  const isSelf = req.params.userId === req.user._id.toString();
+  if (!isSelf && !post.isAuthor(req.user._id) && req.user.role !== 'admin') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Not authorized to remove collaborators from this post'
+    });
+  }
+
+  const coAuthor = post.getCoAuthor(req.params.userId);
+  if (!coAuthor) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Collaborator not found'
+    });
+  }
+
+  post.coAuthors.pull(coAuthor._id);
+  await post.save();
+
+  await sendCollaborators(post, res, 'Collaborator removed');
+}));
+
+// @desc    Get pending co-author invitations for the current user
+// @route   GET /api/posts/user/invitations
+// @access  Private
+router.get('/user/invitations', authenticate, asyncHandler(async (req, res) => {
+  const posts = await Post.find({
+    coAuthors: { $elemMatch: { user: req.user._id, status: 'pending' } }
+  })
+    .select('title slug status author coAuthors updatedAt')
+    .populate('author', 'name email avatar')
+    .sort({ updatedAt: -1 });
+
+  const invitations = posts.map(post => ({
+    post: {
+      _id: post._id,
+      title: post.title,
+      slug: post.slug,
+      status: post.status,
+      author: post.author
+    },
+    role: post.getCoAuthor(req.user._id).role,
+    invitedAt: post.getCoAuthor(req.user._id).invitedAt
+  }));
+
+  res.json({
+    status: 'success',
+    results: invitations.length,
+    data: {
+      invitations
+    }
+  });
+}));
+
+// @desc    Submit a draft for editorial review
+// @route   POST /api/posts/:id/submit
+// @access  Private (author or editor co-author)
+router.post('/:id/submit',
+  validateMongoId,
+  authenticate,
+  checkPostAccess(['editor'], 'Not authorized to submit this post'),
+  validateReviewNote,
+  asyncHandler(async (req, res) => {
+    const post = req.resource;
+
+    if (post.status !== 'draft') {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Only drafts can be submitted for review (post is ${post.status})`
+      });
+    }
+
+    post.recordReview('submitted', req.user._id, 'pending_review', req.body.note);
+    await post.save();
+
+    // Let the editorial team know there is something to review
+    const io = req.app.get('io');
+    if (io) {
+      const reviewers = await User.find({ role: { $in: EDITORIAL_ROLES }, isActive: true }).select('_id');
+      reviewers.forEach(reviewer => {
+        emitToUser(io, reviewer._id, 'review_requested', {
+          postId: post._id,
+          title: post.title,
+          submittedBy: { _id: req.user._id, name: req.user.name }
+        });
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Post submitted for review',
+      data: {
+        post
+      }
+    });
+  })
+);
+
+// Notify the author of a review decision by email and socket
+const notifyReviewOutcome = async (req, post, approved, note) => {
+  await post.populate('author', 'name email');
+
+  try {
+    if (approved) {
+      await emailService.sendPostApproved(post.author, req.user, post, note);
+    } else {
+      await emailService.sendChangesRequested(post.author, req.user, post, note);
+    }
+  } catch (error) {
+    console.error('Review email could not be sent:', error);
   }
 
+  const io = req.app.get('io');
+  if (io) {
+    emitToUser(io, post.author._id, approved ? 'review_approved' : 'review_changes_requested', {
+      postId: post._id,
+      title: post.title,
+      status: post.status,
+      note,
+      reviewer: { _id: req.user._id, name: req.user.name }
+    });
+  }
+};
+
+// @desc    Approve a post under review (publishes, or schedules if publishAt is in the future)
+// @route   POST /api/posts/:id/approve
+// @access  Private (admin or moderator)
+router.post('/:id/approve',
+  validateMongoId,
+  authenticate,
+  authorize(...EDITORIAL_ROLES),
+  validateReviewNote,
+  asyncHandler(async (req, res) => {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Post not found'
+      });
+    }
+
+    if (post.status !== 'pending_review') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Only posts under review can be approved'
+      });
+    }
+
+    const toStatus = post.publishAt && post.publishAt > new Date() ? 'scheduled' : 'published';
+    post.recordReview('approved', req.user._id, toStatus, req.body.note);
+    await post.save();
+    await scheduler.syncPostSchedule(post);
+
+    await notifyReviewOutcome(req, post, true, req.body.note);
+
+    res.json({
+      status: 'success',
+      message: toStatus === 'scheduled' ? 'Post approved and scheduled' : 'Post approved and published',
+      data: {
+        post
+      }
+    });
+  })
+);
+
+// @desc    Send a post under review back to its authors with notes
+// @route   POST /api/posts/:id/request-changes
+// @access  Private (admin or moderator)
+router.post('/:id/request-changes',
+  validateMongoId,
+  authenticate,
+  authorize(...EDITORIAL_ROLES),
+  validateRequestChanges,
+  asyncHandler(async (req, res) => {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Post not found'
+      });
+    }
+
+    if (post.status !== 'pending_review') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Only posts under review can be sent back'
+      });
+    }
+
+    post.recordReview('changes_requested', req.user._id, 'draft', req.body.note);
+    await post.save();
+
+    await notifyReviewOutcome(req, post, false, req.body.note);
+
+    res.json({
+      status: 'success',
+      message: 'Changes requested',
+      data: {
+        post
+      }
+    });
+  })
+);
+
+// @desc    Get posts waiting for review, oldest first
+// @route   GET /api/posts/review/queue
+// @access  Private (admin or moderator)
+router.get('/review/queue', authenticate, authorize(...EDITORIAL_ROLES), asyncHandler(async (req, res) => {
+  const posts = await Post.find({ status: 'pending_review' })
+    .select('-content -contentSource')
+    .populate('author', 'name email avatar')
+    .populate('category', 'name slug color')
+    .populate('reviewHistory.by', 'name')
+    .sort({ updatedAt: 1 });
+
   res.json({
     status: 'success',
     results: posts.length,
-    total,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit),
-      hasNextPage: page < Math.ceil(total / limit),
-      hasPrevPage: page > 1
-    },
     data: {
       posts
     }
@@ -0,0 +1,89 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const Category = require('../models/Category');
+const { validateSearch, validateSuggest } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { searchPosts } = require('../utils/search');
+const { suggest } = require('../utils/search/suggest');
+
+const splitList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Categories may be given by id or slug; unknown ones match nothing
+const resolveCategories = async (values) => {
+  if (values.length === 0) return [];
+
+  const ids = values.filter(value => mongoose.Types.ObjectId.isValid(value));
+  const slugs = values.filter(value => !mongoose.Types.ObjectId.isValid(value)).map(slug => slug.toLowerCase());
+
+  const categories = await Category.find({
+    $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }]
+  }).select('_id');
+
+  return categories.length > 0
+    ? categories.map(category => category._id)
+    : [new mongoose.Types.ObjectId()];
+};
+
+// @desc    Full-text search with facets, highlighting and combinable filters.
+//          q supports "exact phrases" and -exclusions; category and tag accept
+//          comma-separated lists.
+// @route   GET /api/search
+// @access  Public
+router.get('/', validateSearch, asyncHandler(async (req, res) => {
+  const { q = '', author, from, to, year, sort, after, before } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const filters = {
+    categories: await resolveCategories(splitList(req.query.category)),
+    tags: splitList(req.query.tag).map(tag => tag.toLowerCase()),
+    author
+  };
+
+  if (year) {
+    filters.from = new Date(Date.UTC(parseInt(year), 0, 1));
+    filters.to = new Date(Date.UTC(parseInt(year) + 1, 0, 1) - 1);
+  }
+  if (from) filters.from = new Date(from);
+  if (to) filters.to = new Date(to);
+
+  const result = await searchPosts({ q, filters, sort, limit, page, after, before });
+
+  res.json({
+    status: 'success',
+    results: result.posts.length,
+    total: result.total,
+    pagination: result.pagination,
+    nextCursor: result.nextCursor,
+    prevCursor: result.prevCursor,
+    data: {
+      posts: result.posts,
+      facets: result.facets,
+      query: result.query,
+      sort: result.sort
+    }
+  });
+}));
+
+// @desc    Search-as-you-type suggestions (posts, tags, categories, authors)
+//          with typo tolerance; the last word is treated as a prefix
+// @route   GET /api/search/suggest
+// @access  Public
+router.get('/suggest', validateSuggest, asyncHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit) || 5;
+
+  const result = await suggest(req.query.q, { limit });
+
+  res.set('Cache-Control', 'public, max-age=60');
+  res.json({
+    status: 'success',
+    data: result
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { buildPostSeo, buildCategorySeo, buildTagSeo, buildAuthorSeo } = require('../utils/seo');
+const { getTag } = require('../utils/tags');
+
+// Look up a public resource by type; returns null when it does not exist or is not public
+const resolvers = {
+  post: async (slug) => {
+    const { post } = await Post.findBySlug(slug);
+    if (!post || post.status !== 'published' || !post.isPublic) return null;
+
+    await post.populate([
+      { path: 'author', select: 'name avatar' },
+      { path: 'coAuthors.user', select: 'name avatar' },
+      { path: 'category', select: 'name slug' }
+    ]);
+    return buildPostSeo(post);
+  },
+
+  category: async (slug) => {
+    const category = await Category.findOne({ slug: slug.toLowerCase(), isActive: true });
+    return category ? buildCategorySeo(category) : null;
+  },
+
+  tag: async (name) => {
+    const tag = await getTag(name);
+    return tag ? buildTagSeo(tag) : null;
+  },
+
+  // Authors have no slug, so they are addressed by id
+  author: async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const user = await User.findOne({ _id: id, isActive: true }).select('name bio avatar website');
+    return user ? buildAuthorSeo(user) : null;
+  }
+};
+
+// @desc    Get resolved meta, Open Graph, Twitter Card and JSON-LD data for a page
+// @route   GET /api/seo/:type/:slug
+// @access  Public
+router.get('/:type/:slug', asyncHandler(async (req, res) => {
+  // Own keys only: inherited ones like "constructor" are not resolvers
+  const resolve = Object.hasOwn(resolvers, req.params.type) ? resolvers[req.params.type] : null;
+
+  if (!resolve) {
+    throw new AppError(`Unknown SEO type. Use one of: ${Object.keys(resolvers).join(', ')}`, 404);
+  }
+
+  const seo = await resolve(req.params.slug);
+
+  if (!seo) {
+    throw new AppError('Page not found', 404);
+  }
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({
+    status: 'success',
+    data: {
+      seo
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+
+const Series = require('../models/Series');
+const Post = require('../models/Post');
+const { authenticate, optionalAuth, checkOwnership } = require('../middleware/auth');
+const {
+  validateCreateSeries,
+  validateUpdateSeries,
+  validateAddSeriesPost,
+  validateSeriesQuery,
+  validateMongoId,
+  validateMongoIds,
+  validatePagination
+} = require('../middleware/validation');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// Make sure every post exists, can be edited by the user and is not already part of another series
+const assertPostsAvailable = async (postIds, user, seriesId = null) => {
+  const uniqueIds = [...new Set(postIds.map(id => id.toString()))];
+  if (uniqueIds.length !== postIds.length) {
+    throw new AppError('A post can only appear once in a series', 400);
+  }
+
+  const posts = await Post.find({ _id: { $in: uniqueIds } });
+  if (posts.length !== uniqueIds.length) {
+    throw new AppError('One or more posts were not found', 400);
+  }
+
+  if (user.role !== 'admin') {
+    const notOwned = posts.find(post => !post.hasCollaboratorAccess(user._id, ['editor']));
+    if (notOwned) {
+      throw new AppError(`Not authorized to add "${notOwned.title}" to a series`, 403);
+    }
+  }
+
+  const taken = await Series.findOne({
+    _id: { $ne: seriesId },
+    posts: { $in: uniqueIds }
+  }).select('title');
+  if (taken) {
+    throw new AppError(`A post is already part of the series "${taken.title}"`, 400);
+  }
+};
+
+const checkSeriesOwnership = checkOwnership(Series, 'author', {
+  notFoundMessage: 'Series not found',
+  forbiddenMessage: 'Not authorized to modify this series'
+});
+
+// @desc    Get all series
+// @route   GET /api/series
+// @access  Public
+router.get('/', validatePagination, validateSeriesQuery, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const query = { isActive: true };
+  if (req.query.author) {
+    query.author = req.query.author;
+  }
+
+  const series = await Series.find(query)
+    .populate('author', 'name avatar')
+    .sort({ updatedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await Series.countDocuments(query);
+
+  res.status(200).json({
+    status: 'success',
+    results: series.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page < Math.ceil(total / limit),
+      hasPrevPage: page > 1
+    },
+    data: {
+      series
+    }
+  });
+}));
+
+// @desc    Get a series with its published parts in order
+// @route   GET /api/series/:slug
+// @access  Public
+router.get('/:slug', optionalAuth, asyncHandler(async (req, res) => {
+  const series = await Series.findOne({ slug: req.params.slug.toLowerCase() })
+    .populate('author', 'name avatar bio');
+
+  const isOwner = series && req.user &&
+    (series.author._id.toString() === req.user._id.toString() || req.user.role === 'admin');
+
+  if (!series || (!series.isActive && !isOwner)) {
+    throw new AppError('Series not found', 404);
+  }
+
+  const parts = await series.getPublishedParts();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series,
+      parts
+    }
+  });
+}));
+
+// @desc    Create series
+// @route   POST /api/series
+// @access  Private
+router.post('/', authenticate, validateCreateSeries, asyncHandler(async (req, res) => {
+  const { title, description, coverImage, posts = [] } = req.body;
+
+  await assertPostsAvailable(posts, req.user);
+
+  const series = await Series.create({
+    title,
+    description,
+    coverImage,
+    posts,
+    author: req.user._id
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Series created successfully',
+    data: {
+      series
+    }
+  });
+}));
+
+// @desc    Update series (sending posts replaces the whole ordered list)
+// @route   PATCH /api/series/:id
+// @access  Private (owner or admin)
+router.patch('/:id', validateMongoId, authenticate, checkSeriesOwnership, validateUpdateSeries, asyncHandler(async (req, res) => {
+  const series = req.resource;
+  const { title, description, coverImage, posts, isActive } = req.body;
+
+  if (posts) {
+    await assertPostsAvailable(posts, req.user, series._id);
+    series.posts = posts;
+  }
+
+  if (title !== undefined) series.title = title;
+  if (description !== undefined) series.description = description;
+  if (coverImage !== undefined) series.coverImage = coverImage;
+  if (isActive !== undefined) series.isActive = isActive;
+
+  await series.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Series updated successfully',
+    data: {
+      series
+    }
+  });
+}));
+
+// @desc    Delete series (its posts are kept)
+// @route   DELETE /api/series/:id
+// @access  Private (owner or admin)
+router.delete('/:id', validateMongoId, authenticate, checkSeriesOwnership, asyncHandler(async (req, res) => {
+  await req.resource.deleteOne();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Series deleted successfully'
+  });
+}));
+
+// @desc    Add a post to a series, at the end or at a 1-based position
+// @route   POST /api/series/:id/posts
+// @access  Private (owner or admin)
+router.post('/:id/posts', validateMongoId, authenticate, validateAddSeriesPost, checkSeriesOwnership, asyncHandler(async (req, res) => {
+  const series = req.resource;
+  const { postId, position } = req.body;
+
+  if (series.posts.some(id => id.toString() === postId.toString())) {
+    throw new AppError('Post is already part of this series', 400);
+  }
+
+  await assertPostsAvailable([postId], req.user, series._id);
+
+  const index = position ? Math.min(position - 1, series.posts.length) : series.posts.length;
+  series.posts.splice(index, 0, postId);
+  await series.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Post added to series',
+    data: {
+      series
+    }
+  });
+}));
+
+// @desc    Remove a post from a series
+// @route   DELETE /api/series/:id/posts/:postId
+// @access  Private (owner or admin)
+router.delete('/:id/posts/:postId', validateMongoIds('id', 'postId'), authenticate, checkSeriesOwnership, asyncHandler(async (req, res) => {
+  const series = req.resource;
+
+  series.posts.pull(req.params.postId);
+  await series.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Post removed from series',
+    data: {
+      series
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { escapeXml } = require('../utils/feed');
+const { siteUrls } = require('../utils/site');
+
+// At most 50,000 URLs are allowed per sitemap file
+const PAGE_SIZE = Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE) || 5000, 50000);
+
+const robotsConfig = {
+  // Set ROBOTS_DISALLOW_ALL=true on staging to keep crawlers out entirely
+  disallowAll: process.env.ROBOTS_DISALLOW_ALL === 'true',
+  disallow: (process.env.ROBOTS_DISALLOW || '/api/,/create-post,/profile,/login,/register')
+    .split(',').map(path => path.trim()).filter(Boolean),
+  allow: (process.env.ROBOTS_ALLOW || '')
+    .split(',').map(path => path.trim()).filter(Boolean),
+  crawlDelay: parseInt(process.env.ROBOTS_CRAWL_DELAY) || null
+};
+
+// Every child sitemap: how to find its documents and turn one into a <url>
+const SITEMAPS = {
+  posts: {
+    model: Post,
+    query: async () => ({ status: 'published', isPublic: true }),
+    select: 'slug updatedAt',
+    entry: (post) => ({ loc: siteUrls.post(post.slug), lastmod: post.updatedAt, changefreq: 'weekly', priority: 0.8 })
+  },
+  categories: {
+    model: Category,
+    query: async () => ({ isActive: true }),
+    select: 'slug updatedAt',
+    entry: (category) => ({ loc: siteUrls.category(category.slug), lastmod: category.updatedAt, changefreq: 'daily', priority: 0.6 })
+  },
+  // Only users credited on at least one published post (as author or accepted
+  // co-author) have a public page worth listing
+  authors: {
+    model: User,
+    query: async () => ({
+      _id: { $in: await Post.authorIds({ status: 'published', isPublic: true }) },
+      isActive: true
+    }),
+    select: 'updatedAt',
+    entry: (user) => ({ loc: siteUrls.author(user._id), lastmod: user.updatedAt, changefreq: 'weekly', priority: 0.5 })
+  }
+};
+
+const baseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+const sendXml = (res, xml) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('application/xml; charset=utf-8').send(xml);
+};
+
+// @desc    Sitemap index listing every paginated child sitemap
+// @route   GET /sitemap.xml
+// @access  Public
+router.get('/sitemap.xml', asyncHandler(async (req, res) => {
+  const children = [];
+
+  for (const [type, sitemap] of Object.entries(SITEMAPS)) {
+    const query = await sitemap.query();
+    const [total, latest] = await Promise.all([
+      sitemap.model.countDocuments(query),
+      sitemap.model.findOne(query).sort({ updatedAt: -1 }).select('updatedAt').lean()
+    ]);
+
+    const pages = Math.ceil(total / PAGE_SIZE);
+    for (let page = 1; page <= pages; page++) {
+      children.push({
+        loc: `${baseUrl(req)}/sitemaps/${type}-${page}.xml`,
+        lastmod: latest ? latest.updatedAt : null
+      });
+    }
+  }
+
+  sendXml(res, `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${children.map(child => `
+  <sitemap>
+    <loc>${escapeXml(child.loc)}</loc>${child.lastmod ? `
+    <lastmod>${new Date(child.lastmod).toISOString()}</lastmod>` : ''}
+  </sitemap>`).join('')}
+</sitemapindex>
+`);
+}));
+
+// @desc    One page of a child sitemap
+// @route   GET /sitemaps/:type-:page.xml
+// @access  Public
+router.get('/sitemaps/:type-:page(\\d+).xml', asyncHandler(async (req, res) => {
+  // Own keys only: inherited ones like "constructor" are not sitemaps
+  const sitemap = Object.hasOwn(SITEMAPS, req.params.type) ? SITEMAPS[req.params.type] : null;
+  const page = parseInt(req.params.page);
+
+  if (!sitemap || page < 1) {
+    throw new AppError('Sitemap not found', 404);
+  }
+
+  const docs = await sitemap.model.find(await sitemap.query())
+    .select(sitemap.select)
+    .sort({ _id: 1 })
+    .skip((page - 1) * PAGE_SIZE)
+    .limit(PAGE_SIZE)
+    .lean();
+
+  if (docs.length === 0 && page > 1) {
+    throw new AppError('Sitemap not found', 404);
+  }
+
+  sendXml(res, `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${docs.map(sitemap.entry).map(url => `
+  <url>
+    <loc>${escapeXml(url.loc)}</loc>${url.lastmod ? `
+    <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>` : ''}
+    <changefreq>${url.changefreq}</changefreq>
+    <priority>${url.priority.toFixed(1)}</priority>
+  </url>`).join('')}
+</urlset>
+`);
+}));
+
+// @desc    Crawler rules, configured through the ROBOTS_* environment variables
+// @route   GET /robots.txt
+// @access  Public
+router.get('/robots.txt', (req, res) => {
+  const lines = ['User-agent: *'];
+
+  if (robotsConfig.disallowAll) {
+    lines.push('Disallow: /');
+  } else {
+    robotsConfig.allow.forEach(path => lines.push(`Allow: ${path}`));
+    robotsConfig.disallow.forEach(path => lines.push(`Disallow: ${path}`));
+    if (robotsConfig.crawlDelay) {
+      lines.push(`Crawl-delay: ${robotsConfig.crawlDelay}`);
+    }
+    lines.push('', `Sitemap: ${baseUrl(req)}/sitemap.xml`);
+  }
+
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.type('text/plain').send(`${lines.join('\n')}\n`);
+});
+
+module.exports = router;
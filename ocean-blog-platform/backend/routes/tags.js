@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateMergeTags, validateUpdateTag, validateListTags } = require('../middleware/validation');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { listTags, getTag, mergeTags, updateTag } = require('../utils/tags');
+
+// Roles that may curate tags
+const TAG_EDITORS = ['admin', 'moderator'];
+
+// @desc    Get tags with post counts; ?trending=true&days=7 for recent usage
+// @route   GET /api/tags
+// @access  Public
+router.get('/', validateListTags, asyncHandler(async (req, res) => {
+  const tags = await listTags({
+    q: req.query.q,
+    trending: req.query.trending === 'true',
+    days: parseInt(req.query.days) || 7,
+    limit: parseInt(req.query.limit) || 50
+  });
+
+  res.json({
+    status: 'success',
+    results: tags.length,
+    data: {
+      tags
+    }
+  });
+}));
+
+// @desc    Merge tags into a target tag, rewriting every post
+// @route   POST /api/tags/merge
+// @access  Private (admin or moderator)
+router.post('/merge', authenticate, authorize(...TAG_EDITORS), validateMergeTags, asyncHandler(async (req, res) => {
+  const { tag, postsUpdated } = await mergeTags(req.body.sources, req.body.target, req.user);
+
+  res.json({
+    status: 'success',
+    message: `Merged into "${tag.name}"`,
+    data: {
+      tag,
+      postsUpdated
+    }
+  });
+}));
+
+// @desc    Get a tag (aliases resolve to the canonical tag)
+// @route   GET /api/tags/:name
+// @access  Public
+router.get('/:name', asyncHandler(async (req, res) => {
+  const tag = await getTag(req.params.name);
+
+  if (!tag) {
+    throw new AppError('Tag not found', 404);
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      tag
+    }
+  });
+}));
+
+// @desc    Rename a tag or update its description, aliases and SEO fields
+// @route   PATCH /api/tags/:name
+// @access  Private (admin or moderator)
+router.patch('/:name', authenticate, authorize(...TAG_EDITORS), validateUpdateTag, asyncHandler(async (req, res) => {
+  const { name, description, aliases, seo } = req.body;
+
+  const { tag, postsUpdated } = await updateTag(req.params.name, { name, description, aliases, seo }, req.user);
+
+  res.json({
+    status: 'success',
+    message: 'Tag updated successfully',
+    data: {
+      tag,
+      postsUpdated
+    }
+  });
+}));
+
+module.exports = router;
@@ -1,8 +1,22 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
-const { authenticate } = require('../middleware/auth');
+const Post = require('../models/Post');
+const Bookmark = require('../models/Bookmark');
+const ReadingList = require('../models/ReadingList');
+const ReadingProgress = require('../models/ReadingProgress');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const {
+  validatePagination,
+  validateMongoId,
+  validateMongoIds,
+  validateCreateReadingList,
+  validateUpdateReadingList,
+  validateReadingHistory
+} = require('../middleware/validation');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { paginate, paginationOptions } = require('../utils/pagination');
 
 // Get user profile
 router.get('/profile', authenticate, asyncHandler(async (req, res) => {
@@ -34,12 +48,261 @@ router.put('/profile', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// Get the current user's bookmarks, newest first
+router.get('/me/bookmarks', authenticate, validatePagination, asyncHandler(async (req, res) => {
+  const { docs: bookmarks, total, pagination, nextCursor, prevCursor } = await paginate(
+    Bookmark,
+    { user: req.user._id },
+    {
+      ...paginationOptions(req, { limit: 20, sort: '-createdAt' }),
+      // Posts unpublished or made private since they were saved come back as null
+      populate: {
+        path: 'post',
+        match: { status: 'published', isPublic: true },
+        select: 'title slug excerpt featuredImage tags category author publishedAt readingTime status isPublic',
+        populate: [
+          { path: 'author', select: 'name avatar' },
+          { path: 'category', select: 'name slug color' }
+        ]
+      }
+    }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: bookmarks.length,
+    total,
+    pagination,
+    nextCursor,
+    prevCursor,
+    data: bookmarks
+  });
+}));
+
+// Get the current user's reading history, most recently read first;
+// ?status=in-progress or ?status=finished narrows it down
+router.get('/me/history', authenticate, validatePagination, validateReadingHistory, asyncHandler(async (req, res) => {
+  const query = { user: req.user._id };
+  if (req.query.status === 'in-progress') query.finishedAt = null;
+  if (req.query.status === 'finished') query.finishedAt = { $ne: null };
+
+  const { docs: history, total, pagination, nextCursor, prevCursor } = await paginate(
+    ReadingProgress,
+    query,
+    {
+      ...paginationOptions(req, { limit: 20, sort: '-lastReadAt' }),
+      // Posts unpublished or made private since they were read come back as null
+      populate: {
+        path: 'post',
+        match: { status: 'published', isPublic: true },
+        select: 'title slug excerpt featuredImage category author publishedAt readingTime wordCount',
+        populate: [
+          { path: 'author', select: 'name avatar' },
+          { path: 'category', select: 'name slug color' }
+        ]
+      }
+    }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: history.length,
+    total,
+    pagination,
+    nextCursor,
+    prevCursor,
+    data: history
+  });
+}));
+
+// Erase the current user's whole reading history
+router.delete('/me/history', authenticate, asyncHandler(async (req, res) => {
+  const { deletedCount } = await ReadingProgress.deleteMany({ user: req.user._id });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Reading history cleared',
+    data: {
+      deleted: deletedCount
+    }
+  });
+}));
+
+// Erase the current user's progress on one post
+router.delete('/me/history/:postId', validateMongoIds('postId'), authenticate, asyncHandler(async (req, res) => {
+  await ReadingProgress.deleteOne({ user: req.user._id, post: req.params.postId });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Removed from reading history'
+  });
+}));
+
+// Load one of the current user's reading lists
+const findOwnList = async (req) => {
+  const list = await ReadingList.findOne({ _id: req.params.id, user: req.user._id });
+  if (!list) {
+    throw new AppError('Reading list not found', 404);
+  }
+  return list;
+};
+
+// Get the current user's reading lists
+router.get('/me/lists', authenticate, asyncHandler(async (req, res) => {
+  const lists = await ReadingList.find({ user: req.user._id }).sort({ updatedAt: -1 });
+  res.status(200).json({
+    status: 'success',
+    results: lists.length,
+    data: lists
+  });
+}));
+
+// Create a reading list
+router.post('/me/lists', authenticate, validateCreateReadingList, asyncHandler(async (req, res) => {
+  const { name, description, isPublic } = req.body;
+
+  const list = await ReadingList.create({
+    name,
+    description,
+    isPublic,
+    user: req.user._id
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: list
+  });
+}));
+
+// Get one of the current user's reading lists with its posts
+router.get('/me/lists/:id', validateMongoId, authenticate, asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const posts = await list.getVisiblePosts();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      list,
+      posts
+    }
+  });
+}));
+
+// Update a reading list; sending posts replaces the whole ordered list
+router.patch('/me/lists/:id', validateMongoId, authenticate, validateUpdateReadingList, asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const { name, description, isPublic, posts } = req.body;
+
+  if (posts) {
+    const uniquePosts = [...new Set(posts)];
+    const bookmarked = await Bookmark.bookmarkedPostIds(req.user._id, uniquePosts);
+    if (uniquePosts.length !== posts.length || bookmarked.size !== uniquePosts.length) {
+      throw new AppError('Lists can only hold each of your bookmarked posts once', 400);
+    }
+    list.posts = posts;
+  }
+
+  if (name !== undefined) list.name = name;
+  if (description !== undefined) list.description = description;
+  if (isPublic !== undefined) list.isPublic = isPublic;
+
+  await list.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: list
+  });
+}));
+
+// Delete a reading list (its bookmarks are kept)
+router.delete('/me/lists/:id', validateMongoId, authenticate, asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  await list.deleteOne();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Reading list deleted successfully'
+  });
+}));
+
+// Add a post to a reading list, bookmarking it if needed
+router.post('/me/lists/:id/posts', validateMongoId, authenticate, asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const { postId } = req.body;
+
+  if (!postId || !mongoose.isValidObjectId(postId)) {
+    throw new AppError('Please provide a valid post ID', 400);
+  }
+
+  const post = await Post.findOne({ _id: postId, status: 'published', isPublic: true }).select('_id');
+  if (!post) {
+    throw new AppError('Post not found', 404);
+  }
+
+  await Bookmark.updateOne(
+    { user: req.user._id, post: post._id },
+    { $setOnInsert: { user: req.user._id, post: post._id } },
+    { upsert: true }
+  );
+
+  list.posts.addToSet(post._id);
+  await list.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Post added to reading list',
+    data: list
+  });
+}));
+
+// Remove a post from a reading list (the bookmark is kept)
+router.delete('/me/lists/:id/posts/:postId', validateMongoIds('id', 'postId'), authenticate, asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+
+  list.posts.pull(req.params.postId);
+  await list.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Post removed from reading list',
+    data: list
+  });
+}));
+
+// Get a shared reading list by slug; private lists are only visible to their owner
+router.get('/lists/:slug', optionalAuth, asyncHandler(async (req, res) => {
+  const list = await ReadingList.findOne({ slug: req.params.slug.toLowerCase() })
+    .populate('user', 'name avatar');
+
+  if (!list || (!list.isPublic && !list.isOwnedBy(req.user && req.user._id))) {
+    throw new AppError('Reading list not found', 404);
+  }
+
+  const posts = await list.getVisiblePosts();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      list,
+      posts
+    }
+  });
+}));
+
 // Get all users (admin only)
-router.get('/', authenticate, asyncHandler(async (req, res) => {
-  const users = await User.find().select('-password').sort({ createdAt: -1 });
+router.get('/', authenticate, validatePagination, asyncHandler(async (req, res) => {
+  const { docs: users, total, pagination, nextCursor, prevCursor } = await paginate(User, {}, {
+    ...paginationOptions(req, { limit: 20, sort: '-createdAt' }),
+    select: '-password'
+  });
+
   res.status(200).json({
     status: 'success',
     results: users.length,
+    total,
+    pagination,
+    nextCursor,
+    prevCursor,
     data: users
   });
 }));
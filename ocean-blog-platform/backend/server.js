@@ -40,6 +40,15 @@ const connectDB = async () => {
   }
 };
 
+// Behind a reverse proxy req.ip is the proxy's address unless Express is told
+// to trust it. TRUST_PROXY takes true, a hop count or a list of addresses.
+if (process.env.TRUST_PROXY) {
+  let trustProxy = process.env.TRUST_PROXY;
+  if (/^\d+$/.test(trustProxy)) trustProxy = parseInt(trustProxy);
+  else if (['true', 'false'].includes(trustProxy)) trustProxy = trustProxy === 'true';
+  app.set('trust proxy', trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -70,8 +79,32 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Data sanitization against NoSQL query injection
 app.use(mongoSanitize());
 
-// Data sanitization against XSS
-app.use(xss());
+// Data sanitization against XSS. Rich post bodies sent to the post create,
+// preview and update handlers are exempt: they go through the allowlist
+// sanitizer in utils/sanitize.js instead of being entity-escaped.
+const xssClean = xss();
+const RICH_TEXT_FIELDS = ['content', 'contentSource'];
+const RICH_TEXT_ROUTES = [
+  { method: 'POST', path: /^\/api\/posts\/?$/ },
+  { method: 'POST', path: /^\/api\/posts\/preview\/?$/ },
+  { method: 'PATCH', path: /^\/api\/posts\/[0-9a-fA-F]{24}\/?$/ }
+];
+const acceptsRichText = (req) => RICH_TEXT_ROUTES.some(route =>
+  route.method === req.method && route.path.test(req.path)
+);
+app.use((req, res, next) => {
+  const raw = {};
+  if (acceptsRichText(req) && req.body) {
+    RICH_TEXT_FIELDS.forEach(field => {
+      if (typeof req.body[field] === 'string') raw[field] = req.body[field];
+    });
+  }
+
+  xssClean(req, res, () => {
+    Object.assign(req.body, raw);
+    next();
+  });
+});
 
 // Prevent parameter pollution
 app.use(hpp());
@@ -102,11 +135,22 @@ const commentRoutes = require('./routes/comments');
 const categoryRoutes = require('./routes/categories');
 const userRoutes = require('./routes/users');
 const uploadRoutes = require('./routes/upload');
+const seriesRoutes = require('./routes/series');
+const feedRoutes = require('./routes/feeds');
+const seoRoutes = require('./routes/seo');
+const searchRoutes = require('./routes/search');
+const tagRoutes = require('./routes/tags');
+const adminRoutes = require('./routes/admin');
+const moderationRoutes = require('./routes/moderation');
+const sitemapRoutes = require('./routes/sitemap');
+const pageRoutes = require('./routes/pages');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/errorHandler');
-const { authenticateSocket } = require('./middleware/socketAuth');
+const { authenticateSocket, getUsersInRoom } = require('./middleware/socketAuth');
+const scheduler = require('./utils/scheduler');
+const { MODERATOR_ROLES, MODERATORS_ROOM } = require('./utils/moderation');
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -115,6 +159,16 @@ app.use('/api/comments', commentRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/seo', seoRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/moderation', moderationRoutes);
+
+// Syndication feeds, sitemaps and robots.txt
+app.use('/feeds', feedRoutes);
+app.use('/', sitemapRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -129,6 +183,12 @@ app.get('/api/health', (req, res) => {
 // Socket.io connection handling
 io.use(authenticateSocket);
 
+// Tell everyone reading a post how many readers it has right now
+const broadcastViewerCount = (postId) => {
+  const room = `post_${postId}`;
+  io.to(room).emit('viewer_count', { postId, count: getUsersInRoom(io, room) });
+};
+
 io.on('connection', (socket) => {
   console.log(`✅ User connected: ${socket.user?.email || 'Anonymous'}`);
 
@@ -137,35 +197,61 @@ io.on('connection', (socket) => {
     socket.join(`user_${socket.user._id}`);
   }
 
-  // Handle joining post rooms for real-time comments
+  // Moderators get a live feed of comments held for review
+  if (socket.user && MODERATOR_ROLES.includes(socket.user.role)) {
+    socket.join(MODERATORS_ROOM);
+  }
+
+  // Handle joining post rooms for real-time comments. Comment events are
+  // emitted by routes/comments.js once the change is saved, never relayed
+  // from client payloads.
   socket.on('join_post', (postId) => {
+    if (!mongoose.Types.ObjectId.isValid(String(postId))) return;
+
     socket.join(`post_${postId}`);
+    broadcastViewerCount(postId);
     console.log(`👤 User joined post room: ${postId}`);
   });
 
   // Handle leaving post rooms
   socket.on('leave_post', (postId) => {
+    if (!socket.rooms.has(`post_${postId}`)) return;
+
     socket.leave(`post_${postId}`);
+    stopTyping(postId);
+    broadcastViewerCount(postId);
     console.log(`👋 User left post room: ${postId}`);
   });
 
-  // Handle new comments
-  socket.on('new_comment', async (data) => {
-    try {
-      const { postId, comment } = data;
-      
-      // Emit to all users in the post room
-      io.to(`post_${postId}`).emit('comment_added', {
-        comment,
-        postId,
-        timestamp: new Date().toISOString()
-      });
-      
-      console.log(`💬 New comment broadcasted to post ${postId}`);
-    } catch (error) {
-      console.error('❌ Error handling new comment:', error);
-      socket.emit('error', { message: 'Failed to broadcast comment' });
-    }
+  // Typing indicator, relayed only to other readers of a post this socket has joined
+  socket.on('comment_typing', (data = {}) => {
+    const { postId, isTyping } = data;
+    if (!socket.rooms.has(`post_${postId}`)) return;
+
+    socket.to(`post_${postId}`).emit('user_typing', {
+      postId,
+      user: { _id: socket.user._id, name: socket.user.name },
+      isTyping: Boolean(isTyping)
+    });
+  });
+
+  const stopTyping = (postId) => {
+    socket.to(`post_${postId}`).emit('user_typing', {
+      postId,
+      user: { _id: socket.user._id, name: socket.user.name },
+      isTyping: false
+    });
+  };
+
+  // Rooms are still joined while disconnecting, so the count excludes this socket
+  socket.on('disconnecting', () => {
+    socket.rooms.forEach(room => {
+      if (!room.startsWith('post_')) return;
+
+      const postId = room.slice('post_'.length);
+      stopTyping(postId);
+      io.to(room).emit('viewer_count', { postId, count: getUsersInRoom(io, room) - 1 });
+    });
   });
 
   // Handle disconnect
@@ -177,6 +263,9 @@ io.on('connection', (socket) => {
 // Make io available to routes
 app.set('io', io);
 
+// Built frontend with prerendered post, category and author pages
+app.use(pageRoutes);
+
 // Error handling middleware
 app.use(notFound);
 app.use(errorHandler);
@@ -187,6 +276,9 @@ const PORT = process.env.PORT || 5000;
 const startServer = async () => {
   await connectDB();
   
+  // Background jobs (scheduled publishing)
+  await scheduler.start({ io });
+  
   server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`🌊 Ocean Blog Platform Backend`);
@@ -198,6 +290,7 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
+  scheduler.stop();
   server.close(() => {
     console.log('🔌 Process terminated');
     mongoose.connection.close();
@@ -207,6 +300,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
+  scheduler.stop();
   server.close(() => {
     console.log('🔌 Process terminated');
     mongoose.connection.close();
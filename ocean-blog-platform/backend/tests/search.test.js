@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const { parseSearchQuery } = require('../utils/search/query');
+const { highlightPost } = require('../utils/search/highlight');
+const {
+  searchPosts,
+  setSearchAdapter,
+  MemorySearchAdapter
+} = require('../utils/search');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const ocean = { _id: id(), name: 'Ocean', slug: 'ocean' };
+const travel = { _id: id(), name: 'Travel', slug: 'travel' };
+const ana = { _id: id(), name: 'Ana', avatar: 'ana.png' };
+const ben = { _id: id(), name: 'Ben', avatar: 'ben.png' };
+
+const post = (overrides) => ({
+  _id: id(),
+  status: 'published',
+  isPublic: true,
+  tags: [],
+  views: 0,
+  coAuthors: [],
+  ...overrides
+});
+
+const posts = [
+  post({
+    title: 'Coral reef survival',
+    content: '<p>The coral reef is home to thousands of species. Reefs are running out of time.</p>',
+    category: ocean,
+    author: ana,
+    tags: ['reef', 'conservation'],
+    publishedAt: new Date('2023-05-01'),
+    views: 40
+  }),
+  post({
+    title: 'Swimming with sharks',
+    content: '<p>Sharks patrol the coral reef at night.</p>',
+    category: ocean,
+    author: ben,
+    tags: ['sharks', 'reef'],
+    publishedAt: new Date('2024-02-10'),
+    views: 90
+  }),
+  post({
+    title: 'Island hopping',
+    content: '<p>A week of ferries, beaches and coral gardens.</p>',
+    category: travel,
+    author: ana,
+    tags: ['islands'],
+    publishedAt: new Date('2024-07-20'),
+    views: 15
+  }),
+  post({
+    title: 'Unpublished reef notes',
+    content: '<p>coral coral coral</p>',
+    category: ocean,
+    author: ben,
+    status: 'draft',
+    publishedAt: null
+  })
+];
+
+beforeEach(() => {
+  setSearchAdapter(new MemorySearchAdapter({ posts }));
+});
+
+describe('parseSearchQuery', () => {
+  it('splits terms, quoted phrases and exclusions', () => {
+    const query = parseSearchQuery('Ocean "Coral  Reef" -shark -"great white"');
+
+    expect(query.terms).toEqual(['ocean']);
+    expect(query.phrases).toEqual(['coral reef']);
+    expect(query.excluded).toEqual(['shark', 'great white']);
+    expect(query.words).toEqual(['ocean', 'coral', 'reef']);
+  });
+
+  it('ignores lone dashes and empty phrases', () => {
+    const query = parseSearchQuery('- "" reef');
+
+    expect(query.terms).toEqual(['reef']);
+    expect(query.phrases).toEqual([]);
+    expect(query.excluded).toEqual([]);
+  });
+});
+
+describe('highlightPost', () => {
+  it('marks matches in the title and escapes everything else', () => {
+    const result = highlightPost(
+      { title: 'Reefs & <b>rays</b>', content: '<p>Reef life</p>' },
+      parseSearchQuery('reef')
+    );
+
+    expect(result.title).toBe('<mark>Reefs</mark> &amp; &lt;b&gt;rays&lt;/b&gt;');
+    expect(result.snippets).toEqual(['<mark>Reef</mark> life']);
+  });
+
+  it('prefers whole phrases over their words', () => {
+    const result = highlightPost(
+      { title: '', content: '<p>The coral reef and a coral garden</p>' },
+      parseSearchQuery('"coral reef" coral')
+    );
+
+    expect(result.snippets[0]).toBe('The <mark>coral reef</mark> and a <mark>coral</mark> garden');
+  });
+
+  it('falls back to the excerpt when nothing matches', () => {
+    const result = highlightPost(
+      { title: 'Tides', content: '<p>Moon and water</p>', excerpt: 'About tides' },
+      parseSearchQuery('reef')
+    );
+
+    expect(result.snippets).toEqual(['About tides']);
+  });
+});
+
+describe('searchPosts with MemorySearchAdapter', () => {
+  it('matches published posts only, ranked by relevance', async () => {
+    const result = await searchPosts({ q: 'reef' });
+
+    expect(result.sort).toBe('relevance');
+    expect(result.total).toBe(2);
+    expect(result.posts.map(hit => hit.title)).toEqual(['Coral reef survival', 'Swimming with sharks']);
+    expect(result.posts[0].content).toBeUndefined();
+    expect(result.posts[0].highlights.title).toBe('Coral <mark>reef</mark> survival');
+  });
+
+  it('applies phrases and exclusions', async () => {
+    const result = await searchPosts({ q: '"coral reef" -sharks' });
+
+    expect(result.posts.map(hit => hit.title)).toEqual(['Coral reef survival']);
+  });
+
+  it('counts facets over every match, not just the page', async () => {
+    const result = await searchPosts({ q: 'coral', limit: 1 });
+
+    expect(result.posts).toHaveLength(1);
+    expect(result.total).toBe(3);
+    expect(result.facets.categories).toEqual([
+      { _id: ocean._id.toString(), count: 2, name: 'Ocean', slug: 'ocean' },
+      { _id: travel._id.toString(), count: 1, name: 'Travel', slug: 'travel' }
+    ]);
+    expect(result.facets.tags).toEqual([
+      { tag: 'reef', count: 2 },
+      { tag: 'conservation', count: 1 },
+      { tag: 'islands', count: 1 },
+      { tag: 'sharks', count: 1 }
+    ]);
+    expect(result.facets.authors).toEqual([
+      { _id: ana._id.toString(), count: 2, name: 'Ana', avatar: 'ana.png' },
+      { _id: ben._id.toString(), count: 1, name: 'Ben', avatar: 'ben.png' }
+    ]);
+    expect(result.facets.years).toEqual([
+      { year: 2024, count: 2 },
+      { year: 2023, count: 1 }
+    ]);
+  });
+
+  it('credits accepted co-authors in the author filter and facet', async () => {
+    setSearchAdapter(new MemorySearchAdapter({
+      posts: posts.map(doc => (doc.title === 'Island hopping'
+        ? { ...doc, coAuthors: [{ user: ben, status: 'accepted' }, { user: id(), status: 'pending' }] }
+        : doc))
+    }));
+
+    const result = await searchPosts({ filters: { author: ben._id } });
+
+    expect(result.posts.map(hit => hit.title)).toEqual(['Island hopping', 'Swimming with sharks']);
+    expect(result.facets.authors).toEqual([
+      { _id: ben._id.toString(), count: 2, name: 'Ben', avatar: 'ben.png' },
+      { _id: ana._id.toString(), count: 1, name: 'Ana', avatar: 'ana.png' }
+    ]);
+  });
+
+  it('filters by category, tag and date range', async () => {
+    const byCategory = await searchPosts({ filters: { categories: [travel._id] } });
+    expect(byCategory.posts.map(hit => hit.title)).toEqual(['Island hopping']);
+
+    const byTag = await searchPosts({ filters: { tags: ['reef', 'sharks'] } });
+    expect(byTag.posts.map(hit => hit.title)).toEqual(['Swimming with sharks']);
+
+    const byDate = await searchPosts({ filters: { from: new Date('2024-01-01'), to: new Date('2024-12-31') } });
+    expect(byDate.posts.map(hit => hit.title)).toEqual(['Island hopping', 'Swimming with sharks']);
+  });
+
+  it('pages forwards and back with cursors', async () => {
+    const first = await searchPosts({ sort: 'popular', limit: 1 });
+    expect(first.posts.map(hit => hit.title)).toEqual(['Swimming with sharks']);
+    expect(first.prevCursor).toBeNull();
+
+    const second = await searchPosts({ sort: 'popular', limit: 1, after: first.nextCursor });
+    expect(second.posts.map(hit => hit.title)).toEqual(['Coral reef survival']);
+    expect(second.pagination.hasPrevPage).toBe(true);
+
+    const back = await searchPosts({ sort: 'popular', limit: 1, before: second.prevCursor });
+    expect(back.posts.map(hit => hit.title)).toEqual(['Swimming with sharks']);
+    expect(back.pagination.hasPrevPage).toBe(false);
+    expect(back.pagination.hasNextPage).toBe(true);
+  });
+});
@@ -0,0 +1,45 @@
+// Small in-memory TTL cache with a size cap (oldest entries are evicted first)
+class MemoryCache {
+  constructor({ ttl = 5 * 60 * 1000, maxEntries = 500 } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.store = new Map();
+  }
+
+  get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  set(key, value, ttl = this.ttl) {
+    if (this.store.has(key)) {
+      this.store.delete(key);
+    } else if (this.store.size >= this.maxEntries) {
+      this.store.delete(this.store.keys().next().value);
+    }
+
+    this.store.set(key, { value, expiresAt: Date.now() + ttl });
+    return value;
+  }
+
+  delete(key) {
+    return this.store.delete(key);
+  }
+
+  clear() {
+    this.store.clear();
+  }
+
+  get size() {
+    return this.store.size;
+  }
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,81 @@
+const { linkDensity, repeatedContent, blocklist, postingVelocity } = require('./scorers');
+
+// Spam and toxicity scoring for new and edited comments, run before they are
+// saved. Everything is computed locally; no external service is called.
+//
+// Scorers implement:
+//
+//   name                       unique identifier, stored with each signal
+//   score(comment, context)    -> { score, reason } (may return a promise)
+//
+// where `comment` holds { content, author, post, parentComment, ipAddress }
+// plus `_id` when an existing comment is edited, and `context` holds the
+// { user, post } documents. `score` is the number of points the scorer adds;
+// 0 means nothing suspicious and its `reason` is ignored. A comment's total
+// is the sum over all scorers, capped at 100.
+const MAX_SCORE = 100;
+
+class CommentFilter {
+  constructor({ scorers = [], pendingThreshold = 50, rejectThreshold = 90 } = {}) {
+    this.scorers = new Map();
+    this.pendingThreshold = pendingThreshold;
+    this.rejectThreshold = rejectThreshold;
+    scorers.forEach(scorer => this.use(scorer));
+  }
+
+  // Add a scorer, replacing any with the same name
+  use(scorer) {
+    if (!scorer || !scorer.name || typeof scorer.score !== 'function') {
+      throw new Error('Comment scorers need a name and a score(comment, context) function');
+    }
+    this.scorers.set(scorer.name, scorer);
+    return this;
+  }
+
+  remove(name) {
+    this.scorers.delete(name);
+    return this;
+  }
+
+  // -> { score, signals: [{ scorer, score, reason }], status }
+  // status is 'approved', 'pending' (held for review) or 'rejected'.
+  async evaluate(comment, context = {}) {
+    const results = await Promise.all([...this.scorers.values()].map(async scorer => {
+      try {
+        const result = await scorer.score(comment, context);
+        return { scorer: scorer.name, score: Math.max(0, Number(result && result.score) || 0), reason: result && result.reason };
+      } catch (error) {
+        // A broken scorer must not stop people from commenting
+        console.error(`Comment scorer "${scorer.name}" failed:`, error);
+        return { scorer: scorer.name, score: 0 };
+      }
+    }));
+
+    const signals = results
+      .filter(result => result.score > 0)
+      .map(result => ({ scorer: result.scorer, score: result.score, reason: result.reason || result.scorer }));
+    const score = Math.min(MAX_SCORE, signals.reduce((total, signal) => total + signal.score, 0));
+
+    let status = 'approved';
+    if (score >= this.rejectThreshold) status = 'rejected';
+    else if (score >= this.pendingThreshold) status = 'pending';
+
+    return { score, signals, status };
+  }
+}
+
+const commentFilter = new CommentFilter({
+  scorers: [linkDensity, repeatedContent, blocklist, postingVelocity],
+  pendingThreshold: parseInt(process.env.COMMENT_SPAM_PENDING_SCORE) || 50,
+  rejectThreshold: parseInt(process.env.COMMENT_SPAM_REJECT_SCORE) || 90
+});
+
+// Register a custom scorer on the shared filter
+const registerCommentScorer = (scorer) => commentFilter.use(scorer);
+
+module.exports = {
+  CommentFilter,
+  commentFilter,
+  registerCommentScorer,
+  scorers: { linkDensity, repeatedContent, blocklist, postingVelocity }
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Built-in heuristic scorers. Each returns { score, reason } where score is
+// the number of points it adds (0 = nothing suspicious); see ./index.js.
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\[[^\]]*\]\([^)]+\)/gi;
+
+const DEFAULT_BLOCKLIST = [
+  'viagra', 'cialis', 'casino', 'online betting', 'payday loan', 'crypto giveaway',
+  'double your bitcoin', 'work from home and earn', 'cheap followers', 'buy followers',
+  'porn', 'xxx', 'escort service',
+  'idiot', 'moron', 'shut up', 'kill yourself', 'kys', 'retard', 'loser'
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const words = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const clamp = (value, max) => Math.max(0, Math.min(max, Math.round(value)));
+
+// Links, and how much of the comment they make up
+const linkDensity = {
+  name: 'link_density',
+  score({ content }) {
+    const links = content.match(LINK_PATTERN) || [];
+    if (links.length === 0) return { score: 0 };
+
+    const wordCount = Math.max(1, words(content.replace(LINK_PATTERN, ' ')).length);
+    const density = links.length / (links.length + wordCount);
+
+    return {
+      score: clamp(links.length * 10 + density * 60, 60),
+      reason: `${links.length} link${links.length === 1 ? '' : 's'} in ${wordCount} word${wordCount === 1 ? '' : 's'}`
+    };
+  }
+};
+
+// The same text posted again by the same user or IP, or one word over and over
+const repeatedContent = {
+  name: 'repeated_content',
+  windowMs: 24 * 60 * 60 * 1000,
+
+  async score({ content, author, ipAddress, _id }) {
+    const tokens = words(content);
+    const uniqueRatio = tokens.length >= 8 ? new Set(tokens).size / tokens.length : 1;
+
+    const sources = [{ author }];
+    if (ipAddress) sources.push({ ipAddress });
+
+    const duplicates = await mongoose.model('Comment').countDocuments({
+      $or: sources,
+      content,
+      createdAt: { $gte: new Date(Date.now() - this.windowMs) },
+      ...(_id ? { _id: { $ne: _id } } : {})
+    });
+
+    const score = clamp(duplicates * 35 + (uniqueRatio < 0.3 ? 25 : 0), 70);
+    if (score === 0) return { score };
+
+    return {
+      score,
+      reason: duplicates > 0
+        ? `Posted ${duplicates} time${duplicates === 1 ? '' : 's'} before in the last day`
+        : 'Mostly the same words repeated'
+    };
+  }
+};
+
+// Words and phrases from COMMENT_BLOCKLIST (comma separated) or the defaults
+const blocklist = {
+  name: 'blocklist',
+  terms: (process.env.COMMENT_BLOCKLIST
+    ? process.env.COMMENT_BLOCKLIST.split(',')
+    : DEFAULT_BLOCKLIST
+  ).map(term => term.trim().toLowerCase()).filter(Boolean),
+
+  score({ content }) {
+    const text = String(content).toLowerCase();
+    const found = this.terms.filter(term => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'u').test(text));
+    if (found.length === 0) return { score: 0 };
+
+    return {
+      score: clamp(found.length * 30, 90),
+      reason: `Contains blocked ${found.length === 1 ? 'term' : 'terms'}: ${found.join(', ')}`
+    };
+  }
+};
+
+// Many comments in a short time from the same user or IP
+const postingVelocity = {
+  name: 'posting_velocity',
+  windowMs: (parseInt(process.env.COMMENT_VELOCITY_WINDOW_MINUTES) || 10) * 60 * 1000,
+  limit: parseInt(process.env.COMMENT_VELOCITY_LIMIT) || 5,
+
+  async score({ author, ipAddress, _id }) {
+    const sources = [{ author }];
+    if (ipAddress) sources.push({ ipAddress });
+
+    const recent = await mongoose.model('Comment').countDocuments({
+      $or: sources,
+      createdAt: { $gte: new Date(Date.now() - this.windowMs) },
+      ...(_id ? { _id: { $ne: _id } } : {})
+    });
+    if (recent < this.limit) return { score: 0 };
+
+    return {
+      score: clamp(30 + (recent - this.limit) * 15, 80),
+      reason: `${recent} comments in the last ${Math.round(this.windowMs / 60000)} minutes`
+    };
+  }
+};
+
+module.exports = {
+  linkDensity,
+  repeatedContent,
+  blocklist,
+  postingVelocity
+};
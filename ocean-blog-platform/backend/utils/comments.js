@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const { paginate, encodeCursor } = require('./pagination');
+const { emitToRoom } = require('../middleware/socketAuth');
+
+// Reply levels returned below the requested page; deeper threads continue
+// through GET /api/posts/:id/comments?parent=<id>
+const MAX_DEPTH = parseInt(process.env.COMMENT_THREAD_DEPTH) || 3;
+
+// Replies shown per comment before a "load more" cursor takes over
+const REPLIES_PER_THREAD = parseInt(process.env.COMMENT_REPLIES_PER_THREAD) || 3;
+
+const AUTHOR_FIELDS = 'name avatar';
+
+// Approved comments; deleted ones stay as placeholders while replies hang off them
+const visibleFilter = () => ({
+  status: 'approved',
+  $or: [{ isDeleted: false }, { 'replies.0': { $exists: true } }]
+});
+
+// Public shape of one comment in a thread
+const toNode = (comment, depth) => ({
+  _id: comment._id,
+  post: comment.post,
+  parentComment: comment.parentComment || null,
+  content: comment.isDeleted ? '[Comment deleted]' : comment.content,
+  author: comment.isDeleted ? null : comment.author,
+  likes: comment.likes,
+  dislikes: comment.dislikes,
+  isEdited: comment.isEdited,
+  isDeleted: comment.isDeleted,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt,
+  depth,
+  replyCount: 0,
+  replies: [],
+  repliesCursor: null
+});
+
+// Tell readers of the comment's post about a change that has been saved.
+// Only approved comments are broadcast; a removal carries no content, so it
+// also goes out when a comment has just left the approved state.
+const broadcastComment = (io, event, comment, data = {}) => {
+  if (!io || (comment.status !== 'approved' && event !== 'comment_deleted')) return;
+
+  emitToRoom(io, `post_${comment.post._id || comment.post}`, event, {
+    postId: comment.post._id || comment.post,
+    commentId: comment._id,
+    parentComment: comment.parentComment || null,
+    ...data,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Attach up to REPLIES_PER_THREAD replies to every node, level by level, with
+// one query per level. Threads with more replies get a cursor for the rest;
+// nodes at maxDepth only report replyCount and are expanded on demand.
+const attachReplies = async (nodes, depth, maxDepth) => {
+  if (nodes.length === 0) return;
+
+  const inline = depth < maxDepth;
+  const groups = await Comment.aggregate([
+    {
+      $match: {
+        ...visibleFilter(),
+        parentComment: { $in: nodes.map(node => node._id) }
+      }
+    },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$parentComment',
+        total: { $sum: 1 },
+        ...(inline ? { replies: { $push: '$$ROOT' } } : {})
+      }
+    },
+    ...(inline ? [{ $project: { total: 1, replies: { $slice: ['$replies', REPLIES_PER_THREAD] } } }] : [])
+  ]);
+
+  const byParent = new Map(groups.map(group => [group._id.toString(), group]));
+  const children = [];
+
+  nodes.forEach(node => {
+    const group = byParent.get(node._id.toString());
+    if (!group) return;
+
+    node.replyCount = group.total;
+    if (!inline) return;
+
+    node.replies = group.replies.map(reply => toNode(reply, depth + 1));
+    if (group.total > node.replies.length) {
+      node.repliesCursor = encodeCursor(group.replies[group.replies.length - 1], 'createdAt');
+    }
+    children.push(...node.replies);
+  });
+
+  await Comment.populate(children.filter(child => child.author), { path: 'author', select: AUTHOR_FIELDS });
+  await attachReplies(children, depth + 1, maxDepth);
+};
+
+// A page of a post's comment tree, oldest first. Without `parent` the page
+// holds top-level comments; with it, replies to that comment (for "load more"
+// and for threads deeper than `depth`). Depths are relative to the page.
+const getCommentThread = async (postId, { parent = null, limit = 20, after, before, depth = MAX_DEPTH } = {}) => {
+  const filter = {
+    ...visibleFilter(),
+    post: new mongoose.Types.ObjectId(postId.toString()),
+    parentComment: parent ? new mongoose.Types.ObjectId(parent.toString()) : null
+  };
+
+  const { docs, total, nextCursor, prevCursor } = await paginate(Comment, filter, {
+    limit,
+    sort: 'createdAt',
+    after,
+    before,
+    populate: { path: 'author', select: AUTHOR_FIELDS }
+  });
+
+  const comments = docs.map(doc => toNode(doc, 0));
+  await attachReplies(comments, 0, Math.min(Math.max(depth, 0), MAX_DEPTH));
+
+  return {
+    comments,
+    total,
+    nextCursor,
+    prevCursor
+  };
+};
+
+module.exports = {
+  MAX_DEPTH,
+  REPLIES_PER_THREAD,
+  toNode,
+  broadcastComment,
+  getCommentThread
+};
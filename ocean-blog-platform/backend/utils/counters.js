@@ -0,0 +1,229 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const events = require('./events');
+
+// Denormalized counters: Category.postCount, User.postCount (authored or
+// co-authored), Tag.postCount and the approved comment list behind
+// Post.commentCount. Each recount reads the source collection again instead of
+// adjusting by one, so a missed or repeated event can never leave a counter
+// drifting.
+
+const PUBLISHED = { status: 'published', isPublic: true };
+const VISIBLE_COMMENTS = { status: 'approved', isDeleted: false };
+
+// A post's counters depend on these; views, likes etc. do not
+const COUNTED_PATHS = ['status', 'isPublic', 'author', 'coAuthors', 'category', 'tags'];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const uniqueIds = (ids) => {
+  const seen = new Map();
+  ids.filter(Boolean).forEach(id => seen.set(idOf(id).toString(), idOf(id)));
+  return [...seen.values()];
+};
+
+// Published post counts grouped by `field`, as a Map of key -> count
+const countPublishedBy = async (field, match = {}) => {
+  const groups = await Post.aggregate([
+    { $match: { ...PUBLISHED, ...match } },
+    ...(field === 'tags' ? [{ $unwind: '$tags' }] : []),
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+
+  return new Map(groups.filter(group => group._id !== null).map(group => [group._id.toString(), group.count]));
+};
+
+const recountCategories = async (categoryIds) => {
+  const ids = uniqueIds(categoryIds);
+  if (ids.length === 0) return 0;
+
+  const counts = await countPublishedBy('category', { category: { $in: ids } });
+  const result = await Category.bulkWrite(ids.map(id => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { postCount: counts.get(id.toString()) || 0 } }
+    }
+  })));
+
+  return result.modifiedCount;
+};
+
+// Published posts each user is credited on, as author or accepted co-author
+// (the same rule as Post.authorQuery), as a Map of id -> count
+const countPublishedByAuthor = async (ids) => {
+  const groups = await Post.aggregate([
+    {
+      $match: {
+        ...PUBLISHED,
+        $or: [
+          { author: { $in: ids } },
+          { coAuthors: { $elemMatch: { user: { $in: ids }, status: 'accepted' } } }
+        ]
+      }
+    },
+    {
+      $project: {
+        credited: {
+          $setUnion: [
+            ['$author'],
+            {
+              $map: {
+                input: { $filter: { input: '$coAuthors', cond: { $eq: ['$$this.status', 'accepted'] } } },
+                in: '$$this.user'
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$credited' },
+    { $match: { credited: { $in: ids } } },
+    { $group: { _id: '$credited', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(groups.map(group => [group._id.toString(), group.count]));
+};
+
+const recountUsers = async (userIds) => {
+  const ids = uniqueIds(userIds);
+  if (ids.length === 0) return 0;
+
+  const counts = await countPublishedByAuthor(ids);
+  const result = await User.bulkWrite(ids.map(id => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { postCount: counts.get(id.toString()) || 0 } }
+    }
+  })));
+
+  return result.modifiedCount;
+};
+
+// Tags in use get a Tag document on first count; unused ones drop to zero
+const recountTags = async (names) => {
+  const tags = [...new Set(names.filter(Boolean))];
+  if (tags.length === 0) return 0;
+
+  const counts = await countPublishedBy('tags', { tags: { $in: tags } });
+  const result = await Tag.bulkWrite(tags.map(name => {
+    const count = counts.get(name) || 0;
+    return {
+      updateOne: {
+        filter: { name },
+        update: { $set: { postCount: count } },
+        upsert: count > 0
+      }
+    };
+  }));
+
+  return result.modifiedCount + result.upsertedCount;
+};
+
+// Rebuild the approved, not deleted comment list of each post
+const recountComments = async (postIds) => {
+  const ids = uniqueIds(postIds);
+  if (ids.length === 0) return 0;
+
+  const groups = await Comment.aggregate([
+    { $match: { ...VISIBLE_COMMENTS, post: { $in: ids } } },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: '$post', comments: { $push: '$_id' } } }
+  ]);
+  const byPost = new Map(groups.map(group => [group._id.toString(), group.comments]));
+
+  const result = await Post.bulkWrite(ids.map(id => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { comments: byPost.get(id.toString()) || [] } },
+      timestamps: false
+    }
+  })));
+
+  return result.modifiedCount;
+};
+
+// Rebuild every counter from scratch
+const recountAll = async () => {
+  const [categories, users, posts] = await Promise.all([
+    Category.find().distinct('_id'),
+    User.find().distinct('_id'),
+    Post.find().distinct('_id')
+  ]);
+  const tagsInUse = await Post.distinct('tags');
+  const countedTags = await Tag.find({ postCount: { $gt: 0 } }).distinct('name');
+
+  return {
+    categories: await recountCategories(categories),
+    users: await recountUsers(users),
+    tags: await recountTags([...tagsInUse, ...countedTags]),
+    posts: await recountComments(posts)
+  };
+};
+
+// Listeners run after the response has been sent, so failures are only logged
+const run = (task) => {
+  task().catch(error => console.error('Counter update failed:', error));
+};
+
+events.on('post:saved', (post, { isNew, changedPaths, previous = {} }) => {
+  if (!isNew && !changedPaths.some(path => COUNTED_PATHS.includes(path))) return;
+
+  run(async () => {
+    await recountCategories([post.category, previous.category]);
+    await recountUsers([
+      post.author,
+      previous.author,
+      ...(post.coAuthors || []).map(coAuthor => coAuthor.user),
+      ...(previous.coAuthors || [])
+    ]);
+    await recountTags([...(post.tags || []), ...(previous.tags || [])]);
+  });
+});
+
+events.on('post:deleted', (post) => {
+  run(async () => {
+    await recountCategories([post.category]);
+    await recountUsers([post.author, ...(post.coAuthors || []).map(coAuthor => coAuthor.user)]);
+    await recountTags(post.tags || []);
+  });
+});
+
+// Tag merges and renames, and category deletes, rewrite posts in bulk, so
+// every affected counter is recounted
+events.on('posts:updated', ({ changedPaths }) => {
+  if (changedPaths.includes('tags')) {
+    run(async () => {
+      const tagsInUse = await Post.distinct('tags');
+      const countedTags = await Tag.find({ postCount: { $gt: 0 } }).distinct('name');
+      await recountTags([...tagsInUse, ...countedTags]);
+    });
+  }
+
+  if (changedPaths.includes('category')) {
+    run(async () => {
+      const categoriesInUse = await Post.distinct('category');
+      const countedCategories = await Category.find({ postCount: { $gt: 0 } }).distinct('_id');
+      await recountCategories([...categoriesInUse, ...countedCategories]);
+    });
+  }
+});
+
+events.on('comment:saved', (comment, { isNew, changedPaths }) => {
+  if (!isNew && !changedPaths.some(path => ['status', 'isDeleted', 'post'].includes(path))) return;
+  run(() => recountComments([comment.post]));
+});
+
+events.on('comment:deleted', (comment) => {
+  run(() => recountComments([comment.post]));
+});
+
+module.exports = {
+  recountCategories,
+  recountUsers,
+  recountTags,
+  recountComments,
+  recountAll
+};
@@ -0,0 +1,40 @@
+const { diffWords } = require('diff');
+const { stripHtml } = require('./helpers');
+
+// Word-level diff between two strings
+const diffText = (oldText = '', newText = '') => {
+  const changes = diffWords(oldText || '', newText || '');
+
+  const stats = changes.reduce((acc, part) => {
+    const words = part.value.trim() ? part.value.trim().split(/\s+/).length : 0;
+    if (part.added) acc.added += words;
+    else if (part.removed) acc.removed += words;
+    else acc.unchanged += words;
+    return acc;
+  }, { added: 0, removed: 0, unchanged: 0 });
+
+  return {
+    changed: stats.added > 0 || stats.removed > 0,
+    stats,
+    changes: changes.map(part => ({
+      type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+      value: part.value
+    }))
+  };
+};
+
+// Diff a revision against the current post, field by field
+const diffRevision = (revision, post) => {
+  return {
+    title: diffText(revision.title, post.title),
+    excerpt: diffText(revision.excerpt, post.excerpt),
+    content: diffText(stripHtml(revision.content), stripHtml(post.content)),
+    metaTitle: diffText(revision.seo?.metaTitle, post.seo?.metaTitle),
+    metaDescription: diffText(revision.seo?.metaDescription, post.seo?.metaDescription)
+  };
+};
+
+module.exports = {
+  diffText,
+  diffRevision
+};
@@ -116,6 +116,41 @@ class EmailService {
     return await this.sendMail(mailOptions);
   }
 
+  // Send post approved notification
+  async sendPostApproved(author, reviewer, post, note) {
+    const mailOptions = {
+      to: author.email,
+      subject: `Your post was approved: ${post.title}`,
+      html: this.generateReviewNotification(author, reviewer, post, note, true)
+    };
+
+    return await this.sendMail(mailOptions);
+  }
+
+  // Send changes requested notification
+  async sendChangesRequested(author, reviewer, post, note) {
+    const mailOptions = {
+      to: author.email,
+      subject: `Changes requested on your post: ${post.title}`,
+      html: this.generateReviewNotification(author, reviewer, post, note, false)
+    };
+
+    return await this.sendMail(mailOptions);
+  }
+
+  // Send outcome of a comment report to the reader who filed it
+  async sendReportOutcome(reporter, post, outcome) {
+    const mailOptions = {
+      to: reporter.email,
+      subject: outcome === 'resolved'
+        ? 'Action was taken on a comment you reported'
+        : 'Update on a comment you reported',
+      html: this.generateReportOutcome(reporter, post, outcome)
+    };
+
+    return await this.sendMail(mailOptions);
+  }
+
   // Generate welcome email template
   generateWelcomeEmail(user) {
     return `
@@ -356,6 +391,109 @@ class EmailService {
     </html>
     `;
   }
+
+  // Generate review outcome template (approved or changes requested)
+  generateReviewNotification(author, reviewer, post, note, approved) {
+    const postUrl = `${process.env.CLIENT_URL}/post/${post.slug}`;
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${approved ? 'Post Approved' : 'Changes Requested'}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #26A69A, #00897B); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .button { display: inline-block; background: #26A69A; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        .note { background: white; padding: 15px; border-left: 4px solid #26A69A; margin: 15px 0; }
+        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>${approved ? '✅ Post Approved' : '✏️ Changes Requested'}</h1>
+      </div>
+      <div class="content">
+        <h2>Hi ${author.name},</h2>
+        <p>
+          <strong>${reviewer.name}</strong> ${approved ? 'approved' : 'requested changes on'} your post:
+        </p>
+        
+        <h3><a href="${postUrl}" style="color: #26A69A; text-decoration: none;">${post.title}</a></h3>
+        
+        ${note ? `
+        <div class="note">
+          <p><strong>Reviewer notes:</strong></p>
+          <p>${note}</p>
+        </div>
+        ` : ''}
+        
+        <p>
+          ${approved
+            ? (post.status === 'scheduled' ? 'It will be published automatically at the scheduled time.' : 'It is now live for everyone to read.')
+            : 'Once you have made the changes, submit it for review again.'}
+        </p>
+        
+        <div style="text-align: center;">
+          <a href="${postUrl}" class="button">${approved ? 'View Post' : 'Open Post'}</a>
+        </div>
+      </div>
+      <div class="footer">
+        <p>Ocean Blog Platform Editorial Team</p>
+      </div>
+    </body>
+    </html>
+    `;
+  }
+
+  // Generate comment report outcome template (resolved or dismissed)
+  generateReportOutcome(reporter, post, outcome) {
+    const postUrl = `${process.env.CLIENT_URL}/post/${post.slug}`;
+    const resolved = outcome === 'resolved';
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Comment Report ${resolved ? 'Resolved' : 'Reviewed'}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #26A69A, #00897B); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .button { display: inline-block; background: #26A69A; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>${resolved ? '🛡️ Report Resolved' : '📋 Report Reviewed'}</h1>
+      </div>
+      <div class="content">
+        <h2>Hi ${reporter.name},</h2>
+        <p>
+          Thanks for reporting a comment on
+          <a href="${postUrl}" style="color: #26A69A; text-decoration: none;">${post.title}</a>.
+        </p>
+        <p>
+          ${resolved
+            ? 'A moderator reviewed it and removed the comment.'
+            : 'A moderator reviewed it and decided the comment does not break our community guidelines, so it stays up.'}
+        </p>
+        
+        <div style="text-align: center;">
+          <a href="${postUrl}" class="button">View Post</a>
+        </div>
+      </div>
+      <div class="footer">
+        <p>Ocean Blog Platform Moderation Team</p>
+      </div>
+    </body>
+    </html>
+    `;
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,16 @@
+const { EventEmitter } = require('events');
+
+// Application-wide domain events. Models emit them after persistence so
+// caches and other derived data can react without the models knowing
+// about those consumers.
+//
+//   post:saved       (post, { isNew, changedPaths, previous: { author, category, tags } })
+//   post:deleted     (post)
+//   posts:updated    ({ changedPaths })   bulk writes that bypass document middleware
+//   category:moved   (category, { from, to })
+//   comment:saved    (comment, { isNew, changedPaths })
+//   comment:deleted  (comment)
+const events = new EventEmitter();
+events.setMaxListeners(50);
+
+module.exports = events;
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { siteConfig, siteUrls, absoluteUrl } = require('./site');
+
+// Feed settings
+const feedConfig = {
+  // 'full' puts the rendered post body in the feed, 'excerpt' only the summary
+  content: process.env.FEED_CONTENT === 'excerpt' ? 'excerpt' : 'full',
+  limit: parseInt(process.env.FEED_LIMIT) || 20
+};
+
+const FORMATS = {
+  'rss.xml': 'application/rss+xml; charset=utf-8',
+  'atom.xml': 'application/atom+xml; charset=utf-8',
+  'feed.json': 'application/feed+json; charset=utf-8'
+};
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+const escapeXml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA cannot contain "]]>", so split it across two sections
+const cdata = (value) => `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Atom entry ids must be permanent IRIs, so use a tag: URI rather than the (renamable) slug URL
+const tagUri = (id) => `tag:${new URL(siteConfig.url).hostname},2024:post:${id}`;
+
+const imageType = (url) => {
+  const extension = (url.split('?')[0].split('.').pop() || '').toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+// Normalise a post document into the fields every format needs
+const toFeedItem = (post) => {
+  const authors = [post.author, ...(post.coAuthors || [])
+    .filter(coAuthor => coAuthor.status === 'accepted' && coAuthor.user)
+    .map(coAuthor => coAuthor.user)]
+    .filter(author => author && author.name);
+
+  return {
+    id: post._id.toString(),
+    title: post.title,
+    url: siteUrls.post(post.slug),
+    summary: post.excerpt || '',
+    content: feedConfig.content === 'full' ? post.content : '',
+    image: post.featuredImage ? absoluteUrl(post.featuredImage) : '',
+    authors: authors.map(author => ({
+      name: author.name,
+      url: siteUrls.author(author._id)
+    })),
+    category: post.category && post.category.name ? post.category.name : '',
+    tags: post.tags || [],
+    published: new Date(post.publishedAt || post.createdAt),
+    updated: new Date(post.updatedAt || post.publishedAt || post.createdAt)
+  };
+};
+
+// Newest modification across the feed, used for Last-Modified and feed-level dates
+const lastUpdated = (items) => items.reduce(
+  (latest, item) => (item.updated > latest ? item.updated : latest),
+  new Date(0)
+);
+
+// Validators for conditional GET. The ETag covers which posts are in the feed,
+// so removals change it even though they do not move Last-Modified forward.
+const buildValidators = (format, scope, posts) => {
+  const hash = crypto.createHash('sha1');
+  hash.update(`${format}|${scope}|${feedConfig.content}|${feedConfig.limit}`);
+  posts.forEach(post => hash.update(`|${post._id}:${new Date(post.updatedAt).getTime()}`));
+
+  const modified = posts.reduce(
+    (latest, post) => Math.max(latest, new Date(post.updatedAt).getTime()),
+    0
+  );
+
+  return {
+    etag: `W/"${hash.digest('base64url')}"`,
+    lastModified: new Date(modified || Date.now()).toUTCString()
+  };
+};
+
+const buildRss = (feed, items) => {
+  const entries = items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <atom:updated>${item.updated.toISOString()}</atom:updated>
+      ${item.authors.map(author => `<dc:creator>${escapeXml(author.name)}</dc:creator>`).join('\n      ')}
+      ${item.category ? `<category>${escapeXml(item.category)}</category>` : ''}
+      ${item.tags.map(tag => `<category>${escapeXml(tag)}</category>`).join('\n      ')}
+      <description>${cdata(item.summary)}</description>
+      ${item.content ? `<content:encoded>${cdata(item.content)}</content:encoded>` : ''}
+      ${item.image ? `<enclosure url="${escapeXml(item.image)}" length="0" type="${imageType(item.image)}" />` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(siteConfig.language)}</language>
+    <lastBuildDate>${lastUpdated(items).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />${entries}
+  </channel>
+</rss>
+`;
+};
+
+const buildAtom = (feed, items) => {
+  const entries = items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    ${item.image ? `<link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}" />` : ''}
+    <id>${escapeXml(tagUri(item.id))}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    ${item.authors.map(author => `<author><name>${escapeXml(author.name)}</name><uri>${escapeXml(author.url)}</uri></author>`).join('\n    ')}
+    ${item.category ? `<category term="${escapeXml(item.category)}" />` : ''}
+    ${item.tags.map(tag => `<category term="${escapeXml(tag)}" />`).join('\n    ')}
+    <summary type="html">${escapeXml(item.summary)}</summary>
+    ${item.content ? `<content type="html">${escapeXml(item.content)}</content>` : ''}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(siteConfig.language)}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />
+  <updated>${lastUpdated(items).toISOString()}</updated>
+  <generator>${escapeXml(siteConfig.name)}</generator>${entries}
+</feed>
+`;
+};
+
+const buildJsonFeed = (feed, items) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.feedUrl,
+  description: feed.description,
+  language: siteConfig.language,
+  items: items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    ...(item.content ? { content_html: item.content } : { content_text: item.summary }),
+    ...(item.image ? { image: item.image } : {}),
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: item.authors,
+    tags: [...(item.category ? [item.category] : []), ...item.tags]
+  }))
+}, null, 2);
+
+const BUILDERS = {
+  'rss.xml': buildRss,
+  'atom.xml': buildAtom,
+  'feed.json': buildJsonFeed
+};
+
+// Render posts in one of the supported formats ('rss.xml', 'atom.xml', 'feed.json')
+const renderFeed = (format, feed, posts) => BUILDERS[format](feed, posts.map(toFeedItem));
+
+module.exports = {
+  feedConfig,
+  FORMATS,
+  escapeXml,
+  buildValidators,
+  renderFeed
+};
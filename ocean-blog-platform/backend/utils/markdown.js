@@ -0,0 +1,30 @@
+const MarkdownIt = require('markdown-it');
+const footnote = require('markdown-it-footnote');
+const hljs = require('highlight.js');
+
+// GitHub-flavoured Markdown: tables and strikethrough are built in,
+// footnotes come from the plugin. Raw HTML is allowed here because the
+// output always goes through the allowlist sanitizer before storage.
+const md = new MarkdownIt({
+  html: true,
+  linkify: true,
+  typographer: true,
+  highlight: (code, lang) => {
+    const language = lang && hljs.getLanguage(lang) ? lang : null;
+    const highlighted = language
+      ? hljs.highlight(code, { language, ignoreIllegals: true }).value
+      : md.utils.escapeHtml(code);
+
+    return `<pre><code class="hljs${language ? ` language-${language}` : ''}">${highlighted}</code></pre>`;
+  }
+}).use(footnote);
+
+// Render Markdown to (unsanitized) HTML
+const renderMarkdown = (source) => {
+  if (!source) return '';
+  return md.render(source);
+};
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,107 @@
+const { commentFilter } = require('./commentFilter');
+
+// Pre-moderation: which new comments are held as `pending` until a moderator
+// approves them. Site-wide defaults come from the environment; a post can
+// override each rule through Post.commentModeration (null = use the default).
+
+const flag = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+const siteModeration = {
+  holdAll: flag(process.env.COMMENT_HOLD_ALL, false),
+  holdNewAccounts: flag(process.env.COMMENT_HOLD_NEW_ACCOUNTS, true),
+  holdUnverified: flag(process.env.COMMENT_HOLD_UNVERIFIED, false),
+  holdLinks: flag(process.env.COMMENT_HOLD_LINKS, true),
+  newAccountDays: parseInt(process.env.COMMENT_NEW_ACCOUNT_DAYS) || 3,
+  // Distinct reporters after which a comment is hidden until reviewed
+  reportHideThreshold: parseInt(process.env.COMMENT_REPORT_HIDE_THRESHOLD) || 3
+};
+
+const MODERATOR_ROLES = ['admin', 'moderator'];
+
+// Socket.io room every connected moderator joins
+const MODERATORS_ROOM = 'moderators';
+
+// Why a comment was held, in the order moderators see them
+const HOLD_REASONS = ['post_requires_review', 'new_account', 'unverified_email', 'contains_links', 'spam_score', 'reported'];
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|<a\s|\[[^\]]*\]\([^)]+\)/i;
+
+const containsLinks = (content = '') => LINK_PATTERN.test(content);
+
+// Effective rules for a post: its own overrides on top of the site defaults
+const moderationSettingsFor = (post) => {
+  const overrides = (post && post.commentModeration) || {};
+  const settings = { ...siteModeration };
+
+  ['holdAll', 'holdNewAccounts', 'holdUnverified', 'holdLinks'].forEach(rule => {
+    if (typeof overrides[rule] === 'boolean') settings[rule] = overrides[rule];
+  });
+
+  return settings;
+};
+
+// Moderators and the post's own authors are never held
+const isExempt = (user, post) => MODERATOR_ROLES.includes(user.role) ||
+  Boolean(post.hasCollaboratorAccess && post.hasCollaboratorAccess(user._id));
+
+// Reasons to hold `content` by `user` on `post`; empty when it can go live
+const holdReasons = (content, user, post) => {
+  if (isExempt(user, post)) return [];
+
+  const settings = moderationSettingsFor(post);
+  const reasons = [];
+
+  if (settings.holdAll) {
+    reasons.push('post_requires_review');
+  }
+
+  const accountAgeMs = Date.now() - new Date(user.createdAt).getTime();
+  if (settings.holdNewAccounts && accountAgeMs < settings.newAccountDays * 24 * 60 * 60 * 1000) {
+    reasons.push('new_account');
+  }
+
+  if (settings.holdUnverified && !user.isEmailVerified) {
+    reasons.push('unverified_email');
+  }
+
+  if (settings.holdLinks && containsLinks(content)) {
+    reasons.push('contains_links');
+  }
+
+  return reasons;
+};
+
+// Decide the status of a new or edited comment from the pre-moderation rules
+// and the spam filter. `comment` is what CommentFilter scorers receive.
+// -> { status, moderation: { reasons, spamScore, signals } }
+const screenComment = async (comment, user, post) => {
+  if (isExempt(user, post)) {
+    return { status: 'approved', moderation: { reasons: [], spamScore: 0, signals: [] } };
+  }
+
+  const reasons = holdReasons(comment.content, user, post);
+  const verdict = await commentFilter.evaluate(comment, { user, post });
+
+  if (verdict.status !== 'approved') reasons.push('spam_score');
+
+  let status = 'approved';
+  if (verdict.status === 'rejected') status = 'rejected';
+  else if (reasons.length > 0) status = 'pending';
+
+  return {
+    status,
+    moderation: { reasons, spamScore: verdict.score, signals: verdict.signals }
+  };
+};
+
+module.exports = {
+  siteModeration,
+  MODERATOR_ROLES,
+  MODERATORS_ROOM,
+  HOLD_REASONS,
+  containsLinks,
+  moderationSettingsFor,
+  isExempt,
+  holdReasons,
+  screenComment
+};
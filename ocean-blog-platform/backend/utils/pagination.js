@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// Cursors are opaque to clients: base64url JSON of [sortValue, _id].
+// Dates are tagged so they compare as dates again after decoding.
+const serializeValue = (value) => (value instanceof Date ? { $date: value.toISOString() } : value);
+const deserializeValue = (value) => (value && typeof value === 'object' && value.$date ? new Date(value.$date) : value);
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const encodeCursor = (doc, field) => Buffer
+  .from(JSON.stringify([serializeValue(getPath(doc, field)), doc._id.toString()]))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('Invalid id');
+    return [deserializeValue(value), new mongoose.Types.ObjectId(id)];
+  } catch (error) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+};
+
+// '-publishedAt' -> { field: 'publishedAt', direction: -1 }
+const parseSort = (sort) => {
+  const value = String(sort).trim();
+  return value.startsWith('-')
+    ? { field: value.slice(1), direction: -1 }
+    : { field: value.replace(/^\+/, ''), direction: 1 };
+};
+
+// Documents strictly after [value, id] in the given direction; _id breaks ties
+const rangeCondition = (field, direction, [value, id]) => {
+  const op = direction === -1 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// Paginate a query keyed on the sort field plus _id.
+//
+// `after`/`before` take a cursor from a previous response; without one the
+// classic `page` offset is used so existing clients keep working. Pass
+// `textScore: true` to order $text matches by relevance (runs as an aggregate
+// and returns plain objects).
+const paginate = async (Model, filter, options = {}) => {
+  const {
+    sort = '-createdAt',
+    limit = 10,
+    page = 1,
+    after,
+    before,
+    select,
+    populate = [],
+    textScore = false
+  } = options;
+
+  const { field, direction } = textScore ? { field: 'score', direction: -1 } : parseSort(sort);
+  const cursor = after || before;
+  const backwards = Boolean(before) && !after;
+  const order = backwards ? -direction : direction;
+  const sortSpec = { [field]: order, _id: order };
+  const skip = cursor ? 0 : (page - 1) * limit;
+  const range = cursor ? rangeCondition(field, order, decodeCursor(cursor)) : null;
+
+  let rows;
+  if (textScore) {
+    // Aggregation skips schema casting, so cast ids and dates in the filter first
+    const pipeline = [
+      { $match: Model.find().cast(Model, { ...filter }) },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      ...(range ? [{ $match: range }] : []),
+      ...(select ? [{ $project: { ...select, score: 1 } }] : []),
+      { $sort: sortSpec },
+      { $skip: skip },
+      { $limit: limit + 1 }
+    ];
+    rows = await Model.aggregate(pipeline);
+    if (populate.length > 0) {
+      await Model.populate(rows, populate);
+    }
+  } else {
+    const query = Model.find(range ? { $and: [filter, range] } : filter)
+      .sort(sortSpec)
+      .skip(skip)
+      .limit(limit + 1);
+    if (select) query.select(select);
+    [].concat(populate).forEach(option => query.populate(option));
+    rows = await query;
+  }
+
+  const total = await Model.countDocuments(filter);
+
+  const hasMore = rows.length > limit;
+  const docs = rows.slice(0, limit);
+  if (backwards) docs.reverse();
+
+  // Going backwards we came from a later page, so there is always a next one
+  const hasNextPage = backwards ? docs.length > 0 : hasMore;
+  const hasPrevPage = backwards ? hasMore : (cursor ? docs.length > 0 : page > 1);
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    docs,
+    total,
+    pagination: {
+      page: cursor ? null : page,
+      limit,
+      totalPages,
+      hasNextPage,
+      hasPrevPage
+    },
+    nextCursor: hasNextPage && docs.length > 0 ? encodeCursor(docs[docs.length - 1], field) : null,
+    prevCursor: hasPrevPage && docs.length > 0 ? encodeCursor(docs[0], field) : null
+  };
+};
+
+// Read page/limit/sort/after/before from a request that passed validatePagination
+const paginationOptions = (req, defaults = {}) => ({
+  page: parseInt(req.query.page) || 1,
+  limit: parseInt(req.query.limit) || defaults.limit || 10,
+  sort: req.query.sort || defaults.sort || '-createdAt',
+  after: req.query.after,
+  before: req.query.before
+});
+
+module.exports = {
+  paginate,
+  paginationOptions,
+  parseSort,
+  rangeCondition,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const { siteConfig, siteUrls, absoluteUrl } = require('./site');
+const { formatDate } = require('./helpers');
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// JSON inside <script> must not be able to close the tag
+const safeJson = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+// Tags the prerenderer owns; any copies in the template are dropped
+const OWNED_HEAD_TAGS = [
+  /[ \t]*<title>[\s\S]*?<\/title>[ \t]*\n?/i,
+  /[ \t]*<meta\s+name=["']description["'][^>]*>[ \t]*\n?/i,
+  /[ \t]*<meta\s+name=["']keywords["'][^>]*>[ \t]*\n?/i,
+  /[ \t]*<link\s+rel=["']canonical["'][^>]*>[ \t]*\n?/i
+];
+
+const metaTag = (attribute, key, content) => [].concat(content)
+  .filter(value => value !== undefined && value !== null && value !== '')
+  .map(value => `<meta ${attribute}="${escapeHtml(key)}" content="${escapeHtml(value)}" />`)
+  .join('\n    ');
+
+// Turn the resolved metadata from utils/seo.js into <head> markup
+const renderHead = (seo) => [
+  `<title>${escapeHtml(seo.title)}</title>`,
+  metaTag('name', 'description', seo.description),
+  seo.keywords && seo.keywords.length > 0 ? metaTag('name', 'keywords', seo.keywords.join(', ')) : '',
+  `<link rel="canonical" href="${escapeHtml(seo.canonical)}" />`,
+  ...Object.entries(seo.openGraph).map(([key, value]) => metaTag('property', key, value)),
+  ...Object.entries(seo.twitter).map(([key, value]) => metaTag('name', key, value)),
+  `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(siteConfig.name)}" href="/feeds/rss.xml" />`,
+  seo.jsonLd ? `<script type="application/ld+json">${safeJson(seo.jsonLd)}</script>` : ''
+].filter(Boolean).join('\n    ');
+
+const renderPostList = (posts) => posts.length === 0 ? '' : `
+      <ul>${posts.map(post => `
+        <li><a href="${escapeHtml(siteUrls.post(post.slug))}">${escapeHtml(post.title)}</a>${post.excerpt ? ` - ${escapeHtml(post.excerpt)}` : ''}</li>`).join('')}
+      </ul>`;
+
+// Static markup for crawlers and users without JavaScript; React replaces it on load
+const renderBody = {
+  post: (post) => {
+    const authors = [post.author, ...(post.coAuthors || [])
+      .filter(coAuthor => coAuthor.status === 'accepted' && coAuthor.user)
+      .map(coAuthor => coAuthor.user)]
+      .filter(author => author && author.name);
+
+    return `
+    <article>
+      <h1>${escapeHtml(post.title)}</h1>
+      <p>By ${authors.map(author => `<a href="${escapeHtml(siteUrls.author(author._id))}">${escapeHtml(author.name)}</a>`).join(', ')}${post.publishedAt ? ` on <time datetime="${new Date(post.publishedAt).toISOString()}">${escapeHtml(formatDate(post.publishedAt))}</time>` : ''}</p>
+      ${post.featuredImage ? `<img src="${escapeHtml(absoluteUrl(post.featuredImage))}" alt="${escapeHtml(post.title)}" />` : ''}
+      ${post.content}
+    </article>`;
+  },
+
+  category: ({ category, posts }) => `
+    <section>
+      <h1>${escapeHtml(category.name)}</h1>
+      ${category.description ? `<p>${escapeHtml(category.description)}</p>` : ''}${renderPostList(posts)}
+    </section>`,
+
+  tag: ({ tag, posts }) => `
+    <section>
+      <h1>#${escapeHtml(tag.name)}</h1>
+      ${tag.description ? `<p>${escapeHtml(tag.description)}</p>` : ''}${renderPostList(posts)}
+    </section>`,
+
+  author: ({ user, posts }) => `
+    <section>
+      <h1>${escapeHtml(user.name)}</h1>
+      ${user.bio ? `<p>${escapeHtml(user.bio)}</p>` : ''}${renderPostList(posts)}
+    </section>`
+};
+
+// The built SPA shell; re-read when the file changes so a new deploy is picked up
+let template = { path: null, mtimeMs: 0, html: '' };
+const loadTemplate = (indexPath) => {
+  const { mtimeMs } = fs.statSync(indexPath);
+  if (template.path !== indexPath || template.mtimeMs !== mtimeMs) {
+    template = { path: indexPath, mtimeMs, html: fs.readFileSync(indexPath, 'utf8') };
+  }
+  return template.html;
+};
+
+// Inject head tags and prerendered markup into the SPA's index.html
+const renderPage = (indexPath, { seo, type, data } = {}) => {
+  let html = loadTemplate(indexPath);
+  if (!seo) return html;
+
+  OWNED_HEAD_TAGS.forEach(pattern => {
+    html = html.replace(pattern, '');
+  });
+
+  // Function replacers: post content may contain "$" sequences
+  html = html.replace(/[ \t]*<\/head>/i, () => `    ${renderHead(seo)}\n  </head>`);
+
+  if (type && renderBody[type]) {
+    html = html.replace(
+      /<div id=["']root["']>\s*<\/div>/i,
+      () => `<div id="root">${renderBody[type](data)}\n    </div>`
+    );
+  }
+
+  return html;
+};
+
+module.exports = {
+  renderPage,
+  escapeHtml
+};
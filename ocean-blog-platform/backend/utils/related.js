@@ -0,0 +1,145 @@
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const MemoryCache = require('./cache');
+const events = require('./events');
+
+// Score weights; text similarity is normalised to 0..1 before weighting
+const WEIGHTS = {
+  sharedTag: 3,
+  sameCategory: 4,
+  ancestorCategory: 2,
+  textSimilarity: 3
+};
+
+// A post loses half of its score every HALF_LIFE_DAYS
+const HALF_LIFE_DAYS = parseInt(process.env.RELATED_POSTS_HALF_LIFE_DAYS) || 180;
+
+// How many candidates each source contributes before scoring
+const CANDIDATES_PER_SOURCE = 30;
+
+const CARD_FIELDS = 'title slug excerpt featuredImage tags category author publishedAt readingTime';
+
+// Changes to any of these can alter someone's related list; views, likes etc. cannot
+const RELEVANT_PATHS = ['title', 'content', 'tags', 'category', 'status', 'isPublic', 'publishedAt'];
+
+const cache = new MemoryCache({
+  ttl: parseInt(process.env.RELATED_POSTS_CACHE_TTL_MS) || 10 * 60 * 1000
+});
+
+events.on('post:saved', (post, { isNew, changedPaths }) => {
+  if (isNew && post.status !== 'published') return;
+  if (isNew || changedPaths.some(path => RELEVANT_PATHS.includes(path))) {
+    cache.clear();
+  }
+});
+
+events.on('post:deleted', () => cache.clear());
+
+events.on('posts:updated', ({ changedPaths }) => {
+  if (changedPaths.some(path => RELEVANT_PATHS.includes(path))) {
+    cache.clear();
+  }
+});
+
+// Ancestor categories feed into the score
+events.on('category:moved', () => cache.clear());
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const decay = (publishedAt) => {
+  if (!publishedAt) return 1;
+  const ageDays = Math.max(0, (Date.now() - new Date(publishedAt).getTime()) / (24 * 60 * 60 * 1000));
+  return Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+};
+
+// Words of the title plus the tags make up the text query
+const buildSearchTerm = (post) => [post.title, ...(post.tags || [])]
+  .join(' ')
+  .replace(/["-]/g, ' ')
+  .trim();
+
+// Score other published posts against `post` by shared tags, category
+// (including ancestor categories) and $text similarity, decayed by age.
+const findRelatedPosts = async (post, limit) => {
+  const exclude = [post._id];
+  const tags = post.tags || [];
+  const categoryId = idOf(post.category);
+
+  let ancestorIds = [];
+  if (categoryId) {
+    const category = await Category.findById(categoryId).select('parent');
+    if (category) {
+      ancestorIds = await category.getAncestorIds();
+    }
+  }
+
+  const searchTerm = buildSearchTerm(post);
+  const categoryIds = categoryId ? [categoryId, ...ancestorIds] : [];
+
+  const [byTag, byCategory, byText] = await Promise.all([
+    tags.length > 0
+      ? Post.findByTag(tags, { exclude, limit: CANDIDATES_PER_SOURCE }).select(CARD_FIELDS).lean()
+      : [],
+    categoryIds.length > 0
+      ? Post.findByCategory(categoryIds, { exclude, limit: CANDIDATES_PER_SOURCE }).select(CARD_FIELDS).lean()
+      : [],
+    searchTerm
+      ? Post.search(searchTerm, { exclude, limit: CANDIDATES_PER_SOURCE }).select(CARD_FIELDS).lean()
+      : []
+  ]);
+
+  const candidates = new Map();
+  [...byTag, ...byCategory, ...byText].forEach(candidate => {
+    const key = candidate._id.toString();
+    const existing = candidates.get(key);
+    candidates.set(key, existing ? { ...candidate, ...existing, score: existing.score || candidate.score } : candidate);
+  });
+
+  const maxTextScore = byText.reduce((max, candidate) => Math.max(max, candidate.score || 0), 0);
+  const ownTags = new Set(tags.map(tag => tag.toLowerCase()));
+  const ancestorKeys = new Set(ancestorIds.map(id => id.toString()));
+
+  const scored = [...candidates.values()].map(candidate => {
+    const sharedTags = (candidate.tags || []).filter(tag => ownTags.has(tag));
+    const candidateCategory = idOf(candidate.category);
+    const candidateCategoryKey = candidateCategory ? candidateCategory.toString() : null;
+
+    let relevance = sharedTags.length * WEIGHTS.sharedTag;
+    if (candidateCategoryKey && categoryId && candidateCategoryKey === categoryId.toString()) {
+      relevance += WEIGHTS.sameCategory;
+    } else if (candidateCategoryKey && ancestorKeys.has(candidateCategoryKey)) {
+      relevance += WEIGHTS.ancestorCategory;
+    }
+    if (maxTextScore > 0 && candidate.score) {
+      relevance += (candidate.score / maxTextScore) * WEIGHTS.textSimilarity;
+    }
+
+    const { score, ...fields } = candidate;
+    return {
+      ...fields,
+      url: `/post/${candidate.slug}`,
+      sharedTags,
+      relevance: Math.round(relevance * decay(candidate.publishedAt) * 1000) / 1000
+    };
+  });
+
+  return scored
+    .filter(candidate => candidate.relevance > 0)
+    .sort((a, b) => b.relevance - a.relevance || new Date(b.publishedAt) - new Date(a.publishedAt))
+    .slice(0, limit);
+};
+
+// Cached entry point; the cache is cleared whenever a post changes in a way that matters
+const getRelatedPosts = async (post, { limit = 5 } = {}) => {
+  const key = `${post._id}:${limit}`;
+  const cached = cache.get(key);
+  if (cached) return cached;
+
+  const related = await findRelatedPosts(post, limit);
+  return cache.set(key, related);
+};
+
+module.exports = {
+  getRelatedPosts,
+  clearRelatedCache: () => cache.clear()
+};
@@ -0,0 +1,62 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Allowlist for post bodies. Covers what the Quill toolbar produces and what
+// the Markdown renderer emits (tables, highlighted code, footnotes).
+const POST_HTML_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'p', 'br', 'hr', 'blockquote', 'pre', 'code', 'span', 'div',
+    'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'sub', 'sup', 'small',
+    'ul', 'ol', 'li',
+    'a', 'img', 'figure', 'figcaption', 'iframe',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption',
+    'section'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel', 'id'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    iframe: ['src', 'width', 'height', 'allowfullscreen', 'frameborder'],
+    th: ['align', 'colspan', 'rowspan', 'style'],
+    td: ['align', 'colspan', 'rowspan', 'style'],
+    ol: ['start'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    li: ['id'],
+    sup: ['id'],
+    '*': ['class']
+  },
+  allowedClasses: {
+    '*': ['ql-*', 'hljs', 'hljs-*', 'language-*', 'footnote*']
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https', 'data']
+  },
+  allowedIframeHostnames: ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'],
+  transformTags: {
+    // External links open in a new tab without leaking the opener
+    a: (tagName, attribs) => {
+      if (/^https?:\/\//i.test(attribs.href || '')) {
+        return {
+          tagName,
+          attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' }
+        };
+      }
+      return { tagName, attribs };
+    }
+  }
+};
+
+// Sanitize post HTML before it is stored
+const sanitizePostHtml = (html) => {
+  if (!html) return '';
+  return sanitizeHtml(html, POST_HTML_OPTIONS);
+};
+
+module.exports = {
+  POST_HTML_OPTIONS,
+  sanitizePostHtml
+};
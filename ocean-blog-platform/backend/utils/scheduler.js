@@ -0,0 +1,137 @@
+const os = require('os');
+const Job = require('../models/Job');
+const Post = require('../models/Post');
+const { emitToUser } = require('../middleware/socketAuth');
+
+// In-process background job runner. Job state lives in MongoDB so that
+// pending work survives restarts and is picked up again on the next start.
+class Scheduler {
+  constructor() {
+    this.handlers = {};
+    this.timer = null;
+    this.running = false;
+    this.io = null;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.interval = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 30 * 1000;
+    this.staleAfter = parseInt(process.env.SCHEDULER_STALE_MS) || 10 * 60 * 1000;
+  }
+
+  // Register a handler for a job type
+  define(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  async start({ io } = {}) {
+    if (this.timer) return;
+
+    this.io = io || null;
+
+    this.timer = setInterval(() => this.tick(), this.interval);
+    this.timer.unref();
+    console.log('⏰ Scheduler started');
+
+    // Catch up on anything that became due (or was left running) while we were down
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏰ Scheduler stopped');
+    }
+  }
+
+  // Persist a job to run at the given time
+  async schedule(type, runAt, payload = {}, reference = null) {
+    return Job.create({ type, runAt, payload, reference });
+  }
+
+  // Replace any pending job of this type for the reference with a new one
+  async reschedule(type, runAt, payload = {}, reference) {
+    await Job.cancelPending(type, reference);
+    return this.schedule(type, runAt, payload, reference);
+  }
+
+  async cancel(type, reference) {
+    return Job.cancelPending(type, reference);
+  }
+
+  // Run every due job, one at a time
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      // Requeue jobs whose worker died or stopped mid-run, here or elsewhere
+      const released = await Job.releaseStale(this.staleAfter);
+      if (released.modifiedCount) {
+        console.log(`⏰ Requeued ${released.modifiedCount} stale job(s)`);
+      }
+
+      let job;
+      while ((job = await Job.claimNext(this.workerId))) {
+        await this.run(job);
+      }
+    } catch (error) {
+      console.error('❌ Scheduler tick failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers[job.type];
+
+    if (!handler) {
+      await job.fail(new Error(`No handler defined for job type "${job.type}"`));
+      return;
+    }
+
+    try {
+      await handler(job, this);
+      await job.complete();
+    } catch (error) {
+      console.error(`❌ Job ${job.type} (${job._id}) failed:`, error.message);
+      await job.fail(error);
+    }
+  }
+
+  // Keep the publish job for a post in step with its status and publishAt
+  async syncPostSchedule(post) {
+    if (post.status === 'scheduled' && post.publishAt) {
+      return this.reschedule('publish_post', post.publishAt, { postId: post._id }, post._id);
+    }
+    return this.cancel('publish_post', post._id);
+  }
+}
+
+// Create singleton instance
+const scheduler = new Scheduler();
+
+// Publish a scheduled post once its publishAt has passed
+scheduler.define('publish_post', async (job, { io }) => {
+  const post = await Post.findById(job.payload.postId);
+
+  // The post was deleted, unscheduled or rescheduled in the meantime
+  if (!post || post.status !== 'scheduled' || !post.publishAt || post.publishAt > new Date()) {
+    return;
+  }
+
+  post.status = 'published';
+  post.publishedAt = post.publishAt;
+  await post.save();
+
+  if (io) {
+    emitToUser(io, post.author, 'post_published', {
+      postId: post._id,
+      title: post.title,
+      slug: post.slug,
+      publishedAt: post.publishedAt
+    });
+  }
+
+  console.log(`📰 Scheduled post published: ${post.title}`);
+});
+
+module.exports = scheduler;
@@ -0,0 +1,177 @@
+const { stripHtml } = require('../../helpers');
+const { hasPositiveClauses } = require('../query');
+const { decodeCursor } = require('../../pagination');
+
+const FACET_LIMIT = 20;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const keyOf = (value) => (idOf(value) ? idOf(value).toString() : null);
+
+// The author plus accepted co-authors, as the author filter and facet count them
+const credited = (doc) => [
+  doc.author,
+  ...(doc.coAuthors || []).filter(coAuthor => coAuthor.status === 'accepted').map(coAuthor => coAuthor.user)
+].filter(Boolean);
+
+const normalise = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ');
+const tokenize = (text) => normalise(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const compare = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+  if (typeof a === 'string' || typeof b === 'string') return String(a).localeCompare(String(b));
+  return (a || 0) - (b || 0);
+};
+
+const countBy = (items, keyFn) => {
+  const counts = new Map();
+  items.forEach(item => {
+    [].concat(keyFn(item)).filter(key => key !== null && key !== undefined).forEach(key => {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+  return counts;
+};
+
+// Search adapter that keeps published posts in memory. Meant for tests and
+// small deployments; text matching approximates the MongoDB text index
+// (prefix matching stands in for stemming).
+class MemorySearchAdapter {
+  constructor({ posts = [], load = null } = {}) {
+    this.posts = new Map();
+    this.load = load;
+    this.loaded = !load;
+    posts.forEach(post => this.index(post));
+  }
+
+  async ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+    (await this.load()).forEach(post => this.index(post));
+  }
+
+  // Add or refresh a post; anything no longer public is dropped
+  index(post) {
+    const doc = typeof post.toObject === 'function' ? post.toObject() : { ...post };
+    const key = doc._id.toString();
+
+    if (doc.status !== 'published' || doc.isPublic === false) {
+      this.posts.delete(key);
+      return;
+    }
+
+    const text = normalise(`${doc.title} ${stripHtml(doc.content)} ${(doc.tags || []).join(' ')}`);
+    this.posts.set(key, { doc, text, words: tokenize(text) });
+  }
+
+  remove(post) {
+    this.posts.delete(idOf(post).toString());
+  }
+
+  // Drop everything and reload on the next search (only when there is a loader)
+  reset() {
+    if (!this.load) return;
+    this.posts.clear();
+    this.loaded = false;
+  }
+
+  // 0 when the entry does not match, otherwise a relevance score
+  score(entry, query) {
+    const hasWord = (word) => entry.words.some(candidate => candidate.startsWith(word));
+
+    if (query.excluded.some(word => (word.includes(' ') ? entry.text.includes(word) : hasWord(word)))) {
+      return 0;
+    }
+    if (!hasPositiveClauses(query)) return 1;
+    if (!query.phrases.every(phrase => entry.text.includes(phrase))) return 0;
+
+    const matches = query.words.reduce(
+      (total, word) => total + entry.words.filter(candidate => candidate.startsWith(word)).length,
+      0
+    );
+    if (matches === 0) return 0;
+
+    // Like textScore: more matches score higher, long documents are damped
+    return matches / Math.sqrt(entry.words.length || 1) + query.phrases.length;
+  }
+
+  matchesFilters(doc, filters) {
+    if (filters.categories && filters.categories.length > 0 &&
+      !filters.categories.some(id => id.toString() === keyOf(doc.category))) {
+      return false;
+    }
+    if (filters.tags && filters.tags.length > 0 &&
+      !filters.tags.every(tag => (doc.tags || []).includes(tag))) {
+      return false;
+    }
+    if (filters.author && !credited(doc).map(keyOf).includes(filters.author.toString())) {
+      return false;
+    }
+    const published = doc.publishedAt ? new Date(doc.publishedAt) : null;
+    if (filters.from && (!published || published < filters.from)) return false;
+    if (filters.to && (!published || published > filters.to)) return false;
+    return true;
+  }
+
+  facets(docs) {
+    const top = (counts, build) => [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+      .slice(0, FACET_LIMIT)
+      .map(([key, count]) => build(key, count));
+
+    const byId = (values) => new Map(values
+      .filter(value => value && value._id)
+      .map(value => [keyOf(value), value]));
+    const categories = byId(docs.map(doc => doc.category));
+    const authors = byId(docs.flatMap(credited));
+
+    return {
+      categories: top(countBy(docs, doc => keyOf(doc.category)), (key, count) => ({
+        _id: key,
+        count,
+        name: categories.get(key) ? categories.get(key).name : undefined,
+        slug: categories.get(key) ? categories.get(key).slug : undefined
+      })),
+      tags: top(countBy(docs, doc => doc.tags || []), (tag, count) => ({ tag, count })),
+      authors: top(countBy(docs, doc => [...new Set(credited(doc).map(keyOf))]), (key, count) => ({
+        _id: key,
+        count,
+        name: authors.get(key) ? authors.get(key).name : undefined,
+        avatar: authors.get(key) ? authors.get(key).avatar : undefined
+      })),
+      years: [...countBy(docs, doc => (doc.publishedAt ? new Date(doc.publishedAt).getUTCFullYear() : null)).entries()]
+        .sort((a, b) => b[0] - a[0])
+        .map(([year, count]) => ({ year, count }))
+    };
+  }
+
+  async search({ query, filters = {}, sort, limit, page = 1, after }) {
+    await this.ensureLoaded();
+
+    const { field, direction } = sort;
+    const matched = [];
+    this.posts.forEach(entry => {
+      if (!this.matchesFilters(entry.doc, filters)) return;
+      const score = this.score(entry, query);
+      if (score > 0) matched.push({ ...entry.doc, score });
+    });
+
+    const ordered = matched.sort((a, b) =>
+      direction * (compare(a[field], b[field]) || compare(a._id.toString(), b._id.toString())));
+
+    let start = (page - 1) * limit;
+    if (after) {
+      const [value, id] = decodeCursor(after);
+      const index = ordered.findIndex(doc =>
+        direction * (compare(doc[field], value) || compare(doc._id.toString(), id.toString())) > 0);
+      start = index === -1 ? ordered.length : index;
+    }
+
+    return {
+      hits: ordered.slice(start, start + limit + 1),
+      total: matched.length,
+      facets: this.facets(matched)
+    };
+  }
+}
+
+module.exports = MemorySearchAdapter;
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { hasPositiveClauses, toMongoTextSearch } = require('../query');
+const { rangeCondition, decodeCursor } = require('../../pagination');
+
+const FACET_LIMIT = 20;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Search adapter backed by the Post text index. Facets are computed in the
+// same aggregation as the hits with $facet.
+class MongoSearchAdapter {
+  constructor({ model } = {}) {
+    this.model = model || mongoose.model('Post');
+  }
+
+  buildMatch(query, filters) {
+    const match = { status: 'published', isPublic: true };
+    const and = [];
+
+    if (hasPositiveClauses(query)) {
+      match.$text = { $search: toMongoTextSearch(query) };
+    } else if (query.excluded.length > 0) {
+      // $text needs at least one positive term, so exclusions alone become regexes
+      query.excluded.forEach(word => {
+        const pattern = new RegExp(escapeRegExp(word), 'i');
+        and.push({ $nor: [{ title: pattern }, { content: pattern }, { tags: word }] });
+      });
+    }
+
+    if (filters.categories && filters.categories.length > 0) {
+      match.category = { $in: filters.categories.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+    if (filters.tags && filters.tags.length > 0) {
+      match.tags = { $all: filters.tags };
+    }
+    if (filters.author) {
+      // Aggregations skip schema casting, so ids must already be ObjectIds
+      and.push(this.model.authorQuery(new mongoose.Types.ObjectId(filters.author)));
+    }
+    if (filters.from || filters.to) {
+      match.publishedAt = {
+        ...(filters.from ? { $gte: filters.from } : {}),
+        ...(filters.to ? { $lte: filters.to } : {})
+      };
+    }
+
+    if (and.length > 0) match.$and = and;
+    return match;
+  }
+
+  async search({ query, filters = {}, sort, limit, page = 1, after }) {
+    const useText = hasPositiveClauses(query);
+    const match = this.buildMatch(query, filters);
+    const { field, direction } = sort;
+    const categories = mongoose.model('Category').collection.name;
+    const users = mongoose.model('User').collection.name;
+
+    const hits = [
+      ...(useText ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      ...(after ? [{ $match: rangeCondition(field, direction, decodeCursor(after)) }] : []),
+      { $sort: { [field]: direction, _id: direction } },
+      { $skip: after ? 0 : (page - 1) * limit },
+      { $limit: limit + 1 },
+      { $project: { contentSource: 0, likedBy: 0, dislikedBy: 0, reviewHistory: 0, previousSlugs: 0 } }
+    ];
+
+    const [result] = await this.model.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          hits,
+          total: [{ $count: 'count' }],
+          categories: [
+            { $match: { category: { $ne: null } } },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_LIMIT },
+            { $lookup: { from: categories, localField: '_id', foreignField: '_id', as: 'category' } },
+            { $unwind: '$category' },
+            { $project: { _id: 1, count: 1, name: '$category.name', slug: '$category.slug' } }
+          ],
+          tags: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT },
+            { $project: { _id: 0, tag: '$_id', count: 1 } }
+          ],
+          // Credit co-authors too, the way the author filter matches them
+          authors: [
+            {
+              $project: {
+                credited: {
+                  $setUnion: [
+                    ['$author'],
+                    {
+                      $map: {
+                        input: {
+                          $filter: { input: { $ifNull: ['$coAuthors', []] }, cond: { $eq: ['$$this.status', 'accepted'] } }
+                        },
+                        in: '$$this.user'
+                      }
+                    }
+                  ]
+                }
+              }
+            },
+            { $unwind: '$credited' },
+            { $group: { _id: '$credited', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_LIMIT },
+            { $lookup: { from: users, localField: '_id', foreignField: '_id', as: 'author' } },
+            { $unwind: '$author' },
+            { $project: { _id: 1, count: 1, name: '$author.name', avatar: '$author.avatar' } }
+          ],
+          years: [
+            { $match: { publishedAt: { $ne: null } } },
+            { $group: { _id: { $year: '$publishedAt' }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+            { $project: { _id: 0, year: '$_id', count: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    await this.model.populate(result.hits, [
+      { path: 'author', select: 'name email avatar' },
+      { path: 'coAuthors.user', select: 'name avatar' },
+      { path: 'category', select: 'name slug color' }
+    ]);
+
+    return {
+      hits: result.hits,
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      facets: {
+        categories: result.categories,
+        tags: result.tags,
+        authors: result.authors,
+        years: result.years
+      }
+    };
+  }
+}
+
+module.exports = MongoSearchAdapter;
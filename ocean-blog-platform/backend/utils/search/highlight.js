@@ -0,0 +1,99 @@
+const { stripHtml } = require('../helpers');
+
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPETS = 3;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Match whole phrases and words, plus word endings so "run" also marks
+// "running" the way the stemmed text index matched it
+const buildMatcher = (query) => {
+  // Longest alternatives first so phrases win over their own words. Compare
+  // the text itself: the term pattern adds a suffix that would skew lengths.
+  const parts = [
+    ...query.phrases.map(phrase => ({ text: phrase, pattern: escapeRegExp(phrase).replace(/ /g, '\\s+') })),
+    ...query.terms.map(term => ({ text: term, pattern: `${escapeRegExp(term)}[\\p{L}\\p{N}]*` }))
+  ]
+    .sort((a, b) => b.text.length - a.text.length)
+    .map(part => part.pattern);
+  if (parts.length === 0) return null;
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})`, 'giu');
+};
+
+// Escape text and wrap every match in <mark>
+const markMatches = (text, matcher) => {
+  if (!matcher) return escapeHtml(text);
+
+  let result = '';
+  let last = 0;
+  matcher.lastIndex = 0;
+  let match;
+  while ((match = matcher.exec(text))) {
+    if (match[0].length === 0) {
+      matcher.lastIndex++;
+      continue;
+    }
+    result += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(last));
+};
+
+// Cut up to MAX_SNIPPETS windows of text around matches, merging overlaps
+const buildSnippets = (text, matcher) => {
+  const windows = [];
+  matcher.lastIndex = 0;
+  let match;
+  while ((match = matcher.exec(text)) && windows.length < MAX_SNIPPETS * 4) {
+    const start = Math.max(0, match.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+    const previous = windows[windows.length - 1];
+    if (previous && start <= previous.end) {
+      previous.end = Math.max(previous.end, end);
+    } else {
+      windows.push({ start, end });
+    }
+  }
+
+  return windows.slice(0, MAX_SNIPPETS).map(({ start, end }) => {
+    // Snap to word boundaries so snippets do not start mid-word
+    const from = start === 0 ? 0 : text.indexOf(' ', start) + 1 || start;
+    const to = end === text.length ? end : text.lastIndexOf(' ', end) > from ? text.lastIndexOf(' ', end) : end;
+    const snippet = markMatches(text.slice(from, to).trim(), matcher);
+    return `${from > 0 ? '…' : ''}${snippet}${to < text.length ? '…' : ''}`;
+  });
+};
+
+// Highlighted title and content snippets for a search hit. Returns HTML
+// with only <mark> tags; everything else is escaped.
+const highlightPost = (post, query) => {
+  const matcher = buildMatcher(query);
+  const text = decodeEntities(stripHtml(post.content || post.excerpt || '')).replace(/\s+/g, ' ').trim();
+  const snippets = matcher ? buildSnippets(text, matcher) : [];
+
+  return {
+    title: markMatches(post.title || '', matcher),
+    snippets: snippets.length > 0
+      ? snippets
+      : [escapeHtml(post.excerpt || text.slice(0, SNIPPET_RADIUS * 2))]
+  };
+};
+
+module.exports = {
+  highlightPost
+};
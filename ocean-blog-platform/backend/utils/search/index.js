@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const events = require('../events');
+const { encodeCursor } = require('../pagination');
+const { parseSearchQuery, hasPositiveClauses } = require('./query');
+const { highlightPost } = require('./highlight');
+const MongoSearchAdapter = require('./adapters/mongo');
+const MemorySearchAdapter = require('./adapters/memory');
+
+// Search adapters implement:
+//
+//   search({ query, filters, sort, limit, page, after })
+//     -> { hits, total, facets: { categories, tags, authors, years } }
+//
+// where `hits` holds up to limit + 1 posts (the extra one signals another page)
+// strictly after the `after` cursor in `sort` order, and every hit carries a numeric `score` when sorting by relevance. Adapters
+// that keep their own index may also implement index(post) and remove(post),
+// called whenever a post changes, and reset(), called after bulk updates.
+const factories = {
+  mongo: () => new MongoSearchAdapter(),
+  memory: () => new MemorySearchAdapter({
+    load: () => mongoose.model('Post').findPublished()
+  })
+};
+
+let activeAdapter = null;
+
+const registerSearchAdapter = (name, factory) => {
+  factories[name] = factory;
+};
+
+const getSearchAdapter = () => {
+  if (!activeAdapter) {
+    const name = process.env.SEARCH_ADAPTER || 'mongo';
+    if (!factories[name]) {
+      throw new Error(`Unknown search adapter "${name}"`);
+    }
+    activeAdapter = factories[name]();
+  }
+  return activeAdapter;
+};
+
+// Swap the adapter at runtime, e.g. an in-memory one in tests
+const setSearchAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+events.on('post:saved', (post) => {
+  if (activeAdapter && typeof activeAdapter.index === 'function') {
+    activeAdapter.index(post);
+  }
+});
+
+events.on('post:deleted', (post) => {
+  if (activeAdapter && typeof activeAdapter.remove === 'function') {
+    activeAdapter.remove(post);
+  }
+});
+
+events.on('posts:updated', () => {
+  if (activeAdapter && typeof activeAdapter.reset === 'function') {
+    activeAdapter.reset();
+  }
+});
+
+const SORT_OPTIONS = {
+  relevance: { field: 'score', direction: -1 },
+  newest: { field: 'publishedAt', direction: -1 },
+  oldest: { field: 'publishedAt', direction: 1 },
+  popular: { field: 'views', direction: -1 }
+};
+
+// Run a search and shape the result for the API: highlighted hits without
+// their full content, facets and cursor/page pagination. Paging back with
+// `before` asks the adapter for the posts after the cursor in reverse order.
+const searchPosts = async ({ q = '', filters = {}, sort, limit = 10, page = 1, after, before } = {}) => {
+  const query = parseSearchQuery(q);
+
+  // Relevance only means something when there are terms to match
+  const sortName = SORT_OPTIONS[sort] && !(sort === 'relevance' && !hasPositiveClauses(query))
+    ? sort
+    : (hasPositiveClauses(query) ? 'relevance' : 'newest');
+  const sortOption = SORT_OPTIONS[sortName];
+  const cursor = after || before;
+  const backwards = Boolean(before) && !after;
+
+  const { hits, total, facets } = await getSearchAdapter().search({
+    query,
+    filters,
+    sort: backwards ? { ...sortOption, direction: -sortOption.direction } : sortOption,
+    limit,
+    page,
+    after: cursor
+  });
+
+  const hasMore = hits.length > limit;
+  const docs = hits.slice(0, limit);
+  if (backwards) docs.reverse();
+
+  // Going backwards we came from a later page, so there is always a next one
+  const hasNextPage = backwards ? docs.length > 0 : hasMore;
+  const hasPrevPage = backwards ? hasMore : (cursor ? docs.length > 0 : page > 1);
+
+  const posts = docs.map(hit => {
+    const { content, ...post } = hit;
+    return {
+      ...post,
+      highlights: highlightPost(hit, query)
+    };
+  });
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    posts,
+    total,
+    facets,
+    sort: sortName,
+    query: {
+      q: query.raw,
+      terms: query.terms,
+      phrases: query.phrases,
+      excluded: query.excluded
+    },
+    pagination: {
+      page: cursor ? null : page,
+      limit,
+      totalPages,
+      hasNextPage,
+      hasPrevPage
+    },
+    nextCursor: hasNextPage && docs.length > 0 ? encodeCursor(docs[docs.length - 1], sortOption.field) : null,
+    prevCursor: hasPrevPage && docs.length > 0 ? encodeCursor(docs[0], sortOption.field) : null
+  };
+};
+
+module.exports = {
+  searchPosts,
+  getSearchAdapter,
+  setSearchAdapter,
+  registerSearchAdapter,
+  SORT_OPTIONS,
+  MongoSearchAdapter,
+  MemorySearchAdapter
+};
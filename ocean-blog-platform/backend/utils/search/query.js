@@ -0,0 +1,56 @@
+const MAX_QUERY_LENGTH = 200;
+const MAX_CLAUSES = 20;
+
+// Split a user query into plain terms, "quoted phrases" and -exclusions.
+//
+//   parseSearchQuery('ocean "coral reef" -shark')
+//   // => { terms: ['ocean'], phrases: ['coral reef'], excluded: ['shark'], ... }
+//
+// Exclusions may also be phrases: -"great white".
+const parseSearchQuery = (input = '') => {
+  const text = String(input).slice(0, MAX_QUERY_LENGTH);
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  const pattern = /(-?)"([^"]+)"|(-?)([^\s"]+)/g;
+  let match;
+  while ((match = pattern.exec(text)) && terms.length + phrases.length + excluded.length < MAX_CLAUSES) {
+    const negated = Boolean(match[1] || match[3]);
+    const value = (match[2] || match[4] || '').trim().toLowerCase();
+    if (!value || value === '-') continue;
+
+    if (negated) {
+      excluded.push(value);
+    } else if (match[2] !== undefined) {
+      phrases.push(value.replace(/\s+/g, ' '));
+    } else {
+      terms.push(value);
+    }
+  }
+
+  return {
+    raw: text.trim(),
+    terms,
+    phrases,
+    excluded,
+    // Positive words, used for scoring and highlighting
+    words: [...terms, ...phrases.flatMap(phrase => phrase.split(' '))]
+  };
+};
+
+// True when there is something to match on (exclusions alone only filter)
+const hasPositiveClauses = (query) => query.terms.length > 0 || query.phrases.length > 0;
+
+// Rebuild the query in MongoDB $text syntax, which supports the same operators
+const toMongoTextSearch = (query) => [
+  ...query.terms,
+  ...query.phrases.map(phrase => `"${phrase}"`),
+  ...query.excluded.map(word => (word.includes(' ') ? `-"${word}"` : `-${word}`))
+].join(' ');
+
+module.exports = {
+  parseSearchQuery,
+  hasPositiveClauses,
+  toMongoTextSearch
+};
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const events = require('../events');
+
+// How long a request may wait for the suggestion index to be (re)built
+const LATENCY_BUDGET_MS = parseInt(process.env.SUGGEST_BUDGET_MS) || 150;
+// Rebuild at least this often so category and author changes show up
+const INDEX_TTL_MS = parseInt(process.env.SUGGEST_INDEX_TTL_MS) || 5 * 60 * 1000;
+const MIN_WORD_LENGTH = 3;
+const MAX_CORRECTIONS = 3;
+
+// Post fields that feed the dictionary; other changes leave it valid
+const INDEXED_PATHS = ['title', 'slug', 'tags', 'status', 'isPublic', 'author'];
+
+const normalise = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+const tokenize = (text) => normalise(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+// giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Short words tolerate one typo, longer ones two
+const allowedDistance = (word) => (word.length <= 5 ? 1 : 2);
+
+// In-memory dictionary of title words and tags plus the small lists the
+// dropdown needs, so suggestions never wait on a text query
+class SuggestionIndex {
+  constructor() {
+    this.data = null;
+    this.builtAt = 0;
+    this.stale = true;
+    this.building = null;
+  }
+
+  invalidate() {
+    this.stale = true;
+  }
+
+  async build() {
+    const Post = mongoose.model('Post');
+    const Category = mongoose.model('Category');
+    const User = mongoose.model('User');
+
+    const [posts, categories] = await Promise.all([
+      Post.find({ status: 'published', isPublic: true }).select('title slug tags author views').lean(),
+      Category.find({ isActive: true }).select('name slug').lean()
+    ]);
+    const authorIds = [...new Set(posts.map(post => post.author && post.author.toString()).filter(Boolean))];
+    const authors = await User.find({ _id: { $in: authorIds }, isActive: true }).select('name avatar').lean();
+
+    const words = new Map();
+    const tags = new Map();
+    posts.forEach(post => {
+      tokenize(post.title)
+        .filter(word => word.length >= MIN_WORD_LENGTH)
+        .forEach(word => words.set(word, (words.get(word) || 0) + 1));
+      (post.tags || []).forEach(tag => {
+        tags.set(tag, (tags.get(tag) || 0) + 1);
+        tokenize(tag).forEach(word => words.set(word, (words.get(word) || 0) + 1));
+      });
+    });
+
+    return {
+      words,
+      tags,
+      posts: posts.map(post => ({ ...post, words: tokenize(post.title) })),
+      categories: categories.map(category => ({ ...category, words: tokenize(category.name) })),
+      authors: authors.map(author => ({ ...author, words: tokenize(author.name) }))
+    };
+  }
+
+  // Resolves with the index, or null if a rebuild does not finish within the budget
+  async get(budget = LATENCY_BUDGET_MS) {
+    const expired = Date.now() - this.builtAt > INDEX_TTL_MS;
+    if (this.data && !this.stale && !expired) return this.data;
+
+    if (!this.building) {
+      this.stale = false;
+      this.building = this.build()
+        .then(data => {
+          this.data = data;
+          this.builtAt = Date.now();
+          return data;
+        })
+        .catch(error => {
+          this.stale = true;
+          console.error('❌ Failed to build suggestion index:', error.message);
+          return this.data;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+
+    // A slightly old index beats waiting
+    if (this.data) return this.data;
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), budget);
+    });
+    const data = await Promise.race([this.building, timeout]);
+    clearTimeout(timer);
+    return data;
+  }
+}
+
+const index = new SuggestionIndex();
+
+events.on('post:saved', (post, { isNew, changedPaths }) => {
+  if (isNew || changedPaths.some(path => INDEXED_PATHS.includes(path))) {
+    index.invalidate();
+  }
+});
+events.on('post:deleted', () => index.invalidate());
+// Category deletes unset the category of their posts in bulk
+events.on('posts:updated', ({ changedPaths }) => {
+  if (changedPaths.some(path => INDEXED_PATHS.includes(path) || path === 'category')) {
+    index.invalidate();
+  }
+});
+
+// Dictionary words the prefix could be heading towards: exact completions
+// first, then words whose beginning is within a typo or two
+const expandPrefix = (prefix, words) => {
+  const completions = [];
+  const corrections = [];
+  const max = allowedDistance(prefix);
+
+  words.forEach((count, word) => {
+    if (word.startsWith(prefix)) {
+      completions.push({ word, count, distance: 0 });
+    } else if (prefix.length >= MIN_WORD_LENGTH) {
+      // Compare against the whole word and against a same-length prefix of it
+      const distance = Math.min(
+        editDistance(prefix, word, max),
+        editDistance(prefix, word.slice(0, prefix.length), max)
+      );
+      if (distance <= max) corrections.push({ word, count, distance });
+    }
+  });
+
+  // Only the closest corrections are kept; a two-typo match is noise next to a one-typo one
+  const best = corrections.reduce((min, correction) => Math.min(min, correction.distance), Infinity);
+  const byRank = (a, b) => a.distance - b.distance || b.count - a.count || a.word.length - b.word.length;
+  return {
+    completions: completions.sort(byRank),
+    corrections: corrections.filter(correction => correction.distance === best).sort(byRank)
+  };
+};
+
+// Suggestions for a partially typed query. Earlier words must match an
+// item's words (allowing typos); the last word is treated as a prefix.
+const suggest = async (q, { limit = 5 } = {}) => {
+  const started = Date.now();
+  const tokens = tokenize(q);
+  const empty = { posts: [], tags: [], categories: [], authors: [] };
+
+  if (tokens.length === 0) {
+    return { query: q, corrections: [], suggestions: empty, partial: false, tookMs: 0 };
+  }
+
+  const data = await index.get();
+  if (!data) {
+    return { query: q, corrections: [], suggestions: empty, partial: true, tookMs: Date.now() - started };
+  }
+
+  const prefix = tokens[tokens.length - 1];
+  const complete = tokens.slice(0, -1);
+
+  const { completions, corrections } = expandPrefix(prefix, data.words);
+  const candidates = [...completions, ...corrections].slice(0, 25);
+  const candidateWords = new Set(candidates.map(candidate => candidate.word));
+  // Always accept the raw prefix so brand-new or short words still match
+  const matchesPrefix = (word) => word.startsWith(prefix) || candidateWords.has(word) ||
+    [...candidateWords].some(candidate => word.startsWith(candidate));
+
+  const matchesComplete = (words) => complete.every(token =>
+    words.some(word => word === token || editDistance(token, word, allowedDistance(token)) <= allowedDistance(token)));
+
+  const matches = (words) => words.some(matchesPrefix) && matchesComplete(words);
+
+  const posts = data.posts
+    .filter(post => matches(post.words))
+    .sort((a, b) => (b.views || 0) - (a.views || 0))
+    .slice(0, limit)
+    .map(({ _id, title, slug }) => ({ _id, title, slug }));
+
+  const tags = [...data.tags.entries()]
+    .filter(([tag]) => matches(tokenize(tag)))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([tag, count]) => ({ tag, count }));
+
+  const categories = data.categories
+    .filter(category => matches(category.words))
+    .slice(0, limit)
+    .map(({ _id, name, slug }) => ({ _id, name, slug }));
+
+  const authors = data.authors
+    .filter(author => matches(author.words))
+    .slice(0, limit)
+    .map(({ _id, name, avatar }) => ({ _id, name, avatar }));
+
+  // "Did you mean" only when the typed prefix completes nothing
+  const didYouMean = completions.length === 0
+    ? corrections.slice(0, MAX_CORRECTIONS).map(({ word }) => [...complete, word].join(' '))
+    : [];
+
+  return {
+    query: q,
+    corrections: didYouMean,
+    suggestions: { posts, tags, categories, authors },
+    partial: false,
+    tookMs: Date.now() - started
+  };
+};
+
+module.exports = {
+  suggest,
+  editDistance,
+  suggestionIndex: index
+};
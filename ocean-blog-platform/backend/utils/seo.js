@@ -0,0 +1,194 @@
+const { siteConfig, siteUrls, absoluteUrl } = require('./site');
+const { generateExcerpt, truncateText } = require('./helpers');
+
+const TITLE_MAX = 60;
+const DESCRIPTION_MAX = 160;
+
+const documentTitle = (title) => `${title} | ${siteConfig.name}`;
+
+const cleanDescription = (text) => truncateText(String(text || '').replace(/\s+/g, ' ').trim(), DESCRIPTION_MAX);
+
+const publisher = () => ({
+  '@type': 'Organization',
+  name: siteConfig.name,
+  url: siteUrls.home(),
+  ...(siteConfig.defaultImage ? { logo: { '@type': 'ImageObject', url: absoluteUrl(siteConfig.defaultImage) } } : {})
+});
+
+const person = (user) => ({
+  '@type': 'Person',
+  name: user.name,
+  url: siteUrls.author(user._id)
+});
+
+// Shared shape for every page type: plain meta tags plus Open Graph and
+// Twitter Card properties keyed by their attribute name
+const buildMeta = ({ title, description, keywords, canonical, image, type, extraOpenGraph = {}, jsonLd }) => {
+  const fullImage = absoluteUrl(image || siteConfig.defaultImage);
+
+  return {
+    title: documentTitle(title),
+    description,
+    keywords,
+    canonical,
+    image: fullImage,
+    openGraph: {
+      'og:type': type,
+      'og:title': title,
+      'og:description': description,
+      'og:url': canonical,
+      'og:site_name': siteConfig.name,
+      'og:locale': siteConfig.locale,
+      ...(fullImage ? { 'og:image': fullImage } : {}),
+      ...extraOpenGraph
+    },
+    twitter: {
+      'twitter:card': fullImage ? 'summary_large_image' : 'summary',
+      'twitter:title': title,
+      'twitter:description': description,
+      ...(fullImage ? { 'twitter:image': fullImage } : {}),
+      ...(siteConfig.twitterHandle ? { 'twitter:site': siteConfig.twitterHandle } : {})
+    },
+    jsonLd
+  };
+};
+
+// Resolve SEO metadata for a published post; empty seo fields fall back
+// to the title, the excerpt and the tags
+const buildPostSeo = (post) => {
+  const seo = post.seo || {};
+  const title = truncateText(seo.metaTitle || post.title, TITLE_MAX);
+  const description = cleanDescription(seo.metaDescription || post.excerpt || generateExcerpt(post.content, DESCRIPTION_MAX));
+  const keywords = seo.keywords && seo.keywords.length > 0 ? seo.keywords : (post.tags || []);
+  const canonical = siteUrls.post(post.slug);
+  const image = post.featuredImage || siteConfig.defaultImage;
+
+  const authors = [post.author, ...(post.coAuthors || [])
+    .filter(coAuthor => coAuthor.status === 'accepted' && coAuthor.user)
+    .map(coAuthor => coAuthor.user)]
+    .filter(author => author && author.name);
+
+  const published = post.publishedAt || post.createdAt;
+  const modified = post.updatedAt || published;
+
+  return buildMeta({
+    title,
+    description,
+    keywords,
+    canonical,
+    image,
+    type: 'article',
+    extraOpenGraph: {
+      'article:published_time': published ? new Date(published).toISOString() : undefined,
+      'article:modified_time': modified ? new Date(modified).toISOString() : undefined,
+      'article:section': post.category && post.category.name ? post.category.name : undefined,
+      'article:tag': post.tags || []
+    },
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: truncateText(post.title, 110),
+      description,
+      ...(image ? { image: [absoluteUrl(image)] } : {}),
+      datePublished: published ? new Date(published).toISOString() : undefined,
+      dateModified: modified ? new Date(modified).toISOString() : undefined,
+      author: authors.map(person),
+      publisher: publisher(),
+      mainEntityOfPage: { '@type': 'WebPage', '@id': canonical },
+      url: canonical,
+      keywords: keywords.join(', '),
+      ...(post.category && post.category.name ? { articleSection: post.category.name } : {}),
+      ...(post.wordCount ? { wordCount: post.wordCount } : {}),
+      inLanguage: siteConfig.language
+    }
+  });
+};
+
+const buildCategorySeo = (category) => {
+  const seo = category.seo || {};
+  const title = truncateText(seo.metaTitle || category.name, TITLE_MAX);
+  const description = cleanDescription(
+    seo.metaDescription || category.description || `Latest ${category.name} posts on ${siteConfig.name}`
+  );
+  const keywords = seo.keywords && seo.keywords.length > 0 ? seo.keywords : [category.name];
+  const canonical = siteUrls.category(category.slug);
+
+  return buildMeta({
+    title,
+    description,
+    keywords,
+    canonical,
+    image: category.image,
+    type: 'website',
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@type': 'CollectionPage',
+      name: category.name,
+      description,
+      url: canonical,
+      isPartOf: { '@type': 'WebSite', name: siteConfig.name, url: siteUrls.home() },
+      inLanguage: siteConfig.language
+    }
+  });
+};
+
+// Tags only have metadata once someone described them; otherwise fall back to the name
+const buildTagSeo = (tag) => {
+  const seo = tag.seo || {};
+  const title = truncateText(seo.metaTitle || `#${tag.name}`, TITLE_MAX);
+  const description = cleanDescription(
+    seo.metaDescription || tag.description || `${tag.count || 'All'} posts tagged "${tag.name}" on ${siteConfig.name}`
+  );
+  const canonical = siteUrls.tag(tag.name);
+
+  return buildMeta({
+    title,
+    description,
+    keywords: [tag.name, ...(tag.aliases || [])],
+    canonical,
+    type: 'website',
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@type': 'CollectionPage',
+      name: `#${tag.name}`,
+      description,
+      url: canonical,
+      about: { '@type': 'Thing', name: tag.name },
+      isPartOf: { '@type': 'WebSite', name: siteConfig.name, url: siteUrls.home() },
+      inLanguage: siteConfig.language
+    }
+  });
+};
+
+const buildAuthorSeo = (user) => {
+  const title = truncateText(user.name, TITLE_MAX);
+  const description = cleanDescription(user.bio || `Posts by ${user.name} on ${siteConfig.name}`);
+  const canonical = siteUrls.author(user._id);
+
+  return buildMeta({
+    title,
+    description,
+    keywords: [user.name],
+    canonical,
+    image: user.avatar,
+    type: 'profile',
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@type': 'ProfilePage',
+      url: canonical,
+      mainEntity: {
+        ...person(user),
+        ...(user.bio ? { description: user.bio } : {}),
+        ...(user.avatar ? { image: absoluteUrl(user.avatar) } : {}),
+        ...(user.website ? { sameAs: [user.website] } : {})
+      }
+    }
+  });
+};
+
+module.exports = {
+  buildPostSeo,
+  buildCategorySeo,
+  buildTagSeo,
+  buildAuthorSeo
+};
@@ -0,0 +1,33 @@
+// Public site settings shared by feeds, sitemaps and SEO metadata
+const siteConfig = {
+  name: process.env.SITE_NAME || 'Ocean Blog',
+  description: process.env.SITE_DESCRIPTION || 'A modern blog platform where ideas flow like ocean waves',
+  url: (process.env.SITE_URL || process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/+$/, ''),
+  // FEED_LANGUAGE is the older name, from when only the feeds used it
+  language: process.env.SITE_LANGUAGE || process.env.FEED_LANGUAGE || 'en',
+  locale: process.env.SITE_LOCALE || 'en_US',
+  twitterHandle: process.env.SITE_TWITTER_HANDLE || '',
+  defaultImage: process.env.SITE_DEFAULT_IMAGE || ''
+};
+
+// Make a site-relative path or upload URL absolute
+const absoluteUrl = (url) => {
+  if (!url) return '';
+  if (/^https?:\/\//i.test(url)) return url;
+  return `${siteConfig.url}/${url.replace(/^\/+/, '')}`;
+};
+
+// Canonical frontend URLs for public pages
+const siteUrls = {
+  home: () => siteConfig.url,
+  post: (slug) => `${siteConfig.url}/post/${slug}`,
+  category: (slug) => `${siteConfig.url}/?category=${encodeURIComponent(slug)}`,
+  author: (id) => `${siteConfig.url}/?author=${id}`,
+  tag: (name) => `${siteConfig.url}/tag/${encodeURIComponent(name)}`
+};
+
+module.exports = {
+  siteConfig,
+  siteUrls,
+  absoluteUrl
+};
@@ -0,0 +1,193 @@
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const events = require('./events');
+const { AppError } = require('../middleware/errorHandler');
+
+const { normaliseTag } = Tag;
+const PUBLISHED = { status: 'published', isPublic: true };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Tag names in use on published posts with counts. With `trending`, only tags
+// used in the last `days` days, ordered by that recent usage.
+const listTags = async ({ q, trending = false, days = 7, limit = 50 } = {}) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const counts = await Post.aggregate([
+    { $match: PUBLISHED },
+    { $unwind: '$tags' },
+    ...(q ? [{ $match: { tags: { $regex: `^${escapeRegExp(normaliseTag(q))}` } } }] : []),
+    {
+      $group: {
+        _id: '$tags',
+        count: { $sum: 1 },
+        recentCount: { $sum: { $cond: [{ $gte: ['$publishedAt', since] }, 1, 0] } },
+        lastUsedAt: { $max: '$publishedAt' }
+      }
+    },
+    ...(trending
+      ? [{ $match: { recentCount: { $gt: 0 } } }, { $sort: { recentCount: -1, count: -1, _id: 1 } }]
+      : [{ $sort: { count: -1, _id: 1 } }]),
+    { $limit: limit }
+  ]);
+
+  const details = await Tag.find({ name: { $in: counts.map(count => count._id) } })
+    .select('name description aliases');
+  const byName = new Map(details.map(tag => [tag.name, tag]));
+
+  return counts.map(({ _id: name, count, recentCount, lastUsedAt }) => ({
+    name,
+    count,
+    recentCount,
+    lastUsedAt,
+    description: byName.has(name) ? byName.get(name).description : '',
+    aliases: byName.has(name) ? byName.get(name).aliases : []
+  }));
+};
+
+// A single tag with its post count. Aliases resolve to the canonical tag and
+// report it in `redirect`.
+const getTag = async (name) => {
+  const value = normaliseTag(name);
+  const tag = await Tag.findByNameOrAlias(value);
+  const canonical = tag ? tag.name : value;
+
+  const count = await Post.countDocuments({ ...PUBLISHED, tags: canonical });
+  if (!tag && count === 0) return null;
+
+  return {
+    name: canonical,
+    description: tag ? tag.description : '',
+    aliases: tag ? tag.aliases : [],
+    seo: tag ? tag.seo : {},
+    count,
+    redirect: canonical !== value ? canonical : null
+  };
+};
+
+// Replace `sources` with `target` on every post (keeping tag order), bypassing
+// document middleware so no revisions are written for a housekeeping change
+const rewritePostTags = async (sources, target) => {
+  if (sources.length === 0) return 0;
+
+  const result = await Post.updateMany(
+    { tags: { $in: sources } },
+    [{
+      $set: {
+        tags: {
+          $let: {
+            vars: {
+              kept: { $filter: { input: '$tags', as: 'tag', cond: { $not: [{ $in: ['$$tag', sources] }] } } }
+            },
+            in: {
+              $cond: [{ $in: [target, '$$kept'] }, '$$kept', { $concatArrays: ['$$kept', [target]] }]
+            }
+          }
+        },
+        updatedAt: '$$NOW'
+      }
+    }],
+    { timestamps: false }
+  );
+
+  events.emit('posts:updated', { changedPaths: ['tags'] });
+  return result.modifiedCount;
+};
+
+// Fold `sources` into `target`: posts are rewritten and the source names
+// become aliases of the target so future posts are normalised too
+const mergeTags = async (sourceNames, targetName, user) => {
+  const target = (await Tag.findByNameOrAlias(targetName)) || new Tag({ name: normaliseTag(targetName) });
+  const sources = [...new Set(sourceNames.map(normaliseTag))].filter(name => name && name !== target.name);
+
+  if (sources.length === 0) {
+    throw new AppError('Please provide at least one tag to merge into the target', 400);
+  }
+
+  const sourceTags = await Tag.find({ name: { $in: sources } });
+  sourceTags.forEach(source => {
+    target.aliases.push(...source.aliases);
+    if (!target.description && source.description) {
+      target.description = source.description;
+    }
+  });
+  target.aliases.push(...sources);
+  target.updatedBy = user._id;
+
+  // Aliases may only belong to one tag
+  await Tag.updateMany({ _id: { $ne: target._id } }, { $pull: { aliases: { $in: sources } } });
+  await Tag.deleteMany({ _id: { $in: sourceTags.map(source => source._id) } });
+  await target.save();
+
+  const postsUpdated = await rewritePostTags([...sources, ...sourceTags.flatMap(source => source.aliases)], target.name);
+
+  return { tag: target, postsUpdated };
+};
+
+// Rename a tag and/or change its description, aliases and SEO fields.
+// Renaming onto an existing tag merges the two.
+const updateTag = async (name, updates, user) => {
+  const current = normaliseTag(name);
+  let tag = await Tag.findByNameOrAlias(current);
+
+  if (!tag) {
+    if (await Post.countDocuments({ tags: current }) === 0) {
+      throw new AppError('Tag not found', 404);
+    }
+    tag = new Tag({ name: current });
+  }
+
+  let postsUpdated = 0;
+  // A renamed tag keeps its old name as an alias, even when the same request
+  // replaces the aliases
+  const previousNames = [];
+
+  if (updates.name !== undefined && normaliseTag(updates.name) !== tag.name) {
+    const newName = normaliseTag(updates.name);
+    previousNames.push(tag.name);
+    const existing = await Tag.findByNameOrAlias(newName);
+    const inUse = existing || await Post.exists({ tags: newName });
+
+    if (inUse) {
+      const merged = await mergeTags([tag.name], existing ? existing.name : newName, user);
+      tag = merged.tag;
+      postsUpdated += merged.postsUpdated;
+    } else {
+      const oldName = tag.name;
+      tag.name = newName;
+      tag.aliases.push(oldName);
+      if (!tag.isNew) await tag.save();
+      postsUpdated += await rewritePostTags([oldName], newName);
+    }
+  }
+
+  if (updates.aliases !== undefined) {
+    const aliases = [...new Set([...updates.aliases.map(normaliseTag), ...previousNames])]
+      .filter(alias => alias && alias !== tag.name);
+
+    const conflict = await Tag.findOne({ _id: { $ne: tag._id }, name: { $in: aliases } });
+    if (conflict) {
+      throw new AppError(`"${conflict.name}" is a tag with its own settings; merge it instead`, 400);
+    }
+
+    await Tag.updateMany({ _id: { $ne: tag._id } }, { $pull: { aliases: { $in: aliases } } });
+    tag.aliases = aliases;
+    postsUpdated += await rewritePostTags(aliases, tag.name);
+  }
+
+  if (updates.description !== undefined) tag.description = updates.description;
+  if (updates.seo !== undefined) tag.seo = { ...(tag.toObject().seo || {}), ...updates.seo };
+  tag.updatedBy = user._id;
+
+  await tag.save();
+
+  return { tag, postsUpdated };
+};
+
+module.exports = {
+  listTags,
+  getTag,
+  mergeTags,
+  updateTag,
+  rewritePostTags
+};
@@ -0,0 +1,45 @@
+const { slugify, stripHtml } = require('./helpers');
+
+const HEADING_PATTERN = /<h([2-4])((?:\s[^>]*)?)>([\s\S]*?)<\/h\1>/gi;
+
+// Decode the few entities the sanitizer leaves in heading text
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Extract h2-h4 headings, give each a stable anchor id derived from its
+// text (duplicates get a numeric suffix) and return the rewritten HTML
+// together with the table of contents.
+const buildToc = (html) => {
+  const toc = [];
+  const used = {};
+
+  if (!html) return { html: '', toc };
+
+  const rewritten = html.replace(HEADING_PATTERN, (match, level, attrs, inner) => {
+    const text = decodeEntities(stripHtml(inner)).replace(/\s+/g, ' ').trim();
+    if (!text) return match;
+
+    const base = slugify(text, { maxLength: 60 })
+      .replace(/[^\p{L}\p{N}-]+/gu, '')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '') || 'section';
+    used[base] = (used[base] || 0) + 1;
+    const anchor = used[base] === 1 ? base : `${base}-${used[base]}`;
+
+    toc.push({ level: Number(level), text, anchor });
+
+    const otherAttrs = (attrs || '').replace(/\s+id\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i, '');
+    return `<h${level} id="${anchor}"${otherAttrs}>${inner}</h${level}>`;
+  });
+
+  return { html: rewritten, toc };
+};
+
+module.exports = {
+  buildToc
+};
@@ -13,6 +13,7 @@ const router = {
 // Context
 import { AuthProvider } from './contexts/AuthContext'
 import { BlogProvider } from './contexts/BlogContext'
+import { SocketProvider } from './contexts/SocketContext'
 
 // Components
 import Header from './components/Header'
@@ -23,33 +24,45 @@ import Home from './pages/Home'
 import Login from './pages/Login'
 import Register from './pages/Register'
 import PostDetail from './pages/PostDetail'
+import TagPage from './pages/TagPage'
 import CreatePost from './pages/CreatePost'
 import Profile from './pages/Profile'
+import CategoryTreeEditor from './pages/CategoryTreeEditor'
+import ModerationQueue from './pages/ModerationQueue'
+import Saved from './pages/Saved'
+import ReadingList from './pages/ReadingList'
 import NotFound from './pages/NotFound'
 
 function App() {
   return (
     <AuthProvider>
-      <BlogProvider>
-        <Router router={router}>
-          <div className="min-h-screen bg-gray-50 flex flex-col">
-            <Header />
-            <main className="flex-grow">
-              <Routes>
-                <Route path="/" element={<Home />} />
-                <Route path="/login" element={<Login />} />
-                <Route path="/register" element={<Register />} />
-                <Route path="/post/:slug" element={<PostDetail />} />
-                <Route path="/create-post" element={<CreatePost />} />
-                <Route path="/profile" element={<Profile />} />
-                <Route path="*" element={<NotFound />} />
-              </Routes>
-            </main>
-            <Footer />
-          </div>
-          <Toaster position="top-right" />
-        </Router>
-      </BlogProvider>
+      <SocketProvider>
+        <BlogProvider>
+          <Router router={router}>
+            <div className="min-h-screen bg-gray-50 flex flex-col">
+              <Header />
+              <main className="flex-grow">
+                <Routes>
+                  <Route path="/" element={<Home />} />
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/register" element={<Register />} />
+                  <Route path="/post/:slug" element={<PostDetail />} />
+                  <Route path="/tag/:name" element={<TagPage />} />
+                  <Route path="/create-post" element={<CreatePost />} />
+                  <Route path="/profile" element={<Profile />} />
+                  <Route path="/saved" element={<Saved />} />
+                  <Route path="/lists/:slug" element={<ReadingList />} />
+                  <Route path="/admin/categories" element={<CategoryTreeEditor />} />
+                  <Route path="/moderation" element={<ModerationQueue />} />
+                  <Route path="*" element={<NotFound />} />
+                </Routes>
+              </main>
+              <Footer />
+            </div>
+            <Toaster position="top-right" />
+          </Router>
+        </BlogProvider>
+      </SocketProvider>
     </AuthProvider>
   )
 }
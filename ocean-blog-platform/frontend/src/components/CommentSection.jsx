@@ -0,0 +1,553 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  ChatBubbleLeftRightIcon,
+  EyeIcon,
+  HeartIcon,
+  MinusCircleIcon,
+  PlusCircleIcon,
+  UserIcon
+} from '@heroicons/react/24/outline'
+import { HeartIcon as HeartSolidIcon } from '@heroicons/react/24/solid'
+import { useAuth } from '../contexts/AuthContext'
+import { useSocket } from '../contexts/SocketContext'
+
+const REPORT_REASONS = [
+  ['spam', 'Spam'],
+  ['harassment', 'Harassment'],
+  ['inappropriate', 'Inappropriate'],
+  ['off-topic', 'Off-topic'],
+  ['other', 'Other']
+]
+
+// Typing notices are re-sent while typing and dropped if they stop arriving
+const TYPING_THROTTLE = 3000
+const TYPING_TIMEOUT = 6000
+
+// Apply fn to the comment with the given id anywhere in the tree
+const updateNode = (nodes, id, fn) => nodes.map(node => {
+  if (node._id === id) return fn(node)
+  if (node.replies.length === 0) return node
+  return { ...node, replies: updateNode(node.replies, id, fn) }
+})
+
+const containsNode = (nodes, id) => nodes.some(node => node._id === id || containsNode(node.replies, id))
+
+// Append comments that are not in the tree yet; live events may have added some already
+const appendNew = (current, nodes) => [
+  ...current,
+  ...nodes.filter(node => !containsNode(current, node._id))
+]
+
+// Depths from the API are relative to the page that was loaded
+const shiftDepth = (nodes, offset) => nodes.map(node => ({
+  ...node,
+  depth: node.depth + offset,
+  replies: shiftDepth(node.replies, offset)
+}))
+
+// A freshly created comment in the shape of a tree node
+const toNode = (comment, depth) => ({
+  ...comment,
+  depth,
+  replyCount: 0,
+  replies: [],
+  repliesCursor: null
+})
+
+const CommentForm = ({ onSubmit, onCancel, onTyping, placeholder, autoFocus }) => {
+  const [content, setContent] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!content.trim()) return
+    setSubmitting(true)
+    onTyping?.(false)
+    try {
+      await onSubmit(content.trim())
+      setContent('')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={content}
+        onChange={(e) => {
+          setContent(e.target.value)
+          onTyping?.(e.target.value.length > 0)
+        }}
+        onBlur={() => onTyping?.(false)}
+        placeholder={placeholder}
+        maxLength={1000}
+        rows={3}
+        autoFocus={autoFocus}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={() => {
+              onTyping?.(false)
+              onCancel()
+            }}
+            className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={submitting || !content.trim()}
+          className="px-4 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-md text-sm font-medium transition-colors"
+        >
+          {submitting ? 'Posting...' : 'Post'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+const CommentNode = ({ comment, actions, canReply }) => {
+  const { user } = useAuth()
+  const [collapsed, setCollapsed] = useState(false)
+  const [replying, setReplying] = useState(false)
+  const [reporting, setReporting] = useState(false)
+  const [reportReason, setReportReason] = useState('spam')
+
+  const isOwn = user && comment.author?._id === user._id
+  const hiddenReplies = comment.replyCount - comment.replies.length
+
+  return (
+    <li className="pt-4">
+      <div className="flex items-start space-x-3">
+        <button
+          type="button"
+          onClick={() => setCollapsed(!collapsed)}
+          className="mt-1 text-gray-400 hover:text-blue-600"
+          aria-label={collapsed ? 'Expand thread' : 'Collapse thread'}
+        >
+          {collapsed ? <PlusCircleIcon className="w-5 h-5" /> : <MinusCircleIcon className="w-5 h-5" />}
+        </button>
+
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center space-x-2 text-sm">
+            <div className="w-6 h-6 bg-gray-200 rounded-full flex items-center justify-center">
+              {comment.author?.avatar ? (
+                <img src={comment.author.avatar} alt={comment.author.name} className="w-6 h-6 rounded-full object-cover" />
+              ) : (
+                <UserIcon className="w-4 h-4 text-gray-500" />
+              )}
+            </div>
+            <span className="font-medium text-gray-900">{comment.author?.name || 'Deleted'}</span>
+            <span className="text-gray-500">
+              {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+            </span>
+            {comment.isEdited && !comment.isDeleted && <span className="text-gray-400">(edited)</span>}
+            {collapsed && comment.replyCount > 0 && (
+              <span className="text-gray-500">
+                · {comment.replyCount} {comment.replyCount === 1 ? 'reply' : 'replies'}
+              </span>
+            )}
+          </div>
+
+          {!collapsed && (
+            <>
+              <p className={`mt-1 text-gray-700 whitespace-pre-line ${comment.isDeleted ? 'italic text-gray-400' : ''}`}>
+                {comment.content}
+              </p>
+
+              {!comment.isDeleted && (
+                <div className="flex items-center space-x-4 mt-1 text-xs text-gray-500">
+                  <button
+                    type="button"
+                    onClick={() => actions.like(comment._id)}
+                    disabled={!user}
+                    className={`flex items-center space-x-1 ${comment.liked ? 'text-red-600' : 'hover:text-red-600'}`}
+                  >
+                    {comment.liked ? <HeartSolidIcon className="w-4 h-4" /> : <HeartIcon className="w-4 h-4" />}
+                    <span>{comment.likes || 0}</span>
+                  </button>
+                  {canReply && (
+                    <button type="button" onClick={() => setReplying(!replying)} className="hover:text-blue-600">
+                      Reply
+                    </button>
+                  )}
+                  {isOwn && (
+                    <button type="button" onClick={() => actions.remove(comment._id)} className="hover:text-red-600">
+                      Delete
+                    </button>
+                  )}
+                  {user && !isOwn && !comment.reported && (
+                    <button type="button" onClick={() => setReporting(!reporting)} className="hover:text-orange-600">
+                      Report
+                    </button>
+                  )}
+                  {comment.reported && <span className="text-orange-600">Reported</span>}
+                </div>
+              )}
+
+              {reporting && !comment.reported && (
+                <div className="flex items-center space-x-2 mt-2 text-sm">
+                  <select
+                    value={reportReason}
+                    onChange={(e) => setReportReason(e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                  >
+                    {REPORT_REASONS.map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={async () => {
+                      await actions.report(comment._id, reportReason)
+                      setReporting(false)
+                    }}
+                    className="px-3 py-1 bg-orange-600 hover:bg-orange-700 text-white rounded-md"
+                  >
+                    Report
+                  </button>
+                  <button type="button" onClick={() => setReporting(false)} className="text-gray-600 hover:text-gray-900">
+                    Cancel
+                  </button>
+                </div>
+              )}
+
+              {replying && (
+                <div className="mt-2">
+                  <CommentForm
+                    placeholder={`Reply to ${comment.author?.name || 'comment'}...`}
+                    autoFocus
+                    onTyping={actions.typing}
+                    onCancel={() => setReplying(false)}
+                    onSubmit={async (content) => {
+                      await actions.reply(comment, content)
+                      setReplying(false)
+                    }}
+                  />
+                </div>
+              )}
+
+              {comment.replies.length > 0 && (
+                <ul className="ml-2 pl-4 border-l-2 border-gray-100">
+                  {comment.replies.map(reply => (
+                    <CommentNode key={reply._id} comment={reply} actions={actions} canReply={canReply} />
+                  ))}
+                </ul>
+              )}
+
+              {hiddenReplies > 0 && (
+                <button
+                  type="button"
+                  onClick={() => actions.loadReplies(comment)}
+                  className="mt-2 ml-6 text-sm text-blue-600 hover:text-blue-700"
+                >
+                  {comment.replies.length === 0
+                    ? `Continue thread (${hiddenReplies} ${hiddenReplies === 1 ? 'reply' : 'replies'})`
+                    : `Load ${hiddenReplies} more ${hiddenReplies === 1 ? 'reply' : 'replies'}`}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </li>
+  )
+}
+
+const CommentSection = ({ postId }) => {
+  const { user, isAuthenticated } = useAuth()
+  const socket = useSocket()
+  const [comments, setComments] = useState([])
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [allowComments, setAllowComments] = useState(true)
+  const [loading, setLoading] = useState(true)
+  const [viewers, setViewers] = useState(0)
+  const [typers, setTypers] = useState({})
+  const typingSent = useRef(0)
+
+  useEffect(() => {
+    const fetchComments = async () => {
+      setLoading(true)
+      try {
+        const response = await axios.get(`/api/posts/${postId}/comments`)
+        setComments(response.data.data.comments)
+        setAllowComments(response.data.data.allowComments)
+        setTotal(response.data.total)
+        setNextCursor(response.data.nextCursor)
+      } catch (error) {
+        console.error('Failed to fetch comments:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchComments()
+  }, [postId])
+
+  // Live updates for this post. The server only broadcasts saved changes.
+  useEffect(() => {
+    if (!socket) return
+
+    const join = () => socket.emit('join_post', postId)
+    const forPost = (handler) => (data) => {
+      if (data.postId === postId) handler(data)
+    }
+
+    const handlers = {
+      // This reader's own comments are added from the POST response
+      comment_added: forPost(({ comment, parentComment }) => {
+        if (comment.author?._id === user?._id) return
+        if (!parentComment) {
+          setComments(current => appendNew(current, [comment]))
+          setTotal(current => current + 1)
+          return
+        }
+        setComments(current => containsNode(current, comment._id) ? current : updateNode(current, parentComment, node => ({
+          ...node,
+          replyCount: node.replyCount + 1,
+          replies: [...node.replies, toNode(comment, node.depth + 1)]
+        })))
+      }),
+      comment_edited: forPost(({ commentId, content, isEdited, updatedAt }) => {
+        setComments(current => updateNode(current, commentId, node => ({ ...node, content, isEdited, updatedAt })))
+      }),
+      comment_deleted: forPost(({ commentId }) => {
+        setComments(current => updateNode(current, commentId, node => ({
+          ...node,
+          isDeleted: true,
+          content: '[Comment deleted]',
+          author: null
+        })))
+      }),
+      comment_liked: forPost(({ commentId, likes }) => {
+        setComments(current => updateNode(current, commentId, node => ({ ...node, likes })))
+      }),
+      viewer_count: forPost(({ count }) => setViewers(count)),
+      user_typing: forPost(({ user: typist, isTyping }) => {
+        if (typist._id === user?._id) return
+        setTypers(current => {
+          const others = Object.fromEntries(Object.entries(current).filter(([id]) => id !== typist._id))
+          return isTyping ? { ...others, [typist._id]: { name: typist.name, at: Date.now() } } : others
+        })
+      })
+    }
+
+    Object.entries(handlers).forEach(([event, handler]) => socket.on(event, handler))
+    socket.on('connect', join)
+    if (socket.connected) join()
+
+    return () => {
+      socket.emit('leave_post', postId)
+      socket.off('connect', join)
+      Object.entries(handlers).forEach(([event, handler]) => socket.off(event, handler))
+      setViewers(0)
+      setTypers({})
+    }
+  }, [socket, postId, user?._id])
+
+  // Forget typists whose notices stopped, e.g. after a dropped connection
+  useEffect(() => {
+    if (Object.keys(typers).length === 0) return
+
+    const timer = setInterval(() => {
+      const cutoff = Date.now() - TYPING_TIMEOUT
+      setTypers(current => Object.fromEntries(
+        Object.entries(current).filter(([, typist]) => typist.at > cutoff)
+      ))
+    }, 1000)
+
+    return () => clearInterval(timer)
+  }, [typers])
+
+  const loadMore = async () => {
+    try {
+      const response = await axios.get(`/api/posts/${postId}/comments`, { params: { after: nextCursor } })
+      setComments(current => appendNew(current, response.data.data.comments))
+      setNextCursor(response.data.nextCursor)
+    } catch (error) {
+      toast.error('Failed to load more comments')
+    }
+  }
+
+  const submit = async (content, parent = null) => {
+    try {
+      const response = await axios.post('/api/comments', {
+        content,
+        postId,
+        ...(parent ? { parentComment: parent._id } : {})
+      })
+      const comment = response.data.data
+      if (comment.status !== 'approved') {
+        toast.success(response.data.message)
+        return null
+      }
+      return comment
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to post comment')
+      throw error
+    }
+  }
+
+  const actions = {
+    reply: async (parent, content) => {
+      const comment = await submit(content, parent)
+      if (!comment) return
+      setComments(current => updateNode(current, parent._id, node => ({
+        ...node,
+        replyCount: node.replyCount + 1,
+        replies: [...node.replies, toNode(comment, node.depth + 1)]
+      })))
+    },
+
+    remove: async (id) => {
+      if (!window.confirm('Delete this comment?')) return
+      try {
+        await axios.delete(`/api/comments/${id}`)
+        setComments(current => updateNode(current, id, node => ({
+          ...node,
+          isDeleted: true,
+          content: '[Comment deleted]',
+          author: null
+        })))
+      } catch (error) {
+        toast.error('Failed to delete comment')
+      }
+    },
+
+    like: async (id) => {
+      try {
+        const response = await axios.post(`/api/comments/${id}/like`)
+        const { likes, liked } = response.data.data
+        setComments(current => updateNode(current, id, node => ({ ...node, likes, liked })))
+      } catch (error) {
+        toast.error('Failed to like comment')
+      }
+    },
+
+    report: async (id, reason) => {
+      try {
+        const response = await axios.post(`/api/comments/${id}/report`, { reason })
+        setComments(current => updateNode(current, id, node => ({ ...node, reported: true })))
+        toast.success(response.data.message)
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to report comment')
+      }
+    },
+
+    // Let other readers know while this user is writing, at most every few seconds
+    typing: (isTyping) => {
+      if (!socket) return
+      const now = Date.now()
+      if (isTyping && now - typingSent.current < TYPING_THROTTLE) return
+
+      typingSent.current = isTyping ? now : 0
+      socket.emit('comment_typing', { postId, isTyping })
+    },
+
+    // Next page of one thread's replies, or the first page of a thread too deep to inline
+    loadReplies: async (parent) => {
+      try {
+        const response = await axios.get(`/api/posts/${postId}/comments`, {
+          params: {
+            parent: parent._id,
+            ...(parent.repliesCursor ? { after: parent.repliesCursor } : {})
+          }
+        })
+        const replies = shiftDepth(response.data.data.comments, parent.depth + 1)
+        setComments(current => updateNode(current, parent._id, node => ({
+          ...node,
+          replies: appendNew(node.replies, replies),
+          replyCount: Math.max(node.replyCount, node.replies.length + replies.length),
+          repliesCursor: response.data.nextCursor
+        })))
+      } catch (error) {
+        toast.error('Failed to load replies')
+      }
+    }
+  }
+
+  const typingNames = Object.values(typers).map(typist => typist.name)
+
+  return (
+    <section className="bg-white rounded-lg shadow-sm p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="flex items-center text-xl font-semibold text-gray-900">
+          <ChatBubbleLeftRightIcon className="w-6 h-6 mr-2 text-blue-600" />
+          Comments {total > 0 && <span className="ml-2 text-gray-500 font-normal">({total})</span>}
+        </h2>
+        {viewers > 1 && (
+          <span className="flex items-center text-sm text-gray-500">
+            <EyeIcon className="w-4 h-4 mr-1" />
+            {viewers} reading now
+          </span>
+        )}
+      </div>
+
+      {!allowComments ? (
+        <p className="text-sm text-gray-500 mb-4">Comments are closed for this post.</p>
+      ) : isAuthenticated ? (
+        <CommentForm
+          placeholder="Share your thoughts..."
+          onTyping={actions.typing}
+          onSubmit={async (content) => {
+            const comment = await submit(content)
+            if (!comment) return
+            setComments(current => [...current, toNode(comment, 0)])
+            setTotal(current => current + 1)
+          }}
+        />
+      ) : (
+        <p className="text-sm text-gray-600 mb-4">
+          <Link to="/login" className="text-blue-600 hover:text-blue-700 font-medium">Log in</Link> to join the discussion.
+        </p>
+      )}
+
+      {typingNames.length > 0 && (
+        <p className="text-sm text-gray-500 italic mt-2">
+          {typingNames.length === 1
+            ? `${typingNames[0]} is typing...`
+            : `${typingNames.slice(0, 2).join(' and ')}${typingNames.length > 2 ? ' and others' : ''} are typing...`}
+        </p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : comments.length === 0 ? (
+        <p className="text-gray-500 text-sm pt-4">No comments yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-50">
+          {comments.map(comment => (
+            <CommentNode
+              key={comment._id}
+              comment={comment}
+              actions={actions}
+              canReply={isAuthenticated && allowComments}
+            />
+          ))}
+        </ul>
+      )}
+
+      {nextCursor && (
+        <div className="text-center mt-4">
+          <button type="button" onClick={loadMore} className="text-sm text-blue-600 hover:text-blue-700 font-medium">
+            Load more comments
+          </button>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default CommentSection
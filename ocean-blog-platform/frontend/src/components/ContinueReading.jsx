@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import axios from 'axios'
+import { BookOpenIcon, XMarkIcon } from '@heroicons/react/24/outline'
+
+// Posts the signed-in reader started but has not finished, most recent first
+const ContinueReading = ({ limit = 6 }) => {
+  const [entries, setEntries] = useState([])
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await axios.get('/api/users/me/history', {
+          params: { status: 'in-progress', limit }
+        })
+        setEntries(response.data.data.filter(entry => entry.post))
+      } catch (error) {
+        console.error('Failed to fetch reading history:', error)
+      }
+    }
+
+    fetchHistory()
+  }, [limit])
+
+  const handleRemove = async (postId, e) => {
+    e.preventDefault()
+    try {
+      await axios.delete(`/api/users/me/history/${postId}`)
+      setEntries(current => current.filter(entry => entry.post._id !== postId))
+    } catch (error) {
+      console.error('Failed to remove from reading history:', error)
+    }
+  }
+
+  if (entries.length === 0) {
+    return null
+  }
+
+  return (
+    <section className="pt-12">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <h2 className="flex items-center text-2xl font-bold text-gray-900 mb-6">
+          <BookOpenIcon className="w-6 h-6 mr-2 text-blue-600" />
+          Continue reading
+        </h2>
+
+        <div className="flex space-x-4 overflow-x-auto pb-2">
+          {entries.map(({ _id, post, percent, anchor }) => {
+            const minutesLeft = post.readingTime
+              ? Math.max(Math.ceil(post.readingTime * (1 - percent / 100)), 1)
+              : null
+
+            return (
+              <Link
+                key={_id}
+                to={`/post/${post.slug}${anchor ? `#${encodeURIComponent(anchor)}` : ''}`}
+                className="group relative flex-shrink-0 w-64 card card-hover"
+              >
+                <button
+                  type="button"
+                  onClick={(e) => handleRemove(post._id, e)}
+                  className="absolute top-2 right-2 p-1 rounded-full bg-white/80 text-gray-500 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity"
+                  aria-label={`Remove ${post.title} from reading history`}
+                >
+                  <XMarkIcon className="w-4 h-4" />
+                </button>
+                {post.featuredImage && (
+                  <img src={post.featuredImage} alt={post.title} className="w-full h-28 object-cover" />
+                )}
+                <div className="p-4">
+                  <h3 className="font-semibold text-gray-900 line-clamp-2 mb-2">{post.title}</h3>
+                  <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                    <div className="h-full bg-blue-600" style={{ width: `${percent}%` }} />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {Math.round(percent)}% read{minutesLeft && ` · ${minutesLeft} min left`}
+                  </p>
+                </div>
+              </Link>
+            )
+          })}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default ContinueReading
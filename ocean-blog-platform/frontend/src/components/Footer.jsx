@@ -96,6 +96,9 @@ const Footer = () => {
             <Link to="/contact" className="text-gray-400 hover:text-white text-sm transition-colors">
               Contact
             </Link>
+            <a href="/feeds/rss.xml" className="text-gray-400 hover:text-white text-sm transition-colors">
+              RSS
+            </a>
           </div>
         </div>
       </div>
@@ -8,6 +8,7 @@ import {
   PlusIcon,
   ArrowRightOnRectangleIcon
 } from '@heroicons/react/24/outline'
+import SearchSuggest from './SearchSuggest'
 
 const Header = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false)
@@ -49,6 +50,9 @@ const Header = () => {
             </Link>
           </nav>
 
+          {/* Search */}
+          <SearchSuggest className="hidden lg:block w-64" />
+
           {/* Right Side Actions */}
           <div className="flex items-center space-x-4">
             {isAuthenticated ? (
@@ -85,6 +89,28 @@ const Header = () => {
                     >
                       Profile
                     </Link>
+                    <Link
+                      to="/saved"
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      Saved
+                    </Link>
+                    {user?.role === 'admin' && (
+                      <Link
+                        to="/admin/categories"
+                        className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        Manage Categories
+                      </Link>
+                    )}
+                    {['admin', 'moderator'].includes(user?.role) && (
+                      <Link
+                        to="/moderation"
+                        className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        Moderation
+                      </Link>
+                    )}
                     <Link
                       to="/create-post"
                       className="block sm:hidden px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
@@ -136,6 +162,7 @@ const Header = () => {
         {isMenuOpen && (
           <div className="md:hidden border-t border-gray-200 py-4">
             <div className="flex flex-col space-y-2">
+              <SearchSuggest className="px-3" onNavigate={() => setIsMenuOpen(false)} />
               <Link
                 to="/"
                 className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium"
@@ -151,6 +178,16 @@ const Header = () => {
                 Categories
               </Link>
               
+              {isAuthenticated && (
+                <Link
+                  to="/saved"
+                  className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium"
+                  onClick={() => setIsMenuOpen(false)}
+                >
+                  Saved
+                </Link>
+              )}
+
               {isAuthenticated && (
                 <Link
                   to="/create-post"
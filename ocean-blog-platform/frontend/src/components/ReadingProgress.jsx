@@ -0,0 +1,127 @@
+import React, { useEffect, useRef, useState } from 'react'
+import axios from 'axios'
+import { ArrowDownIcon, XMarkIcon } from '@heroicons/react/24/outline'
+
+// How far the bottom of the viewport has moved through the article, 0-100
+const scrollPercent = (element) => {
+  const rect = element.getBoundingClientRect()
+  if (rect.height <= 0) return 0
+  const read = window.innerHeight - rect.top
+  return Math.min(Math.max((read / rect.height) * 100, 0), 100)
+}
+
+// Last table-of-contents heading that has scrolled past the top of the viewport
+const currentAnchor = (toc) => {
+  let anchor = ''
+  toc.forEach(item => {
+    const heading = document.getElementById(item.anchor)
+    if (heading && heading.getBoundingClientRect().top < 100) {
+      anchor = item.anchor
+    }
+  })
+  return anchor
+}
+
+// Thin progress bar for every reader; signed-in readers also get their
+// position synced to the server and an offer to resume where they left off
+const ReadingProgress = ({ post, contentRef, syncEnabled }) => {
+  const [percent, setPercent] = useState(0)
+  const [resume, setResume] = useState(null)
+  const startedRef = useRef(false)
+
+  // Offer to resume unless the reader arrived on a specific heading or finished already
+  useEffect(() => {
+    const saved = post.progress
+    startedRef.current = false
+    if (syncEnabled && saved && !saved.finishedAt && saved.percent > 5 && !window.location.hash) {
+      setResume(saved)
+    } else {
+      setResume(null)
+    }
+  }, [post._id, post.progress, syncEnabled])
+
+  // Links like /post/slug#anchor from "Continue reading" land on the heading
+  useEffect(() => {
+    const anchor = decodeURIComponent(window.location.hash.slice(1))
+    if (!anchor) return
+    const heading = document.getElementById(anchor)
+    if (heading) heading.scrollIntoView({ block: 'start' })
+  }, [post._id])
+
+  useEffect(() => {
+    let timeout
+    const save = (value, anchor) => {
+      clearTimeout(timeout)
+      timeout = setTimeout(() => {
+        axios.put(`/api/posts/${post._id}/progress`, {
+          percent: value,
+          anchor,
+          readAt: new Date().toISOString()
+        }).catch(error => console.error('Failed to save reading progress:', error))
+      }, 1500)
+    }
+
+    const handleScroll = () => {
+      if (!contentRef.current) return
+      const value = scrollPercent(contentRef.current)
+      setPercent(value)
+
+      // Opening the post is not reading it; wait for the first real scroll
+      if (!syncEnabled || (!startedRef.current && window.scrollY === 0)) return
+      startedRef.current = true
+      save(value, currentAnchor(post.toc || []))
+    }
+
+    window.addEventListener('scroll', handleScroll, { passive: true })
+    handleScroll()
+
+    return () => {
+      window.removeEventListener('scroll', handleScroll)
+      clearTimeout(timeout)
+    }
+  }, [post._id, post.toc, contentRef, syncEnabled])
+
+  const handleResume = () => {
+    const heading = resume.anchor && document.getElementById(resume.anchor)
+    if (heading) {
+      heading.scrollIntoView({ behavior: 'smooth', block: 'start' })
+    } else if (contentRef.current) {
+      const rect = contentRef.current.getBoundingClientRect()
+      const top = window.scrollY + rect.top + (rect.height * resume.percent) / 100 - window.innerHeight
+      window.scrollTo({ top: Math.max(top, 0), behavior: 'smooth' })
+    }
+    setResume(null)
+  }
+
+  return (
+    <>
+      <div className="fixed top-0 left-0 right-0 h-1 z-50 bg-transparent">
+        <div className="h-full bg-blue-600 transition-[width] duration-150" style={{ width: `${percent}%` }} />
+      </div>
+
+      {resume && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 flex items-center space-x-3 bg-gray-900 text-white text-sm rounded-full shadow-lg pl-5 pr-2 py-2">
+          <span>You were {Math.round(resume.percent)}% through this post</span>
+          <button
+            type="button"
+            onClick={handleResume}
+            className="flex items-center space-x-1 bg-blue-600 hover:bg-blue-700 px-3 py-1 rounded-full font-medium"
+          >
+            <ArrowDownIcon className="w-4 h-4" />
+            <span>Resume</span>
+          </button>
+          <button
+            type="button"
+            onClick={() => setResume(null)}
+            className="p-1 text-gray-400 hover:text-white"
+            aria-label="Dismiss"
+          >
+            <XMarkIcon className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default ReadingProgress
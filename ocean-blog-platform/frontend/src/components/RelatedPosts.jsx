@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import axios from 'axios'
+import { formatDistanceToNow } from 'date-fns'
+import { SparklesIcon } from '@heroicons/react/24/outline'
+
+const RelatedPosts = ({ postId, limit = 3 }) => {
+  const [posts, setPosts] = useState([])
+
+  useEffect(() => {
+    if (!postId) return
+
+    let cancelled = false
+    axios.get(`/api/posts/${postId}/related?limit=${limit}`)
+      .then(response => {
+        if (!cancelled) setPosts(response.data.data.posts)
+      })
+      .catch(() => {
+        if (!cancelled) setPosts([])
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [postId, limit])
+
+  if (posts.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
+      <h3 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+        <SparklesIcon className="w-5 h-5 mr-2 text-blue-600" />
+        Related posts
+      </h3>
+      <div className="grid gap-4 sm:grid-cols-3">
+        {posts.map(post => (
+          <Link
+            key={post._id}
+            to={`/post/${post.slug}`}
+            className="group block rounded-lg border border-gray-100 overflow-hidden hover:shadow-md transition-shadow"
+          >
+            {post.featuredImage && (
+              <img
+                src={post.featuredImage}
+                alt={post.title}
+                className="w-full h-28 object-cover"
+              />
+            )}
+            <div className="p-3">
+              {post.category && (
+                <span className="text-xs font-medium" style={{ color: post.category.color }}>
+                  {post.category.name}
+                </span>
+              )}
+              <h4 className="text-sm font-semibold text-gray-900 group-hover:text-blue-600 line-clamp-2">
+                {post.title}
+              </h4>
+              {post.publishedAt && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {formatDistanceToNow(new Date(post.publishedAt), { addSuffix: true })}
+                </p>
+              )}
+            </div>
+          </Link>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default RelatedPosts
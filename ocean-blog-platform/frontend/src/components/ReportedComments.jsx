@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { formatDistanceToNow } from 'date-fns'
+import { FlagIcon } from '@heroicons/react/24/outline'
+import { useSocket } from '../contexts/SocketContext'
+
+const REASON_LABELS = {
+  spam: 'Spam',
+  harassment: 'Harassment',
+  inappropriate: 'Inappropriate',
+  'off-topic': 'Off-topic',
+  other: 'Other'
+}
+
+// Reports grouped by comment, for the moderation page
+const ReportedComments = ({ onChange }) => {
+  const socket = useSocket()
+  const [state, setState] = useState('open')
+  const [comments, setComments] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(null)
+
+  const fetchReports = async (after) => {
+    try {
+      const response = await axios.get('/api/moderation/reports', { params: { state, after } })
+      setComments(current => after ? [...current, ...response.data.data] : response.data.data)
+      setNextCursor(response.data.nextCursor)
+    } catch (error) {
+      toast.error('Failed to load reports')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    setLoading(true)
+    fetchReports()
+  }, [state])
+
+  // New reports and other moderators' decisions reorder the list, so reload it
+  useEffect(() => {
+    if (!socket) return
+
+    const reload = () => fetchReports()
+    socket.on('moderation_comment_reported', reload)
+    socket.on('moderation_reports_updated', reload)
+
+    return () => {
+      socket.off('moderation_comment_reported', reload)
+      socket.off('moderation_reports_updated', reload)
+    }
+  }, [socket, state])
+
+  const handle = async (comment, decision, action) => {
+    if (action === 'delete' && !window.confirm('Delete this comment?')) return
+
+    setWorking(comment._id)
+    try {
+      const response = await axios.post(
+        `/api/moderation/reports/${comment._id}/${decision}`,
+        decision === 'resolve' ? { action } : {}
+      )
+      setComments(current => current.filter(item => item._id !== comment._id))
+      toast.success(response.data.message)
+      onChange?.()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update reports')
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex space-x-4 mb-4 text-sm">
+        {[['open', 'Open'], ['handled', 'Handled']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setState(value)}
+            className={state === value ? 'font-semibold text-blue-600' : 'text-gray-600 hover:text-gray-900'}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : comments.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-8 text-center text-gray-600">
+          {state === 'open' ? 'No open reports.' : 'No handled reports yet.'}
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {comments.map(comment => (
+            <li key={comment._id} className="bg-white rounded-lg shadow-sm p-4">
+              <div className="flex flex-wrap items-center gap-x-2 text-sm text-gray-500">
+                <FlagIcon className="w-4 h-4 text-orange-500" />
+                <span className="font-semibold text-orange-700">
+                  {comment.reportSummary.total} report{comment.reportSummary.total === 1 ? '' : 's'}
+                </span>
+                <span>·</span>
+                <span className="font-medium text-gray-900">{comment.author?.name}</span>
+                {comment.post && (
+                  <>
+                    <span>on</span>
+                    <Link to={`/post/${comment.post.slug}`} className="text-blue-600 hover:text-blue-700 truncate">
+                      {comment.post.title}
+                    </Link>
+                  </>
+                )}
+                {comment.status !== 'approved' && (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700 capitalize">
+                    {comment.isDeleted ? 'deleted' : comment.status === 'pending' ? 'hidden' : comment.status}
+                  </span>
+                )}
+              </div>
+
+              <p className="mt-2 text-gray-800 whitespace-pre-line break-words">{comment.content}</p>
+
+              <div className="flex flex-wrap gap-2 mt-3">
+                {Object.entries(comment.reportSummary.reasons).map(([reason, count]) => (
+                  <span key={reason} className="px-2 py-0.5 rounded-full text-xs bg-orange-100 text-orange-800">
+                    {REASON_LABELS[reason] || reason} × {count}
+                  </span>
+                ))}
+              </div>
+
+              <ul className="mt-3 space-y-1 text-xs text-gray-600">
+                {comment.reports.map(report => (
+                  <li key={report._id}>
+                    <span className="font-medium">{report.reportedBy?.name || 'A reader'}</span>
+                    {' '}({REASON_LABELS[report.reason] || report.reason}, {formatDistanceToNow(new Date(report.reportedAt), { addSuffix: true })})
+                    {report.description && <span>: {report.description}</span>}
+                    {report.handledBy && (
+                      <span className="text-gray-500">
+                        {' '}· {report.status} by {report.handledBy.name}
+                        {report.handledAt && ` ${formatDistanceToNow(new Date(report.handledAt), { addSuffix: true })}`}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              {state === 'open' && (
+                <div className="flex items-center justify-end space-x-2 mt-4">
+                  <button
+                    type="button"
+                    disabled={working === comment._id}
+                    onClick={() => handle(comment, 'dismiss')}
+                    className="px-3 py-1.5 rounded-md text-sm bg-gray-50 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+                  >
+                    Dismiss
+                  </button>
+                  <button
+                    type="button"
+                    disabled={working === comment._id}
+                    onClick={() => handle(comment, 'resolve', 'reject')}
+                    className="px-3 py-1.5 rounded-md text-sm bg-yellow-50 text-yellow-700 hover:bg-yellow-100 disabled:opacity-50"
+                  >
+                    Reject comment
+                  </button>
+                  <button
+                    type="button"
+                    disabled={working === comment._id}
+                    onClick={() => handle(comment, 'resolve', 'delete')}
+                    className="px-3 py-1.5 rounded-md text-sm bg-red-50 text-red-700 hover:bg-red-100 disabled:opacity-50"
+                  >
+                    Delete comment
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {nextCursor && (
+        <div className="text-center mt-6">
+          <button
+            type="button"
+            onClick={() => fetchReports(nextCursor)}
+            className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+          >
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReportedComments
@@ -0,0 +1,157 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import {
+  MagnifyingGlassIcon,
+  DocumentTextIcon,
+  HashtagIcon,
+  FolderIcon,
+  UserIcon
+} from '@heroicons/react/24/outline'
+
+const SUGGEST_DELAY = 200
+
+const SearchSuggest = ({ className = '', onNavigate }) => {
+  const [query, setQuery] = useState('')
+  const [result, setResult] = useState(null)
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const containerRef = useRef(null)
+  const latestRequest = useRef(0)
+  const navigate = useNavigate()
+
+  // Wait for a pause in typing before asking the server
+  useEffect(() => {
+    const value = query.trim()
+    if (value.length < 2) {
+      latestRequest.current++
+      setResult(null)
+      return
+    }
+
+    const timeout = setTimeout(async () => {
+      const requestId = ++latestRequest.current
+      try {
+        const response = await axios.get('/api/search/suggest', { params: { q: value } })
+        // Ignore answers to queries the user has already typed past
+        if (requestId === latestRequest.current) {
+          setResult(response.data.data)
+        }
+      } catch (error) {
+        if (requestId === latestRequest.current) {
+          setResult(null)
+        }
+      }
+    }, SUGGEST_DELAY)
+
+    return () => clearTimeout(timeout)
+  }, [query])
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [])
+
+  const items = useMemo(() => {
+    if (!result) return []
+    const { posts, tags, categories, authors } = result.suggestions
+    return [
+      ...result.corrections.map(text => ({ key: `fix-${text}`, icon: MagnifyingGlassIcon, label: `Did you mean "${text}"?`, to: `/?search=${encodeURIComponent(text)}` })),
+      ...posts.map(post => ({ key: `post-${post._id}`, icon: DocumentTextIcon, label: post.title, to: `/post/${post.slug}` })),
+      ...tags.map(tag => ({ key: `tag-${tag.tag}`, icon: HashtagIcon, label: tag.tag, hint: `${tag.count} posts`, to: `/tag/${encodeURIComponent(tag.tag)}` })),
+      ...categories.map(category => ({ key: `category-${category._id}`, icon: FolderIcon, label: category.name, hint: 'Category', to: `/?category=${category.slug}` })),
+      ...authors.map(author => ({ key: `author-${author._id}`, icon: UserIcon, label: author.name, hint: 'Author', to: `/?author=${author._id}` }))
+    ]
+  }, [result])
+
+  const handleChange = (e) => {
+    setQuery(e.target.value)
+    setActiveIndex(-1)
+    setOpen(true)
+  }
+
+  const go = (to) => {
+    setOpen(false)
+    setQuery('')
+    setResult(null)
+    navigate(to)
+    if (onNavigate) onNavigate()
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(index => Math.min(index + 1, items.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(index => Math.max(index - 1, -1))
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (activeIndex > -1 && items[activeIndex]) {
+      go(items[activeIndex].to)
+    } else if (query.trim()) {
+      go(`/?search=${encodeURIComponent(query.trim())}`)
+    }
+  }
+
+  return (
+    <div ref={containerRef} className={`relative ${className}`}>
+      <form onSubmit={handleSubmit} role="search">
+        <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          type="search"
+          value={query}
+          onChange={handleChange}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search posts..."
+          aria-label="Search posts"
+          aria-autocomplete="list"
+          aria-expanded={open && items.length > 0}
+          className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </form>
+
+      {open && items.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute left-0 right-0 mt-1 bg-white rounded-md shadow-lg py-1 z-50 max-h-96 overflow-y-auto"
+        >
+          {items.map((item, index) => {
+            const Icon = item.icon
+            return (
+              <li key={item.key} role="option" aria-selected={index === activeIndex}>
+                <button
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => go(item.to)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`flex items-center w-full text-left px-3 py-2 text-sm ${
+                    index === activeIndex ? 'bg-gray-100 text-blue-600' : 'text-gray-700'
+                  }`}
+                >
+                  <Icon className="w-4 h-4 mr-2 flex-shrink-0 text-gray-400" />
+                  <span className="truncate">{item.label}</span>
+                  {item.hint && <span className="ml-auto pl-2 text-xs text-gray-400">{item.hint}</span>}
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SearchSuggest
@@ -0,0 +1,99 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  RectangleStackIcon
+} from '@heroicons/react/24/outline'
+
+const SeriesNavigator = ({ series, currentPostId }) => {
+  const [expanded, setExpanded] = useState(false)
+
+  if (!series || series.total === 0) {
+    return null
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <RectangleStackIcon className="w-6 h-6 text-blue-600" />
+          <div>
+            <p className="text-sm text-gray-500">
+              {series.position ? `Part ${series.position} of ${series.total}` : `${series.total} parts`} in the series
+            </p>
+            <h3 className="font-semibold text-gray-900">{series.title}</h3>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+        >
+          <span>{expanded ? 'Hide parts' : 'All parts'}</span>
+          {expanded ? <ChevronUpIcon className="w-4 h-4" /> : <ChevronDownIcon className="w-4 h-4" />}
+        </button>
+      </div>
+
+      {expanded && (
+        <ol className="mt-4 space-y-1 border-t border-gray-100 pt-4">
+          {series.parts.map((part, index) => (
+            <li key={part._id}>
+              {part._id === currentPostId ? (
+                <span className="flex items-center text-sm font-medium text-blue-600">
+                  <span className="w-6 text-gray-400">{index + 1}.</span>
+                  {part.title}
+                </span>
+              ) : (
+                <Link
+                  to={`/post/${part.slug}`}
+                  className="flex items-center text-sm text-gray-700 hover:text-blue-600"
+                >
+                  <span className="w-6 text-gray-400">{index + 1}.</span>
+                  {part.title}
+                </Link>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {(series.previous || series.next) && (
+        <div className="mt-4 pt-4 border-t border-gray-100 grid grid-cols-2 gap-4">
+          <div>
+            {series.previous && (
+              <Link
+                to={`/post/${series.previous.slug}`}
+                className="group flex items-start space-x-2 text-gray-700 hover:text-blue-600"
+              >
+                <ChevronLeftIcon className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                <span>
+                  <span className="block text-xs text-gray-500">Previous</span>
+                  <span className="text-sm font-medium line-clamp-2">{series.previous.title}</span>
+                </span>
+              </Link>
+            )}
+          </div>
+          <div className="text-right">
+            {series.next && (
+              <Link
+                to={`/post/${series.next.slug}`}
+                className="group inline-flex items-start space-x-2 text-gray-700 hover:text-blue-600"
+              >
+                <span>
+                  <span className="block text-xs text-gray-500">Next</span>
+                  <span className="text-sm font-medium line-clamp-2">{series.next.title}</span>
+                </span>
+                <ChevronRightIcon className="w-5 h-5 mt-0.5 flex-shrink-0" />
+              </Link>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SeriesNavigator
@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react'
+import { ListBulletIcon } from '@heroicons/react/24/outline'
+
+const indent = {
+  2: 'pl-0',
+  3: 'pl-4',
+  4: 'pl-8'
+}
+
+const TableOfContents = ({ toc = [] }) => {
+  const [activeId, setActiveId] = useState(toc[0]?.anchor || '')
+
+  // Scroll spy: highlight the heading closest to the top of the viewport
+  useEffect(() => {
+    const headings = toc
+      .map(item => document.getElementById(item.anchor))
+      .filter(Boolean)
+
+    if (headings.length === 0) return
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        const visible = entries
+          .filter(entry => entry.isIntersecting)
+          .sort((a, b) => a.boundingClientRect.top - b.boundingClientRect.top)
+
+        if (visible.length > 0) {
+          setActiveId(visible[0].target.id)
+        }
+      },
+      { rootMargin: '-80px 0px -70% 0px' }
+    )
+
+    headings.forEach(heading => observer.observe(heading))
+    return () => observer.disconnect()
+  }, [toc])
+
+  const handleClick = (e, anchor) => {
+    e.preventDefault()
+    const heading = document.getElementById(anchor)
+    if (heading) {
+      heading.scrollIntoView({ behavior: 'smooth', block: 'start' })
+      window.history.replaceState(null, '', `#${anchor}`)
+      setActiveId(anchor)
+    }
+  }
+
+  if (toc.length === 0) {
+    return null
+  }
+
+  return (
+    <nav className="sticky top-6 bg-white rounded-lg shadow-sm p-5 max-h-[calc(100vh-3rem)] overflow-y-auto">
+      <h2 className="flex items-center text-sm font-semibold text-gray-900 uppercase tracking-wide mb-3">
+        <ListBulletIcon className="w-4 h-4 mr-2" />
+        On this page
+      </h2>
+      <ul className="space-y-2 text-sm">
+        {toc.map(item => (
+          <li key={item.anchor} className={indent[item.level] || 'pl-0'}>
+            <a
+              href={`#${item.anchor}`}
+              onClick={(e) => handleClick(e, item.anchor)}
+              className={`block border-l-2 pl-3 transition-colors ${
+                activeId === item.anchor
+                  ? 'border-blue-600 text-blue-600 font-medium'
+                  : 'border-transparent text-gray-600 hover:text-blue-600'
+              }`}
+            >
+              {item.text}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  )
+}
+
+export default TableOfContents
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react'
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react'
 import axios from 'axios'
 
 const BlogContext = createContext()
@@ -16,6 +16,7 @@ export const BlogProvider = ({ children }) => {
   const [categories, setCategories] = useState([])
   const [loading, setLoading] = useState(false)
   const [currentPost, setCurrentPost] = useState(null)
+  const [currentSeries, setCurrentSeries] = useState(null)
 
   // Fetch all posts
   const fetchPosts = async (filters = {}) => {
@@ -23,12 +24,13 @@ export const BlogProvider = ({ children }) => {
     try {
       const params = new URLSearchParams()
       if (filters.category) params.append('category', filters.category)
+      if (filters.tag) params.append('tag', filters.tag)
       if (filters.search) params.append('search', filters.search)
       if (filters.page) params.append('page', filters.page)
       if (filters.limit) params.append('limit', filters.limit)
 
       const response = await axios.get(`/api/posts?${params}`)
-      setPosts(response.data.data)
+      setPosts(response.data.data.posts)
       return response.data
     } catch (error) {
       console.error('Failed to fetch posts:', error)
@@ -38,24 +40,30 @@ export const BlogProvider = ({ children }) => {
     }
   }
 
-  // Fetch single post
-  const fetchPost = async (slug) => {
+  // Fetch single post; old slugs resolve to { redirect: newSlug }
+  const fetchPost = useCallback(async (slug) => {
     try {
       const response = await axios.get(`/api/posts/slug/${slug}`)
-      setCurrentPost(response.data.data)
-      return response.data.data
+      if (response.data.status === 'redirect') {
+        return { redirect: response.data.data.slug }
+      }
+      const { post, isBookmarked, progress } = response.data.data
+      setCurrentPost({ ...post, isBookmarked, progress })
+      setCurrentSeries(response.data.data.series || null)
+      return response.data.data.post
     } catch (error) {
       console.error('Failed to fetch post:', error)
       throw error
     }
-  }
+  }, [])
 
   // Create new post
   const createPost = async (postData) => {
     try {
       const response = await axios.post('/api/posts', postData)
-      setPosts(prev => [response.data.data, ...prev])
-      return response.data.data
+      const { post } = response.data.data
+      setPosts(prev => [post, ...prev])
+      return post
     } catch (error) {
       console.error('Failed to create post:', error)
       throw error
@@ -93,6 +101,17 @@ export const BlogProvider = ({ children }) => {
     }
   }
 
+  // Submit a draft for editorial review
+  const submitForReview = async (id, note = '') => {
+    try {
+      const response = await axios.post(`/api/posts/${id}/submit`, { note })
+      return response.data.data.post
+    } catch (error) {
+      console.error('Failed to submit post for review:', error)
+      throw error
+    }
+  }
+
   // Fetch categories
   const fetchCategories = async () => {
     try {
@@ -126,18 +145,41 @@ export const BlogProvider = ({ children }) => {
     }
   }
 
+  // Save or unsave a post for later
+  const toggleBookmark = async (postId, bookmarked) => {
+    try {
+      const response = bookmarked
+        ? await axios.delete(`/api/posts/${postId}/bookmark`)
+        : await axios.post(`/api/posts/${postId}/bookmark`)
+      const { isBookmarked } = response.data.data
+
+      setPosts(prev => prev.map(post =>
+        post._id === postId ? { ...post, isBookmarked } : post
+      ))
+      setCurrentPost(prev => (prev && prev._id === postId ? { ...prev, isBookmarked } : prev))
+
+      return isBookmarked
+    } catch (error) {
+      console.error('Failed to toggle bookmark:', error)
+      throw error
+    }
+  }
+
   const value = {
     posts,
     categories,
     currentPost,
+    currentSeries,
     loading,
     fetchPosts,
     fetchPost,
     createPost,
     updatePost,
     deletePost,
+    submitForReview,
     fetchCategories,
     toggleLike,
+    toggleBookmark,
     setCurrentPost
   }
 
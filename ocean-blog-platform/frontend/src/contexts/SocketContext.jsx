@@ -0,0 +1,46 @@
+import React, { createContext, useContext, useState, useEffect } from 'react'
+import { io } from 'socket.io-client'
+import toast from 'react-hot-toast'
+import { useAuth } from './AuthContext'
+
+const SocketContext = createContext()
+
+export const useSocket = () => {
+  const context = useContext(SocketContext)
+  if (context === undefined) {
+    throw new Error('useSocket must be used within a SocketProvider')
+  }
+  return context
+}
+
+// One Socket.io connection per signed-in session; null while signed out
+export const SocketProvider = ({ children }) => {
+  const { user, isAuthenticated } = useAuth()
+  const [socket, setSocket] = useState(null)
+
+  useEffect(() => {
+    const token = localStorage.getItem('token')
+    if (!isAuthenticated || !token) return
+
+    const connection = io({ auth: { token } })
+    setSocket(connection)
+
+    // Outcome of a comment this user reported
+    connection.on('comment_report_closed', ({ post, outcome }) => {
+      toast(outcome === 'resolved'
+        ? `A comment you reported on "${post.title}" was removed`
+        : `A moderator reviewed the comment you reported on "${post.title}" and left it up`)
+    })
+
+    return () => {
+      connection.disconnect()
+      setSocket(null)
+    }
+  }, [isAuthenticated, user?._id])
+
+  return (
+    <SocketContext.Provider value={socket}>
+      {children}
+    </SocketContext.Provider>
+  )
+}
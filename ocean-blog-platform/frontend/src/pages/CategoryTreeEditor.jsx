@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import {
+  ArrowUpIcon,
+  ArrowDownIcon,
+  Bars2Icon,
+  FolderIcon
+} from '@heroicons/react/24/outline'
+import { useAuth } from '../contexts/AuthContext'
+
+// Where a dragged category lands relative to the row it is dropped on
+const dropZone = (e) => {
+  const rect = e.currentTarget.getBoundingClientRect()
+  const offset = (e.clientY - rect.top) / rect.height
+  if (offset < 0.25) return 'before'
+  if (offset > 0.75) return 'after'
+  return 'inside'
+}
+
+const containsId = (node, id) =>
+  node._id === id || node.children.some(child => containsId(child, id))
+
+const findNode = (nodes, id) => {
+  for (const node of nodes) {
+    if (node._id === id) return node
+    const found = findNode(node.children, id)
+    if (found) return found
+  }
+  return null
+}
+
+const CategoryTreeEditor = () => {
+  const { user, loading: authLoading } = useAuth()
+  const [tree, setTree] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [draggedId, setDraggedId] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null)
+
+  const isAdmin = user?.role === 'admin'
+
+  useEffect(() => {
+    if (!isAdmin) return
+
+    const fetchTree = async () => {
+      try {
+        const response = await axios.get('/api/categories/tree', { params: { includeInactive: true } })
+        setTree(response.data.data.tree)
+      } catch (error) {
+        toast.error('Failed to load categories')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchTree()
+  }, [isAdmin])
+
+  const save = async (request) => {
+    setSaving(true)
+    try {
+      const response = await request()
+      setTree(response.data.data.tree)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save category order')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const moveCategory = (id, parent, sortOrder) =>
+    save(() => axios.patch(`/api/categories/${id}/move`, { parent, sortOrder }))
+
+  // Swap a category with its neighbour using the bulk reorder endpoint
+  const shift = (siblings, parentId, index, delta) => {
+    const order = siblings.map(sibling => sibling._id)
+    const target = index + delta
+    if (target < 0 || target >= order.length) return
+    ;[order[index], order[target]] = [order[target], order[index]]
+    save(() => axios.patch('/api/categories/reorder', { parent: parentId, order }))
+  }
+
+  const handleDragOver = (e, node) => {
+    const dragged = draggedId && findNode(tree, draggedId)
+    // A category cannot be dropped onto itself or into its own subtree
+    if (!dragged || containsId(dragged, node._id)) return
+    e.preventDefault()
+    const zone = dropZone(e)
+    if (dropTarget?.id !== node._id || dropTarget?.zone !== zone) {
+      setDropTarget({ id: node._id, zone })
+    }
+  }
+
+  const handleDrop = (e, node, parentId, index) => {
+    e.preventDefault()
+    const zone = dropZone(e)
+    const id = draggedId
+    setDraggedId(null)
+    setDropTarget(null)
+    if (!id || id === node._id) return
+
+    if (zone === 'inside') {
+      moveCategory(id, node._id, node.children.filter(child => child._id !== id).length)
+      return
+    }
+
+    // Positions are counted without the dragged category among the new siblings
+    const siblings = parentId ? findNode(tree, parentId).children : tree
+    const currentIndex = siblings.findIndex(sibling => sibling._id === id)
+    let position = zone === 'before' ? index : index + 1
+    if (currentIndex !== -1 && currentIndex < position) position -= 1
+    moveCategory(id, parentId, position)
+  }
+
+  const renderNodes = (nodes, parentId) => (
+    <ul className={parentId ? 'ml-6 border-l border-gray-200 pl-3' : ''}>
+      {nodes.map((node, index) => {
+        const zone = dropTarget?.id === node._id ? dropTarget.zone : null
+        return (
+          <li key={node._id}>
+            <div
+              draggable={!saving}
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move'
+                setDraggedId(node._id)
+              }}
+              onDragEnd={() => {
+                setDraggedId(null)
+                setDropTarget(null)
+              }}
+              onDragOver={(e) => handleDragOver(e, node)}
+              onDragLeave={() => setDropTarget(null)}
+              onDrop={(e) => handleDrop(e, node, parentId, index)}
+              className={`flex items-center justify-between my-1 px-3 py-2 rounded-md border bg-white cursor-move ${
+                zone === 'inside' ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+              } ${zone === 'before' ? 'border-t-4 border-t-blue-500' : ''} ${
+                zone === 'after' ? 'border-b-4 border-b-blue-500' : ''
+              } ${draggedId === node._id ? 'opacity-50' : ''}`}
+            >
+              <div className="flex items-center space-x-2">
+                <Bars2Icon className="w-4 h-4 text-gray-400" />
+                <FolderIcon className="w-5 h-5" style={{ color: node.color }} />
+                <span className={`font-medium ${node.isActive ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                  {node.name}
+                </span>
+                <span className="text-xs text-gray-500">{node.postCount} posts</span>
+              </div>
+              <div className="flex items-center space-x-1">
+                <button
+                  type="button"
+                  onClick={() => shift(nodes, parentId, index, -1)}
+                  disabled={saving || index === 0}
+                  className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                  aria-label={`Move ${node.name} up`}
+                >
+                  <ArrowUpIcon className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => shift(nodes, parentId, index, 1)}
+                  disabled={saving || index === nodes.length - 1}
+                  className="p-1 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                  aria-label={`Move ${node.name} down`}
+                >
+                  <ArrowDownIcon className="w-4 h-4" />
+                </button>
+                {parentId && (
+                  <button
+                    type="button"
+                    onClick={() => moveCategory(node._id, null)}
+                    disabled={saving}
+                    className="px-2 py-1 text-xs text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                  >
+                    Make top level
+                  </button>
+                )}
+              </div>
+            </div>
+            {node.children.length > 0 && renderNodes(node.children, node._id)}
+          </li>
+        )
+      })}
+    </ul>
+  )
+
+  if (authLoading || (isAdmin && loading)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Admins only</h2>
+          <p className="text-gray-600 mb-4">You need to be an administrator to organise categories.</p>
+          <Link to="/" className="text-blue-600 hover:text-blue-700 font-medium">
+            Back to Home
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">Categories</h1>
+          <p className="text-gray-600 mt-2">
+            Drag a category onto another to nest it, or onto the top or bottom edge of a row to place it before or after.
+          </p>
+        </div>
+
+        <div className={`bg-white rounded-lg shadow-sm p-6 ${saving ? 'opacity-75' : ''}`}>
+          {tree.length === 0 ? (
+            <p className="text-gray-600">No categories yet.</p>
+          ) : (
+            renderNodes(tree, null)
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CategoryTreeEditor
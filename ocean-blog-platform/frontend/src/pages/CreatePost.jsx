@@ -10,26 +10,40 @@ import {
 import ReactQuill from 'react-quill'
 import 'react-quill/dist/quill.snow.css'
 import toast from 'react-hot-toast'
+import axios from 'axios'
 
 const CreatePost = () => {
   const navigate = useNavigate()
   const { isAuthenticated, user } = useAuth()
-  const { createPost, categories, fetchCategories } = useBlog()
+  const { createPost, submitForReview, categories, fetchCategories } = useBlog()
   
   const [formData, setFormData] = useState({
     title: '',
     slug: '',
     excerpt: '',
     content: '',
+    contentFormat: 'html',
+    contentSource: '',
     category: '',
     status: 'draft',
-    featuredImage: ''
+    publishAt: '',
+    featuredImage: '',
+    allowComments: true,
+    // null follows the site-wide moderation default
+    commentModeration: {
+      holdAll: false,
+      holdNewAccounts: null,
+      holdUnverified: null,
+      holdLinks: null
+    }
   })
   
   const [loading, setLoading] = useState(false)
   const [uploading, setUploading] = useState(false)
   const [featuredImageFile, setFeaturedImageFile] = useState(null)
   const [previewUrl, setPreviewUrl] = useState('')
+  const [showPreview, setShowPreview] = useState(true)
+  const [previewHtml, setPreviewHtml] = useState('')
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -40,6 +54,38 @@ const CreatePost = () => {
     fetchCategories()
   }, [isAuthenticated, navigate, fetchCategories])
 
+  // Live preview rendered by the server, so it matches what gets stored
+  useEffect(() => {
+    if (!showPreview) return
+
+    const source = formData.contentFormat === 'markdown' ? formData.contentSource : formData.content
+    if (!source.trim()) {
+      setPreviewHtml('')
+      return
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await axios.post('/api/posts/preview', {
+          content: source,
+          contentFormat: formData.contentFormat
+        })
+        setPreviewHtml(response.data.data.html)
+      } catch (error) {
+        console.error('Failed to render preview:', error)
+      }
+    }, 400)
+
+    return () => clearTimeout(timeout)
+  }, [showPreview, formData.contentFormat, formData.content, formData.contentSource])
+
+  const setModerationRule = (rule, value) => {
+    setFormData(prev => ({
+      ...prev,
+      commentModeration: { ...prev.commentModeration, [rule]: value }
+    }))
+  }
+
   const handleInputChange = (e) => {
     const { name, value } = e.target
     setFormData(prev => ({
@@ -122,8 +168,33 @@ const CreatePost = () => {
         featuredImage: imageUrl
       }
 
+      // Markdown posts are rendered into content on the server
+      if (formData.contentFormat === 'markdown') {
+        postData.content = ''
+      } else {
+        delete postData.contentSource
+      }
+
+      // datetime-local has no timezone; send an ISO timestamp instead
+      if (formData.status === 'scheduled') {
+        postData.publishAt = new Date(formData.publishAt).toISOString()
+      } else {
+        delete postData.publishAt
+      }
+
+      // Review submissions are created as drafts, then handed to the editors
+      const submittingForReview = formData.status === 'pending_review'
+      if (submittingForReview) {
+        postData.status = 'draft'
+      }
+
       const newPost = await createPost(postData)
-      toast.success('Post created successfully!')
+      if (submittingForReview) {
+        await submitForReview(newPost._id)
+        toast.success('Post submitted for review!')
+      } else {
+        toast.success('Post created successfully!')
+      }
       navigate(`/post/${newPost.slug}`)
     } catch (error) {
       console.error('Failed to create post:', error)
@@ -137,6 +208,9 @@ const CreatePost = () => {
     return null
   }
 
+  // Contributors submit for review; editors publish directly
+  const canPublish = ['admin', 'moderator'].includes(user?.role)
+
   const quillModules = {
     toolbar: [
       [{ 'header': [1, 2, 3, false] }],
@@ -291,18 +365,73 @@ const CreatePost = () => {
 
             {/* Content */}
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Content *
-              </label>
-              <div className="border border-gray-300 rounded-md">
-                <ReactQuill
-                  theme="snow"
-                  value={formData.content}
-                  onChange={(content) => setFormData(prev => ({ ...prev, content }))}
-                  modules={quillModules}
-                  placeholder="Write your post content here..."
-                  style={{ minHeight: '300px' }}
-                />
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-gray-700">
+                  Content *
+                </label>
+                <div className="flex items-center space-x-4">
+                  <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-sm">
+                    {[
+                      { value: 'html', label: 'Rich Text' },
+                      { value: 'markdown', label: 'Markdown' }
+                    ].map(format => (
+                      <button
+                        key={format.value}
+                        type="button"
+                        onClick={() => setFormData(prev => ({ ...prev, contentFormat: format.value }))}
+                        className={`px-3 py-1 ${
+                          formData.contentFormat === format.value
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-white text-gray-700 hover:bg-gray-50'
+                        }`}
+                      >
+                        {format.label}
+                      </button>
+                    ))}
+                  </div>
+                  <label className="flex items-center space-x-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={showPreview}
+                      onChange={(e) => setShowPreview(e.target.checked)}
+                    />
+                    <span>Preview</span>
+                  </label>
+                </div>
+              </div>
+              <div className={`grid gap-4 ${showPreview ? 'md:grid-cols-2' : ''}`}>
+                <div className="border border-gray-300 rounded-md">
+                  {formData.contentFormat === 'markdown' ? (
+                    <textarea
+                      name="contentSource"
+                      value={formData.contentSource}
+                      onChange={handleInputChange}
+                      className="w-full h-full min-h-[300px] p-3 font-mono text-sm rounded-md focus:outline-none"
+                      placeholder="Write your post in Markdown. Tables, fenced code blocks and footnotes[^1] are supported."
+                    />
+                  ) : (
+                    <ReactQuill
+                      theme="snow"
+                      value={formData.content}
+                      onChange={(content) => setFormData(prev => ({ ...prev, content }))}
+                      modules={quillModules}
+                      placeholder="Write your post content here..."
+                      style={{ minHeight: '300px' }}
+                    />
+                  )}
+                </div>
+                {showPreview && (
+                  <div className="border border-gray-200 rounded-md p-4 bg-gray-50 min-h-[300px] overflow-auto">
+                    {previewHtml ? (
+                      <div
+                        className="blog-content prose max-w-none"
+                        dangerouslySetInnerHTML={{ __html: previewHtml }}
+                      />
+                    ) : (
+                      <p className="text-sm text-gray-400">Preview will appear here</p>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
 
@@ -319,10 +448,85 @@ const CreatePost = () => {
                 className="input-field"
               >
                 <option value="draft">Draft</option>
-                <option value="published">Published</option>
+                {canPublish ? (
+                  <>
+                    <option value="scheduled">Scheduled</option>
+                    <option value="published">Published</option>
+                  </>
+                ) : (
+                  <option value="pending_review">Submit for review</option>
+                )}
               </select>
             </div>
 
+            {/* Publish Date */}
+            {formData.status === 'scheduled' && (
+              <div>
+                <label htmlFor="publishAt" className="block text-sm font-medium text-gray-700 mb-2">
+                  Publish At *
+                </label>
+                <input
+                  type="datetime-local"
+                  id="publishAt"
+                  name="publishAt"
+                  required
+                  value={formData.publishAt}
+                  onChange={handleInputChange}
+                  className="input-field"
+                />
+                <p className="text-sm text-gray-500 mt-1">
+                  The post will be published automatically at this time
+                </p>
+              </div>
+            )}
+
+            {/* Comments */}
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-2">Comments</span>
+              <div className="space-y-3">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.allowComments}
+                    onChange={(e) => setFormData(prev => ({ ...prev, allowComments: e.target.checked }))}
+                  />
+                  <span>Allow comments</span>
+                </label>
+                {formData.allowComments && (
+                  <>
+                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.commentModeration.holdAll}
+                        onChange={(e) => setModerationRule('holdAll', e.target.checked)}
+                      />
+                      <span>Hold every comment for review</span>
+                    </label>
+                    <div className="grid gap-3 sm:grid-cols-3">
+                      {[
+                        ['holdNewAccounts', 'New accounts'],
+                        ['holdUnverified', 'Unverified emails'],
+                        ['holdLinks', 'Comments with links']
+                      ].map(([rule, label]) => (
+                        <label key={rule} className="block text-sm text-gray-600">
+                          <span className="block mb-1">{label}</span>
+                          <select
+                            value={formData.commentModeration[rule] === null ? '' : String(formData.commentModeration[rule])}
+                            onChange={(e) => setModerationRule(rule, e.target.value === '' ? null : e.target.value === 'true')}
+                            className="input-field"
+                          >
+                            <option value="">Site default</option>
+                            <option value="true">Hold for review</option>
+                            <option value="false">Publish immediately</option>
+                          </select>
+                        </label>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+
             {/* Submit Buttons */}
             <div className="flex items-center justify-end space-x-4 pt-6 border-t border-gray-200">
               <button
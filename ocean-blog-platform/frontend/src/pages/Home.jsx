@@ -1,26 +1,37 @@
 import React, { useEffect, useState } from 'react'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 import { useBlog } from '../contexts/BlogContext'
+import { useAuth } from '../contexts/AuthContext'
 import { 
   CalendarIcon, 
   UserIcon, 
   HeartIcon,
   ChatBubbleLeftIcon,
-  MagnifyingGlassIcon
+  MagnifyingGlassIcon,
+  BookmarkIcon
 } from '@heroicons/react/24/outline'
-import { HeartIcon as HeartSolidIcon } from '@heroicons/react/24/solid'
+import { HeartIcon as HeartSolidIcon, BookmarkIcon as BookmarkSolidIcon } from '@heroicons/react/24/solid'
 import { formatDistanceToNow } from 'date-fns'
+import ContinueReading from '../components/ContinueReading'
 
 const Home = () => {
-  const { posts = [], categories = [], fetchPosts, fetchCategories, loading, toggleLike } = useBlog()
-  const [searchTerm, setSearchTerm] = useState('')
+  const { posts = [], categories = [], fetchPosts, fetchCategories, loading, toggleLike, toggleBookmark } = useBlog()
+  const { isAuthenticated } = useAuth()
+  const [searchParams] = useSearchParams()
+  const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '')
   const [selectedCategory, setSelectedCategory] = useState('')
 
   useEffect(() => {
-    fetchPosts()
     fetchCategories()
   }, [])
 
+  // The header search links here with ?search=
+  useEffect(() => {
+    const search = searchParams.get('search') || ''
+    setSearchTerm(search)
+    fetchPosts(search ? { search } : {})
+  }, [searchParams])
+
   const handleSearch = (e) => {
     e.preventDefault()
     fetchPosts({ search: searchTerm, category: selectedCategory })
@@ -35,6 +46,15 @@ const Home = () => {
     }
   }
 
+  const handleBookmark = async (post, e) => {
+    e.preventDefault()
+    try {
+      await toggleBookmark(post._id, post.isBookmarked)
+    } catch (error) {
+      console.error('Failed to toggle bookmark:', error)
+    }
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -91,6 +111,8 @@ const Home = () => {
         </div>
       </section>
 
+      {isAuthenticated && <ContinueReading />}
+
       {/* Featured Posts */}
       <section className="py-16">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -160,7 +182,12 @@ const Home = () => {
                               <UserIcon className="w-5 h-5 text-gray-500" />
                             )}
                           </div>
-                          <span className="text-sm text-gray-700">{post.author?.name}</span>
+                          <span className="text-sm text-gray-700">
+                            {[post.author, ...(post.coAuthors || [])
+                              .filter(coAuthor => coAuthor.status === 'accepted' && coAuthor.user)
+                              .map(coAuthor => coAuthor.user)
+                            ].map(author => author?.name).join(', ')}
+                          </span>
                         </div>
                         
                         <div className="flex items-center space-x-4 text-sm text-gray-500">
@@ -175,6 +202,19 @@ const Home = () => {
                             <ChatBubbleLeftIcon className="w-5 h-5" />
                             <span>{post.comments?.length || 0}</span>
                           </div>
+                          {isAuthenticated && (
+                            <button
+                              onClick={(e) => handleBookmark(post, e)}
+                              className="hover:text-blue-600 transition-colors"
+                              aria-label={post.isBookmarked ? 'Remove from saved' : 'Save for later'}
+                            >
+                              {post.isBookmarked ? (
+                                <BookmarkSolidIcon className="w-5 h-5 text-blue-600" />
+                              ) : (
+                                <BookmarkIcon className="w-5 h-5" />
+                              )}
+                            </button>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -0,0 +1,391 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  CheckIcon,
+  NoSymbolIcon,
+  TrashIcon,
+  ShieldCheckIcon
+} from '@heroicons/react/24/outline'
+import { useAuth } from '../contexts/AuthContext'
+import { useSocket } from '../contexts/SocketContext'
+import ReportedComments from '../components/ReportedComments'
+
+const STATUSES = ['pending', 'rejected', 'approved']
+
+const REASON_LABELS = {
+  post_requires_review: 'Post holds all comments',
+  new_account: 'New account',
+  unverified_email: 'Unverified email',
+  contains_links: 'Contains links',
+  spam_score: 'Spam filter',
+  reported: 'Reported by readers'
+}
+
+// Badge colour for a spam score; thresholds come from /api/moderation/settings
+const scoreClass = (score, filter) => {
+  if (score >= filter.rejectThreshold) return 'bg-red-100 text-red-800'
+  if (score >= filter.pendingThreshold) return 'bg-orange-100 text-orange-800'
+  if (score > 0) return 'bg-yellow-100 text-yellow-800'
+  return 'bg-gray-100 text-gray-600'
+}
+
+const ModerationQueue = () => {
+  const { user, loading: authLoading } = useAuth()
+  const socket = useSocket()
+  const [status, setStatus] = useState('pending')
+  const [order, setOrder] = useState('newest')
+  const [spamFilter, setSpamFilter] = useState({ pendingThreshold: 50, rejectThreshold: 90 })
+  const [comments, setComments] = useState([])
+  const [stats, setStats] = useState({ pending: 0, approved: 0, rejected: 0, reported: 0 })
+  const [nextCursor, setNextCursor] = useState(null)
+  const [selected, setSelected] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+
+  const isModerator = ['admin', 'moderator'].includes(user?.role)
+
+  const fetchStats = async () => {
+    try {
+      const response = await axios.get('/api/moderation/comments/stats')
+      setStats(response.data.data)
+    } catch (error) {
+      console.error('Failed to fetch moderation stats:', error)
+    }
+  }
+
+  useEffect(() => {
+    if (!isModerator) return
+
+    axios.get('/api/moderation/settings')
+      .then(response => setSpamFilter(response.data.data.spamFilter))
+      .catch(error => console.error('Failed to fetch moderation settings:', error))
+  }, [isModerator])
+
+  useEffect(() => {
+    if (!isModerator) return
+    if (status === 'reports') {
+      setLoading(false)
+      fetchStats()
+      return
+    }
+
+    const fetchQueue = async () => {
+      setLoading(true)
+      setSelected([])
+      try {
+        const response = await axios.get('/api/moderation/comments', { params: { status, order } })
+        setComments(response.data.data)
+        setNextCursor(response.data.nextCursor)
+      } catch (error) {
+        toast.error('Failed to load the moderation queue')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchQueue()
+    fetchStats()
+  }, [isModerator, status, order])
+
+  // Live feed: newly held comments and decisions made by other moderators
+  useEffect(() => {
+    if (!socket || !isModerator) return
+
+    const handlePending = ({ comment }) => {
+      setStats(current => ({ ...current, pending: current.pending + 1 }))
+      if (status !== 'pending' || order !== 'newest') return
+      setComments(current => current.some(item => item._id === comment._id) ? current : [comment, ...current])
+      toast(`New comment awaiting review from ${comment.author?.name || 'a reader'}`)
+    }
+
+    const handleUpdated = ({ ids }) => {
+      setComments(current => current.filter(comment => !ids.includes(comment._id)))
+      setSelected(current => current.filter(id => !ids.includes(id)))
+      fetchStats()
+    }
+
+    socket.on('moderation_comment_pending', handlePending)
+    socket.on('moderation_comments_updated', handleUpdated)
+    socket.on('moderation_comment_reported', fetchStats)
+    socket.on('moderation_reports_updated', fetchStats)
+
+    return () => {
+      socket.off('moderation_comment_pending', handlePending)
+      socket.off('moderation_comments_updated', handleUpdated)
+      socket.off('moderation_comment_reported', fetchStats)
+      socket.off('moderation_reports_updated', fetchStats)
+    }
+  }, [socket, isModerator, status, order])
+
+  const loadMore = async () => {
+    try {
+      const response = await axios.get('/api/moderation/comments', { params: { status, order, after: nextCursor } })
+      setComments(current => [...current, ...response.data.data])
+      setNextCursor(response.data.nextCursor)
+    } catch (error) {
+      toast.error('Failed to load more comments')
+    }
+  }
+
+  const toggleSelected = (id) => {
+    setSelected(current => current.includes(id) ? current.filter(item => item !== id) : [...current, id])
+  }
+
+  const allSelected = comments.length > 0 && selected.length === comments.length
+
+  const runAction = async (action, ids) => {
+    if (ids.length === 0) return
+    if (action === 'delete' && !window.confirm(`Delete ${ids.length} comment${ids.length === 1 ? '' : 's'}?`)) return
+
+    setWorking(true)
+    try {
+      const response = await axios.post('/api/moderation/comments/bulk', { action, ids })
+      const { updated } = response.data.data
+      setComments(current => current.filter(comment => !updated.includes(comment._id)))
+      setSelected(current => current.filter(id => !updated.includes(id)))
+      toast.success(response.data.message)
+      fetchStats()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Moderation action failed')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  if (authLoading || (isModerator && loading && comments.length === 0)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (!isModerator) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Moderators only</h2>
+          <p className="text-gray-600 mb-4">You need to be a moderator to review comments.</p>
+          <Link to="/" className="text-blue-600 hover:text-blue-700 font-medium">
+            Back to Home
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-6">
+          <h1 className="flex items-center text-3xl font-bold text-gray-900">
+            <ShieldCheckIcon className="w-8 h-8 mr-2 text-blue-600" />
+            Comment moderation
+          </h1>
+          <p className="text-gray-600 mt-2">
+            Comments held by the pre-moderation rules or the spam filter wait here until they are approved. New ones appear as they arrive.
+          </p>
+        </div>
+
+        {/* Status tabs */}
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          {STATUSES.map(value => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setStatus(value)}
+              className={`px-4 py-2 rounded-md text-sm font-medium capitalize transition-colors ${
+                status === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {value} ({stats[value] || 0})
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => setStatus('reports')}
+            className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+              status === 'reports' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            Reports ({stats.reported || 0})
+          </button>
+          {status !== 'reports' && (
+            <select
+              value={order}
+              onChange={(e) => setOrder(e.target.value)}
+              className="ml-auto px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+            >
+              <option value="newest">Newest first</option>
+              <option value="score">Highest spam score</option>
+            </select>
+          )}
+        </div>
+
+        {status === 'reports' ? (
+          <ReportedComments onChange={fetchStats} />
+        ) : (
+          <>
+            {/* Bulk actions */}
+            <div className="bg-white rounded-lg shadow-sm p-4 mb-4 flex items-center justify-between">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => setSelected(allSelected ? [] : comments.map(comment => comment._id))}
+                />
+                <span>{selected.length > 0 ? `${selected.length} selected` : 'Select all'}</span>
+              </label>
+              <div className="flex items-center space-x-2">
+                {status !== 'approved' && (
+                  <button
+                    type="button"
+                    disabled={working || selected.length === 0}
+                    onClick={() => runAction('approve', selected)}
+                    className="flex items-center px-3 py-1.5 rounded-md text-sm bg-green-50 text-green-700 hover:bg-green-100 disabled:opacity-50"
+                  >
+                    <CheckIcon className="w-4 h-4 mr-1" /> Approve
+                  </button>
+                )}
+                {status !== 'rejected' && (
+                  <button
+                    type="button"
+                    disabled={working || selected.length === 0}
+                    onClick={() => runAction('reject', selected)}
+                    className="flex items-center px-3 py-1.5 rounded-md text-sm bg-yellow-50 text-yellow-700 hover:bg-yellow-100 disabled:opacity-50"
+                  >
+                    <NoSymbolIcon className="w-4 h-4 mr-1" /> Reject
+                  </button>
+                )}
+                <button
+                  type="button"
+                  disabled={working || selected.length === 0}
+                  onClick={() => runAction('delete', selected)}
+                  className="flex items-center px-3 py-1.5 rounded-md text-sm bg-red-50 text-red-700 hover:bg-red-100 disabled:opacity-50"
+                >
+                  <TrashIcon className="w-4 h-4 mr-1" /> Delete
+                </button>
+              </div>
+            </div>
+
+            {comments.length === 0 ? (
+              <div className="bg-white rounded-lg shadow-sm p-8 text-center text-gray-600">
+                Nothing to review here.
+              </div>
+            ) : (
+              <ul className="space-y-3">
+                {comments.map(comment => (
+                  <li key={comment._id} className="bg-white rounded-lg shadow-sm p-4">
+                    <div className="flex items-start space-x-3">
+                      <input
+                        type="checkbox"
+                        className="mt-1"
+                        checked={selected.includes(comment._id)}
+                        onChange={() => toggleSelected(comment._id)}
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex flex-wrap items-center gap-x-2 text-sm text-gray-500">
+                          <span
+                            className={`px-2 py-0.5 rounded-full text-xs font-semibold ${scoreClass(comment.moderation?.spamScore || 0, spamFilter)}`}
+                            title="Spam score (0-100)"
+                          >
+                            {comment.moderation?.spamScore || 0}
+                          </span>
+                          <span className="font-medium text-gray-900">{comment.author?.name}</span>
+                          {comment.author?.email && <span>{comment.author.email}</span>}
+                          {comment.ipAddress && <span>{comment.ipAddress}</span>}
+                          <span>·</span>
+                          <span>{formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}</span>
+                          {comment.post && (
+                            <>
+                              <span>on</span>
+                              <Link to={`/post/${comment.post.slug}`} className="text-blue-600 hover:text-blue-700 truncate">
+                                {comment.post.title}
+                              </Link>
+                            </>
+                          )}
+                        </div>
+
+                        <p className="mt-2 text-gray-800 whitespace-pre-line break-words">{comment.content}</p>
+
+                        {comment.moderation?.signals?.length > 0 && (
+                          <ul className="mt-2 space-y-0.5 text-xs text-gray-600">
+                            {comment.moderation.signals.map(signal => (
+                              <li key={signal.scorer}>
+                                <span className="font-medium">+{signal.score}</span> {signal.reason}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+
+                        <div className="flex flex-wrap items-center gap-2 mt-3">
+                          {(comment.moderation?.reasons || []).map(reason => (
+                            <span key={reason} className="px-2 py-0.5 rounded-full text-xs bg-orange-100 text-orange-800">
+                              {REASON_LABELS[reason] || reason}
+                            </span>
+                          ))}
+                          {comment.moderation?.reviewedBy && (
+                            <span className="text-xs text-gray-500">
+                              Reviewed by {comment.moderation.reviewedBy.name}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+
+                      <div className="flex flex-col space-y-1">
+                        {status !== 'approved' && (
+                          <button
+                            type="button"
+                            disabled={working}
+                            onClick={() => runAction('approve', [comment._id])}
+                            className="p-1.5 text-gray-400 hover:text-green-600"
+                            title="Approve"
+                          >
+                            <CheckIcon className="w-5 h-5" />
+                          </button>
+                        )}
+                        {status !== 'rejected' && (
+                          <button
+                            type="button"
+                            disabled={working}
+                            onClick={() => runAction('reject', [comment._id])}
+                            className="p-1.5 text-gray-400 hover:text-yellow-600"
+                            title="Reject"
+                          >
+                            <NoSymbolIcon className="w-5 h-5" />
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          disabled={working}
+                          onClick={() => runAction('delete', [comment._id])}
+                          className="p-1.5 text-gray-400 hover:text-red-600"
+                          title="Delete"
+                        >
+                          <TrashIcon className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {nextCursor && (
+              <div className="text-center mt-6">
+                <button type="button" onClick={loadMore} className="text-sm text-blue-600 hover:text-blue-700 font-medium">
+                  Load more
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ModerationQueue
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import { useParams, Link, useNavigate } from 'react-router-dom'
 import { useBlog } from '../contexts/BlogContext'
 import { useAuth } from '../contexts/AuthContext'
@@ -8,23 +8,36 @@ import {
   HeartIcon,
   ChatBubbleLeftIcon,
   PencilIcon,
-  TrashIcon
+  TrashIcon,
+  BookmarkIcon
 } from '@heroicons/react/24/outline'
-import { HeartIcon as HeartSolidIcon } from '@heroicons/react/24/solid'
+import { HeartIcon as HeartSolidIcon, BookmarkIcon as BookmarkSolidIcon } from '@heroicons/react/24/solid'
 import { formatDistanceToNow } from 'date-fns'
+import toast from 'react-hot-toast'
+import TableOfContents from '../components/TableOfContents'
+import SeriesNavigator from '../components/SeriesNavigator'
+import RelatedPosts from '../components/RelatedPosts'
+import ReadingProgress from '../components/ReadingProgress'
+import CommentSection from '../components/CommentSection'
 
 const PostDetail = () => {
   const { slug } = useParams()
   const navigate = useNavigate()
-  const { currentPost, fetchPost, toggleLike, deletePost } = useBlog()
+  const { currentPost, currentSeries, fetchPost, toggleLike, toggleBookmark, deletePost } = useBlog()
   const { user, isAuthenticated } = useAuth()
   const [loading, setLoading] = useState(true)
   const [liking, setLiking] = useState(false)
+  const [bookmarking, setBookmarking] = useState(false)
+  const contentRef = useRef(null)
 
   useEffect(() => {
     const loadPost = async () => {
       try {
-        await fetchPost(slug)
+        const result = await fetchPost(slug)
+        if (result?.redirect) {
+          navigate(`/post/${result.redirect}`, { replace: true })
+          return
+        }
       } catch (error) {
         console.error('Failed to load post:', error)
         navigate('/404')
@@ -52,6 +65,23 @@ const PostDetail = () => {
     }
   }
 
+  const handleBookmark = async () => {
+    if (!isAuthenticated) {
+      navigate('/login')
+      return
+    }
+
+    setBookmarking(true)
+    try {
+      const saved = await toggleBookmark(currentPost._id, currentPost.isBookmarked)
+      toast.success(saved ? 'Saved to your reading list' : 'Removed from saved posts')
+    } catch (error) {
+      toast.error('Failed to update bookmark')
+    } finally {
+      setBookmarking(false)
+    }
+  }
+
   const handleDelete = async () => {
     if (window.confirm('Are you sure you want to delete this post?')) {
       try {
@@ -64,6 +94,12 @@ const PostDetail = () => {
   }
 
   const isAuthor = user && currentPost && user._id === currentPost.author._id
+  const coAuthors = (currentPost?.coAuthors || [])
+    .filter(coAuthor => coAuthor.status === 'accepted' && coAuthor.user)
+    .map(coAuthor => coAuthor.user)
+  const canEdit = isAuthor || (user && currentPost?.coAuthors?.some(coAuthor =>
+    coAuthor.status === 'accepted' && coAuthor.role === 'editor' && coAuthor.user?._id === user._id
+  ))
 
   if (loading) {
     return (
@@ -87,9 +123,16 @@ const PostDetail = () => {
   }
 
   const likedByUser = user && currentPost.likes?.includes(user._id)
+  const hasToc = currentPost.toc?.length > 0
 
   return (
     <div className="min-h-screen bg-gray-50">
+      <ReadingProgress
+        post={currentPost}
+        contentRef={contentRef}
+        syncEnabled={isAuthenticated && currentPost.status === 'published'}
+      />
+
       {/* Header Section */}
       <div className="bg-white border-b">
         <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -131,7 +174,9 @@ const PostDetail = () => {
                   )}
                 </div>
                 <div>
-                  <h3 className="font-medium text-gray-900">{currentPost.author?.name}</h3>
+                  <h3 className="font-medium text-gray-900">
+                    {[currentPost.author, ...coAuthors].map(author => author?.name).join(', ')}
+                  </h3>
                   <div className="flex items-center text-sm text-gray-500">
                     <CalendarIcon className="w-4 h-4 mr-1" />
                     {formatDistanceToNow(new Date(currentPost.createdAt), { addSuffix: true })}
@@ -140,7 +185,7 @@ const PostDetail = () => {
               </div>
             </div>
             
-            {isAuthor && (
+            {canEdit && (
               <div className="flex items-center space-x-2">
                 <Link
                   to={`/edit-post/${currentPost._id}`}
@@ -148,12 +193,14 @@ const PostDetail = () => {
                 >
                   <PencilIcon className="w-5 h-5" />
                 </Link>
-                <button
-                  onClick={handleDelete}
-                  className="p-2 text-gray-400 hover:text-red-600 transition-colors"
-                >
-                  <TrashIcon className="w-5 h-5" />
-                </button>
+                {isAuthor && (
+                  <button
+                    onClick={handleDelete}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                  >
+                    <TrashIcon className="w-5 h-5" />
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -172,73 +219,126 @@ const PostDetail = () => {
       )}
 
       {/* Content */}
-      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <div className="bg-white rounded-lg shadow-sm p-8">
-          <div 
-            className="blog-content prose prose-lg max-w-none"
-            dangerouslySetInnerHTML={{ __html: currentPost.content }}
-          />
-        </div>
+      <div className={`${hasToc ? 'max-w-6xl' : 'max-w-4xl'} mx-auto px-4 sm:px-6 lg:px-8 py-8`}>
+        <div className={hasToc ? 'lg:grid lg:grid-cols-[minmax(0,1fr)_16rem] lg:gap-8' : ''}>
+          <div>
+            <div className="bg-white rounded-lg shadow-sm p-8">
+              <div 
+                ref={contentRef}
+                className="blog-content prose prose-lg max-w-none"
+                dangerouslySetInnerHTML={{ __html: currentPost.content }}
+              />
+
+              {currentPost.tags?.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-8 pt-6 border-t border-gray-100">
+                  {currentPost.tags.map(tag => (
+                    <Link
+                      key={tag}
+                      to={`/tag/${encodeURIComponent(tag)}`}
+                      className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-700 hover:bg-blue-100 hover:text-blue-800 transition-colors"
+                    >
+                      #{tag}
+                    </Link>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Series */}
+            <SeriesNavigator series={currentSeries} currentPostId={currentPost._id} />
         
-        {/* Actions */}
-        <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
-          <div className="flex items-center justify-between">
-            <div className="flex items-center space-x-6">
-              <button
-                onClick={handleLike}
-                disabled={liking}
-                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
-                  likedByUser 
-                    ? 'bg-red-50 text-red-600 hover:bg-red-100' 
-                    : 'bg-gray-50 text-gray-600 hover:bg-gray-100'
-                }`}
-              >
-                {liking ? (
-                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-current"></div>
-                ) : likedByUser ? (
-                  <HeartSolidIcon className="w-5 h-5" />
-                ) : (
-                  <HeartIcon className="w-5 h-5" />
-                )}
-                <span>{currentPost.likes?.length || 0}</span>
-              </button>
+            {/* Actions */}
+            <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-6">
+                  <button
+                    onClick={handleLike}
+                    disabled={liking}
+                    className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                      likedByUser 
+                        ? 'bg-red-50 text-red-600 hover:bg-red-100' 
+                        : 'bg-gray-50 text-gray-600 hover:bg-gray-100'
+                    }`}
+                  >
+                    {liking ? (
+                      <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-current"></div>
+                    ) : likedByUser ? (
+                      <HeartSolidIcon className="w-5 h-5" />
+                    ) : (
+                      <HeartIcon className="w-5 h-5" />
+                    )}
+                    <span>{currentPost.likes?.length || 0}</span>
+                  </button>
               
-              <div className="flex items-center space-x-2 text-gray-600">
-                <ChatBubbleLeftIcon className="w-5 h-5" />
-                <span>{currentPost.comments?.length || 0} comments</span>
-              </div>
-            </div>
+                  <div className="flex items-center space-x-2 text-gray-600">
+                    <ChatBubbleLeftIcon className="w-5 h-5" />
+                    <span>{currentPost.comments?.length || 0} comments</span>
+                  </div>
+
+                  <button
+                    onClick={handleBookmark}
+                    disabled={bookmarking}
+                    className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                      currentPost.isBookmarked
+                        ? 'bg-blue-50 text-blue-600 hover:bg-blue-100'
+                        : 'bg-gray-50 text-gray-600 hover:bg-gray-100'
+                    }`}
+                  >
+                    {currentPost.isBookmarked ? (
+                      <BookmarkSolidIcon className="w-5 h-5" />
+                    ) : (
+                      <BookmarkIcon className="w-5 h-5" />
+                    )}
+                    <span>{currentPost.isBookmarked ? 'Saved' : 'Save'}</span>
+                  </button>
+                </div>
             
-            <div className="flex items-center space-x-2 text-sm text-gray-500">
-              <span>Updated</span>
-              {currentPost.updatedAt !== currentPost.createdAt && (
-                <span>{formatDistanceToNow(new Date(currentPost.updatedAt), { addSuffix: true })}</span>
-              )}
+                <div className="flex items-center space-x-2 text-sm text-gray-500">
+                  <span>Updated</span>
+                  {currentPost.updatedAt !== currentPost.createdAt && (
+                    <span>{formatDistanceToNow(new Date(currentPost.updatedAt), { addSuffix: true })}</span>
+                  )}
+                </div>
+              </div>
             </div>
-          </div>
-        </div>
         
-        {/* Author Bio */}
-        <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
-          <div className="flex items-center space-x-4">
-            <div className="w-16 h-16 bg-gray-200 rounded-full flex items-center justify-center">
-              {currentPost.author?.avatar ? (
-                <img
-                  src={currentPost.author.avatar}
-                  alt={currentPost.author.name}
-                  className="w-16 h-16 rounded-full object-cover"
-                />
-              ) : (
-                <UserIcon className="w-8 h-8 text-gray-500" />
-              )}
-            </div>
-            <div>
-              <h3 className="text-lg font-semibold text-gray-900">{currentPost.author?.name}</h3>
-              <p className="text-gray-600 mt-1">
-                {currentPost.author?.bio || 'Author of this post'}
-              </p>
+            {/* Author Bio */}
+            <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
+              <div className="flex items-center space-x-4">
+                <div className="w-16 h-16 bg-gray-200 rounded-full flex items-center justify-center">
+                  {currentPost.author?.avatar ? (
+                    <img
+                      src={currentPost.author.avatar}
+                      alt={currentPost.author.name}
+                      className="w-16 h-16 rounded-full object-cover"
+                    />
+                  ) : (
+                    <UserIcon className="w-8 h-8 text-gray-500" />
+                  )}
+                </div>
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">{currentPost.author?.name}</h3>
+                  <p className="text-gray-600 mt-1">
+                    {currentPost.author?.bio || 'Author of this post'}
+                  </p>
+                </div>
+              </div>
             </div>
+
+            {/* Comments */}
+            <CommentSection postId={currentPost._id} />
+
+            {currentPost.status === 'published' && (
+              <RelatedPosts postId={currentPost._id} />
+            )}
           </div>
+
+          {/* Table of Contents */}
+          {hasToc && (
+            <aside className="hidden lg:block">
+              <TableOfContents toc={currentPost.toc} />
+            </aside>
+          )}
         </div>
       </div>
     </div>
@@ -1,4 +1,5 @@
 import React, { useState } from 'react'
+import axios from 'axios'
 import { useAuth } from '../contexts/AuthContext'
 import { 
   UserIcon, 
@@ -40,6 +41,16 @@ const Profile = () => {
     }
   }
 
+  const handleClearHistory = async () => {
+    if (!window.confirm('Clear your reading history on all devices?')) return
+    try {
+      await axios.delete('/api/users/me/history')
+      toast.success('Reading history cleared')
+    } catch (error) {
+      toast.error('Failed to clear reading history')
+    }
+  }
+
   const handleCancel = () => {
     setFormData({
       name: user?.name || '',
@@ -268,6 +279,20 @@ const Profile = () => {
                     </div>
                   </div>
                 </div>
+
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Reading History</h3>
+                  <p className="text-gray-600 text-sm mb-3">
+                    Your reading position is saved so you can pick up where you left off on any device.
+                  </p>
+                  <button
+                    type="button"
+                    onClick={handleClearHistory}
+                    className="px-4 py-2 border border-red-300 text-red-600 rounded-md text-sm font-medium hover:bg-red-50 transition-colors"
+                  >
+                    Clear reading history
+                  </button>
+                </div>
               </div>
             )}
           </div>
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import axios from 'axios'
+import { FolderIcon, UserIcon } from '@heroicons/react/24/outline'
+
+const ReadingList = () => {
+  const { slug } = useParams()
+  const [list, setList] = useState(null)
+  const [posts, setPosts] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchList = async () => {
+      setLoading(true)
+      try {
+        const response = await axios.get(`/api/users/lists/${slug}`)
+        setList(response.data.data.list)
+        setPosts(response.data.data.posts)
+      } catch (error) {
+        setList(null)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchList()
+  }, [slug])
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (!list) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">List not found</h2>
+          <p className="text-gray-600 mb-4">This reading list doesn't exist or is private.</p>
+          <Link to="/" className="text-blue-600 hover:text-blue-700 font-medium">
+            Back to Home
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+          <h1 className="flex items-center text-3xl font-bold text-gray-900">
+            <FolderIcon className="w-8 h-8 mr-2 text-blue-600" />
+            {list.name}
+          </h1>
+          {list.description && <p className="text-gray-600 mt-3">{list.description}</p>}
+          <div className="flex items-center space-x-2 mt-4 text-sm text-gray-500">
+            <div className="w-6 h-6 bg-gray-200 rounded-full flex items-center justify-center">
+              {list.user?.avatar ? (
+                <img src={list.user.avatar} alt={list.user.name} className="w-6 h-6 rounded-full object-cover" />
+              ) : (
+                <UserIcon className="w-4 h-4 text-gray-500" />
+              )}
+            </div>
+            <span>Curated by {list.user?.name} · {posts.length} {posts.length === 1 ? 'post' : 'posts'}</span>
+          </div>
+        </div>
+
+        <ol className="space-y-4">
+          {posts.map((post, index) => (
+            <li key={post._id} className="bg-white rounded-lg shadow-sm p-6 flex items-start space-x-4">
+              <span className="text-2xl font-bold text-gray-300 w-8">{index + 1}</span>
+              <div className="min-w-0">
+                <Link to={`/post/${post.slug}`} className="text-xl font-semibold text-gray-900 hover:text-blue-600">
+                  {post.title}
+                </Link>
+                <p className="text-gray-600 mt-1 line-clamp-2">{post.excerpt}</p>
+                <p className="text-sm text-gray-500 mt-2">
+                  {post.author?.name}
+                  {post.category && ` · ${post.category.name}`}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  )
+}
+
+export default ReadingList
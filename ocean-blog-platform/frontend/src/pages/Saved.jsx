@@ -0,0 +1,359 @@
+import React, { useEffect, useState } from 'react'
+import { Link, Navigate } from 'react-router-dom'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  BookmarkIcon,
+  FolderIcon,
+  GlobeAltIcon,
+  LinkIcon,
+  LockClosedIcon,
+  PlusIcon,
+  TrashIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+import { useAuth } from '../contexts/AuthContext'
+
+const SavedPostRow = ({ post, savedAt, children }) => (
+  <li className="py-4 flex items-start justify-between gap-4">
+    <div className="min-w-0">
+      <Link to={`/post/${post.slug}`} className="text-lg font-semibold text-gray-900 hover:text-blue-600">
+        {post.title}
+      </Link>
+      <p className="text-gray-600 text-sm mt-1 line-clamp-2">{post.excerpt}</p>
+      <p className="text-xs text-gray-500 mt-1">
+        {post.author?.name}
+        {savedAt && ` · saved ${formatDistanceToNow(new Date(savedAt), { addSuffix: true })}`}
+      </p>
+    </div>
+    <div className="flex items-center space-x-2 flex-shrink-0">{children}</div>
+  </li>
+)
+
+const Saved = () => {
+  const { isAuthenticated, loading: authLoading } = useAuth()
+  const [bookmarks, setBookmarks] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [lists, setLists] = useState([])
+  const [activeList, setActiveList] = useState(null)
+  const [listPosts, setListPosts] = useState([])
+  const [newList, setNewList] = useState({ name: '', isPublic: false })
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!isAuthenticated) return
+
+    const load = async () => {
+      try {
+        const [bookmarksResponse, listsResponse] = await Promise.all([
+          axios.get('/api/users/me/bookmarks'),
+          axios.get('/api/users/me/lists')
+        ])
+        setBookmarks(bookmarksResponse.data.data)
+        setNextCursor(bookmarksResponse.data.nextCursor)
+        setLists(listsResponse.data.data)
+      } catch (error) {
+        toast.error('Failed to load saved posts')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    load()
+  }, [isAuthenticated])
+
+  const loadMore = async () => {
+    try {
+      const response = await axios.get('/api/users/me/bookmarks', { params: { after: nextCursor } })
+      setBookmarks(current => [...current, ...response.data.data])
+      setNextCursor(response.data.nextCursor)
+    } catch (error) {
+      toast.error('Failed to load more saved posts')
+    }
+  }
+
+  const replaceList = (list) => {
+    setLists(current => current.map(item => (item._id === list._id ? list : item)))
+    if (activeList?._id === list._id) setActiveList(list)
+  }
+
+  const openList = async (list) => {
+    if (!list) {
+      setActiveList(null)
+      return
+    }
+    try {
+      const response = await axios.get(`/api/users/me/lists/${list._id}`)
+      setActiveList(response.data.data.list)
+      setListPosts(response.data.data.posts)
+    } catch (error) {
+      toast.error('Failed to load reading list')
+    }
+  }
+
+  const createList = async (e) => {
+    e.preventDefault()
+    if (!newList.name.trim()) return
+    try {
+      const response = await axios.post('/api/users/me/lists', newList)
+      setLists(current => [response.data.data, ...current])
+      setNewList({ name: '', isPublic: false })
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create list')
+    }
+  }
+
+  const removeBookmark = async (postId) => {
+    try {
+      await axios.delete(`/api/posts/${postId}/bookmark`)
+      setBookmarks(current => current.filter(bookmark => bookmark.post?._id !== postId))
+      setLists(current => current.map(list => ({
+        ...list,
+        posts: list.posts.filter(id => id !== postId),
+        postCount: list.posts.filter(id => id !== postId).length
+      })))
+    } catch (error) {
+      toast.error('Failed to remove bookmark')
+    }
+  }
+
+  const addToList = async (listId, postId) => {
+    if (!listId) return
+    try {
+      const response = await axios.post(`/api/users/me/lists/${listId}/posts`, { postId })
+      replaceList(response.data.data)
+      toast.success('Added to list')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add to list')
+    }
+  }
+
+  const removeFromList = async (postId) => {
+    try {
+      const response = await axios.delete(`/api/users/me/lists/${activeList._id}/posts/${postId}`)
+      replaceList(response.data.data)
+      setListPosts(current => current.filter(post => post._id !== postId))
+    } catch (error) {
+      toast.error('Failed to remove from list')
+    }
+  }
+
+  const toggleVisibility = async () => {
+    try {
+      const response = await axios.patch(`/api/users/me/lists/${activeList._id}`, { isPublic: !activeList.isPublic })
+      replaceList(response.data.data)
+    } catch (error) {
+      toast.error('Failed to update list')
+    }
+  }
+
+  const deleteList = async () => {
+    if (!window.confirm(`Delete the list "${activeList.name}"? Your bookmarks are kept.`)) return
+    try {
+      await axios.delete(`/api/users/me/lists/${activeList._id}`)
+      setLists(current => current.filter(list => list._id !== activeList._id))
+      setActiveList(null)
+    } catch (error) {
+      toast.error('Failed to delete list')
+    }
+  }
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/lists/${activeList.slug}`)
+      toast.success('Share link copied')
+    } catch (error) {
+      toast.error('Could not copy the link')
+    }
+  }
+
+  if (!authLoading && !isAuthenticated) {
+    return <Navigate to="/login" replace />
+  }
+
+  if (authLoading || loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-6">Saved</h1>
+
+        <div className="md:grid md:grid-cols-[16rem_minmax(0,1fr)] md:gap-8">
+          {/* Lists */}
+          <aside className="mb-6 md:mb-0">
+            <nav className="bg-white rounded-lg shadow-sm p-4 space-y-1">
+              <button
+                type="button"
+                onClick={() => openList(null)}
+                className={`flex items-center w-full px-3 py-2 rounded-md text-sm font-medium ${
+                  !activeList ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <BookmarkIcon className="w-5 h-5 mr-2" />
+                All saved
+              </button>
+              {lists.map(list => (
+                <button
+                  key={list._id}
+                  type="button"
+                  onClick={() => openList(list)}
+                  className={`flex items-center justify-between w-full px-3 py-2 rounded-md text-sm ${
+                    activeList?._id === list._id ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <span className="flex items-center min-w-0">
+                    <FolderIcon className="w-5 h-5 mr-2 flex-shrink-0" />
+                    <span className="truncate">{list.name}</span>
+                  </span>
+                  <span className="text-xs text-gray-500">{list.postCount}</span>
+                </button>
+              ))}
+            </nav>
+
+            <form onSubmit={createList} className="bg-white rounded-lg shadow-sm p-4 mt-4 space-y-3">
+              <input
+                type="text"
+                value={newList.name}
+                onChange={(e) => setNewList({ ...newList, name: e.target.value })}
+                placeholder="New list name"
+                maxLength={100}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={newList.isPublic}
+                  onChange={(e) => setNewList({ ...newList, isPublic: e.target.checked })}
+                />
+                <span>Public</span>
+              </label>
+              <button
+                type="submit"
+                className="flex items-center justify-center w-full space-x-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                <PlusIcon className="w-4 h-4" />
+                <span>Create list</span>
+              </button>
+            </form>
+          </aside>
+
+          {/* Posts */}
+          <section className="bg-white rounded-lg shadow-sm p-6">
+            {activeList ? (
+              <>
+                <div className="flex items-start justify-between border-b border-gray-100 pb-4">
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-900">{activeList.name}</h2>
+                    {activeList.description && <p className="text-gray-600 mt-1">{activeList.description}</p>}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      type="button"
+                      onClick={toggleVisibility}
+                      className="flex items-center space-x-1 px-3 py-1 rounded-md text-sm text-gray-700 bg-gray-50 hover:bg-gray-100"
+                    >
+                      {activeList.isPublic ? <GlobeAltIcon className="w-4 h-4" /> : <LockClosedIcon className="w-4 h-4" />}
+                      <span>{activeList.isPublic ? 'Public' : 'Private'}</span>
+                    </button>
+                    {activeList.isPublic && (
+                      <button
+                        type="button"
+                        onClick={copyShareLink}
+                        className="p-2 text-gray-500 hover:text-blue-600"
+                        aria-label="Copy share link"
+                      >
+                        <LinkIcon className="w-5 h-5" />
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={deleteList}
+                      className="p-2 text-gray-500 hover:text-red-600"
+                      aria-label="Delete list"
+                    >
+                      <TrashIcon className="w-5 h-5" />
+                    </button>
+                  </div>
+                </div>
+
+                {listPosts.length === 0 ? (
+                  <p className="text-gray-600 py-6">This list is empty. Add posts from "All saved".</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {listPosts.map(post => (
+                      <SavedPostRow key={post._id} post={post}>
+                        <button
+                          type="button"
+                          onClick={() => removeFromList(post._id)}
+                          className="p-2 text-gray-500 hover:text-red-600"
+                          aria-label="Remove from list"
+                        >
+                          <XMarkIcon className="w-5 h-5" />
+                        </button>
+                      </SavedPostRow>
+                    ))}
+                  </ul>
+                )}
+              </>
+            ) : bookmarks.length === 0 ? (
+              <div className="text-center py-12">
+                <BookmarkIcon className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">Nothing saved yet</h3>
+                <p className="text-gray-600">Use the Save button on any post to read it later.</p>
+              </div>
+            ) : (
+              <>
+                <ul className="divide-y divide-gray-100">
+                  {bookmarks.filter(bookmark => bookmark.post).map(bookmark => (
+                    <SavedPostRow key={bookmark._id} post={bookmark.post} savedAt={bookmark.createdAt}>
+                      {lists.length > 0 && (
+                        <select
+                          value=""
+                          onChange={(e) => addToList(e.target.value, bookmark.post._id)}
+                          className="px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-700"
+                        >
+                          <option value="">Add to list…</option>
+                          {lists.map(list => (
+                            <option key={list._id} value={list._id}>{list.name}</option>
+                          ))}
+                        </select>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => removeBookmark(bookmark.post._id)}
+                        className="p-2 text-gray-500 hover:text-red-600"
+                        aria-label="Remove bookmark"
+                      >
+                        <TrashIcon className="w-5 h-5" />
+                      </button>
+                    </SavedPostRow>
+                  ))}
+                </ul>
+                {nextCursor && (
+                  <div className="text-center mt-6">
+                    <button
+                      type="button"
+                      onClick={loadMore}
+                      className="text-blue-600 hover:text-blue-700 font-medium"
+                    >
+                      Load more
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Saved
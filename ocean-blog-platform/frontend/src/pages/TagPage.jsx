@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import axios from 'axios'
+import { formatDistanceToNow } from 'date-fns'
+import { HashtagIcon, RssIcon, UserIcon } from '@heroicons/react/24/outline'
+
+const PAGE_SIZE = 12
+
+const TagPage = () => {
+  const { name } = useParams()
+  const navigate = useNavigate()
+  const [tag, setTag] = useState(null)
+  const [posts, setPosts] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [notFound, setNotFound] = useState(false)
+
+  const fetchPage = (tagName, after) => axios.get('/api/posts', {
+    params: { tag: tagName, limit: PAGE_SIZE, ...(after ? { after } : {}) }
+  })
+
+  useEffect(() => {
+    let cancelled = false
+
+    const load = async () => {
+      setLoading(true)
+      setNotFound(false)
+      try {
+        const tagResponse = await axios.get(`/api/tags/${encodeURIComponent(name)}`)
+        const tagData = tagResponse.data.data.tag
+
+        // Aliases such as "js" live under their canonical tag
+        if (tagData.redirect) {
+          navigate(`/tag/${encodeURIComponent(tagData.redirect)}`, { replace: true })
+          return
+        }
+
+        const postsResponse = await fetchPage(tagData.name)
+        if (cancelled) return
+
+        setTag(tagData)
+        setPosts(postsResponse.data.data.posts)
+        setNextCursor(postsResponse.data.nextCursor)
+      } catch (error) {
+        if (!cancelled) setNotFound(true)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [name, navigate])
+
+  const loadMore = async () => {
+    setLoadingMore(true)
+    try {
+      const response = await fetchPage(tag.name, nextCursor)
+      setPosts(current => [...current, ...response.data.data.posts])
+      setNextCursor(response.data.nextCursor)
+    } catch (error) {
+      console.error('Failed to load more posts:', error)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (notFound || !tag) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Tag not found</h2>
+          <p className="text-gray-600 mb-4">No posts are tagged "{name}" yet.</p>
+          <Link to="/" className="text-blue-600 hover:text-blue-700 font-medium">
+            Back to Home
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <section className="bg-white border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+          <div className="flex items-start justify-between">
+            <div>
+              <h1 className="flex items-center text-3xl font-bold text-gray-900">
+                <HashtagIcon className="w-8 h-8 mr-2 text-blue-600" />
+                {tag.name}
+              </h1>
+              {tag.description && (
+                <p className="text-lg text-gray-600 mt-3 max-w-3xl">{tag.description}</p>
+              )}
+              <p className="text-sm text-gray-500 mt-2">
+                {tag.count} {tag.count === 1 ? 'post' : 'posts'}
+                {tag.aliases?.length > 0 && ` · also known as ${tag.aliases.join(', ')}`}
+              </p>
+            </div>
+            <a
+              href={`/feeds/tag/${encodeURIComponent(tag.name)}/rss.xml`}
+              className="flex items-center space-x-1 text-sm text-gray-500 hover:text-blue-600"
+            >
+              <RssIcon className="w-5 h-5" />
+              <span>RSS</span>
+            </a>
+          </div>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {posts.map((post) => (
+              <article key={post._id} className="card card-hover">
+                <Link to={`/post/${post.slug}`}>
+                  {post.featuredImage && (
+                    <img
+                      src={post.featuredImage}
+                      alt={post.title}
+                      className="w-full h-48 object-cover"
+                    />
+                  )}
+                  <div className="p-6">
+                    <div className="flex items-center space-x-2 mb-3">
+                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                        {post.category?.name || 'Uncategorized'}
+                      </span>
+                      <span className="text-sm text-gray-500">
+                        {formatDistanceToNow(new Date(post.publishedAt || post.createdAt), { addSuffix: true })}
+                      </span>
+                    </div>
+
+                    <h3 className="text-xl font-semibold text-gray-900 mb-3 line-clamp-2">
+                      {post.title}
+                    </h3>
+
+                    <p className="text-gray-600 mb-4 line-clamp-3">
+                      {post.excerpt}
+                    </p>
+
+                    <div className="flex items-center space-x-2">
+                      <div className="w-8 h-8 bg-gray-200 rounded-full flex items-center justify-center">
+                        {post.author?.avatar ? (
+                          <img
+                            src={post.author.avatar}
+                            alt={post.author.name}
+                            className="w-8 h-8 rounded-full object-cover"
+                          />
+                        ) : (
+                          <UserIcon className="w-5 h-5 text-gray-500" />
+                        )}
+                      </div>
+                      <span className="text-sm text-gray-700">{post.author?.name}</span>
+                    </div>
+                  </div>
+                </Link>
+              </article>
+            ))}
+          </div>
+
+          {nextCursor && (
+            <div className="text-center mt-10">
+              <button
+                type="button"
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-6 py-2 rounded-lg font-medium transition-colors"
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default TagPage